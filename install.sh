@@ -44,6 +44,7 @@ if [ ! -f .env ]; then
   echo "  │                                                     │"
   echo "  │    API_KEY      — shared secret for HTTP auth       │"
   echo "  │    GH_TOKEN     — GitHub PAT (repo + workflow)      │"
+  echo "  │                   or GH_APP_* for a GitHub App      │"
   echo "  │    GH_OWNER     — GitHub org or username            │"
   echo "  │    GH_REPO      — target repository name            │"
   echo "  │    INCOMING_DIR — host path to mount read-only      │"
@@ -99,6 +100,7 @@ echo "  │  3. Create labels in your target repo:              │"
 echo "  │       gh label create \"automated\"       --color 0075ca │"
 echo "  │       gh label create \"human-review-required\" --color e4e669 │"
 echo "  │       gh label create \"gitops-push\"     --color 5319e7 │"
+echo "  │       gh label create \"release\"         --color 0e8a16 │"
 echo "  │                                                     │"
 echo "  │  4. Push your first branch:                         │"
 echo "  │       curl -X POST http://localhost:${PORT}/push/sync \\"
@@ -0,0 +1,161 @@
+/**
+ * Named per-client API keys, stored in DATA_DIR/api-keys.jsonl.
+ *
+ * Only a SHA-256 hash of each key is stored; the plaintext is returned once,
+ * when the key is created or rotated. Every key is limited to:
+ *   - projects: project-name patterns ('*' wildcard, e.g. 'proj-*')
+ *   - scopes:   route groups it may call (see SCOPES)
+ *
+ * Revoked keys are kept (with revoked_at) for audit, and their names are
+ * never reused: the name is the record id and the `source` jobs are filed
+ * under, so a new key must not inherit an old key's history.
+ */
+
+const { createHash, randomBytes } = require('crypto');
+const { createStore } = require('../store/jsonl-store');
+
+/**
+ * push      — POST /push, /push/sync, /projects/:project/sync; PATCH/DELETE features
+ * bootstrap — POST /projects/:project/bootstrap
+ * release   — POST /projects/:project/promote
+ * webhooks  — project webhook subscriptions and delivery logs
+ * admin     — everything, including key management
+ */
+const SCOPES = ['push', 'bootstrap', 'release', 'webhooks', 'admin'];
+const KEY_NAME_RE = /^[a-zA-Z0-9_.-]{1,64}$/;
+const PROJECT_PATTERN_RE = /^[a-zA-Z0-9_*-]+$/;
+
+let store;
+
+function keys() {
+  if (!store) store = createStore('api-keys.jsonl');
+  return store;
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `gok_${randomBytes(24).toString('hex')}`;
+}
+
+/** Key record without its hash — safe to return from the API. */
+function present({ key_hash, ...record }) {
+  return record;
+}
+
+/**
+ * True if a project name matches a pattern ('*' matches any run of characters).
+ *
+ * @param {string} pattern
+ * @param {string} project
+ * @returns {boolean}
+ */
+function matchesProject(pattern, project) {
+  const re = new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('.*')}$`);
+  return re.test(project);
+}
+
+/**
+ * Validate key settings; returns an error message or null.
+ */
+function validateKeySpec({ name, projects, scopes }) {
+  if (typeof name !== 'string' || !KEY_NAME_RE.test(name)) {
+    return 'name is required: 1-64 letters, numbers, dots, hyphens, underscores';
+  }
+  if (!Array.isArray(projects) || !projects.length || projects.some(p => typeof p !== 'string' || !PROJECT_PATTERN_RE.test(p))) {
+    return 'projects must be a non-empty array of project names or patterns (e.g. "proj-*")';
+  }
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !SCOPES.includes(s))) {
+    return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create a key. Throws a 409-tagged error if a key — active or revoked — has the same name.
+ *
+ * @param {{name: string, projects: string[], scopes: string[]}} spec
+ * @returns {{key: string, record: object}} plaintext key (shown once) and stored record
+ */
+function createKey({ name, projects, scopes }) {
+  const existing = keys().get(name);
+  if (existing) {
+    throw Object.assign(
+      new Error(existing.revoked_at ? `API key name was revoked and cannot be reused: ${name}` : `API key already exists: ${name}`),
+      { status: 409 }
+    );
+  }
+  const key = generateKey();
+  const record = keys().put({
+    id: name,
+    name,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, 12),
+    projects,
+    scopes,
+    created_at: new Date().toISOString(),
+    rotated_at: null,
+    revoked_at: null,
+  });
+  return { key, record: present(record) };
+}
+
+/**
+ * Replace a key's secret, invalidating the old one immediately.
+ *
+ * @param {string} name
+ * @returns {{key: string, record: object}|null} null if no active key has that name
+ */
+function rotateKey(name) {
+  const existing = keys().get(name);
+  if (!existing || existing.revoked_at) return null;
+  const key = generateKey();
+  const record = keys().update(name, {
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, 12),
+    rotated_at: new Date().toISOString(),
+  });
+  return { key, record: present(record) };
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} false if no active key has that name
+ */
+function revokeKey(name) {
+  const existing = keys().get(name);
+  if (!existing || existing.revoked_at) return false;
+  keys().update(name, { revoked_at: new Date().toISOString() });
+  return true;
+}
+
+function listKeys() {
+  return keys().all().map(present);
+}
+
+/**
+ * Look up the active key matching a plaintext key.
+ *
+ * @param {string} key
+ * @returns {object|null} key record (without hash)
+ */
+function findKey(key) {
+  if (!key) return null;
+  const hash = hashKey(key);
+  const record = keys().all().find(k => k.key_hash === hash && !k.revoked_at);
+  return record ? present(record) : null;
+}
+
+module.exports = {
+  SCOPES,
+  matchesProject,
+  validateKeySpec,
+  createKey,
+  rotateKey,
+  revokeKey,
+  listKeys,
+  findKey,
+  hashKey,
+};
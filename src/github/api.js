@@ -1,18 +1,123 @@
-const { GH_TOKEN, GH_OWNER, GH_REPO } = process.env;
+const { setTimeout: sleep } = require('timers/promises');
+const { recordResponse, isRateLimited, retryAfterMs, pauseUntil } = require('./rate-limit');
+const { createTokenProvider, credentialsFromEnv } = require('./credentials');
+
+const { GH_OWNER, GH_REPO } = process.env;
+const GH_API_URL = (process.env.GH_API_URL || 'https://api.github.com').replace(/\/$/, '');
 
 const GH_API_TIMEOUT_MS = parseInt(process.env.GH_API_TIMEOUT_MS || '30000', 10);
+const GH_API_MAX_RETRIES = parseInt(process.env.GH_API_MAX_RETRIES || '3', 10);
+const GH_API_RETRY_BASE_MS = parseInt(process.env.GH_API_RETRY_BASE_MS || '1000', 10);
+// Never sleep longer than this inside one call; longer waits fail the call
+// (the push queue is paused until the budget resets anyway)
+const GH_API_RETRY_MAX_WAIT_MS = parseInt(process.env.GH_API_RETRY_MAX_WAIT_MS || '60000', 10);
+
+let credentials = null;
+// URL prefix (e.g. https://api.github.com/repos/team/repo) → token provider, for routed repos
+const repoCredentials = new Map();
+
+/** Token provider for the env credentials (PAT or GitHub App), created on first use. */
+function defaultCredentials() {
+  if (!credentials) credentials = createTokenProvider(credentialsFromEnv(), { apiUrl: GH_API_URL });
+  return credentials;
+}
+
+/**
+ * Use `provider` for every call whose URL starts with `prefix`
+ * (see projects/registry). Pass null to fall back to the env credentials.
+ *
+ * @param {string} prefix
+ * @param {object|null} provider - createTokenProvider() result
+ */
+function registerCredentials(prefix, provider) {
+  if (provider) repoCredentials.set(prefix, provider);
+  else repoCredentials.delete(prefix);
+}
+
+/** Provider registered for the longest matching prefix, else the env credentials. */
+function credentialsFor(url) {
+  let match = null;
+  for (const [prefix, provider] of repoCredentials) {
+    if ((url === prefix || url.startsWith(`${prefix}/`) || url.startsWith(`${prefix}?`))
+      && (!match || prefix.length > match.prefix.length)) {
+      match = { prefix, provider };
+    }
+  }
+  return match ? match.provider : defaultCredentials();
+}
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+const TRANSIENT_STATUSES = new Set([502, 503, 504]);
 
 /**
  * GitHub REST API helper with authentication.
+ *
+ * Retries, up to GH_API_MAX_RETRIES times:
+ *   - rate-limit refusals (429, or 403 flagged as a primary/secondary limit)
+ *     for any method — GitHub did not process the request. Waits for
+ *     `retry-after` / the budget reset when given, and pauses the push queue.
+ *   - 502/503/504 for idempotent calls only: GET/HEAD/PUT/DELETE, or any
+ *     call made with `idempotent: true`.
+ * Other waits use exponential backoff with jitter. A 401 with GitHub App
+ * credentials refreshes the installation token and retries once. Only calls
+ * made with the env credentials update the rate-limit budget or pause the
+ * push queue.
+ *
  * @param {string} endpoint - e.g. '/repos/owner/repo/...'
  * @param {object} [options] - fetch options (method, body, headers)
+ * @param {boolean} [options.idempotent] - Safe to repeat after a 5xx (defaults by method)
  * @returns {Promise<object>} parsed JSON response
  */
 async function githubApi(endpoint, options = {}) {
-  const url = endpoint.startsWith('https://')
+  const url = /^https?:\/\//.test(endpoint)
     ? endpoint
-    : `https://api.github.com${endpoint}`;
+    : `${GH_API_URL}${endpoint}`;
+  const { idempotent, ...fetchOptions } = options;
+  const method = (fetchOptions.method || 'GET').toUpperCase();
+  const retryTransient = idempotent ?? IDEMPOTENT_METHODS.has(method);
+  const auth = credentialsFor(url);
+  // The tracked budget and queue pauses are the env credentials' own; a
+  // routed repo's token or installation has a budget of its own
+  const tracked = auth === defaultCredentials();
+  let reauthenticated = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await request(url, fetchOptions, await auth.getToken());
+    if (tracked) recordResponse(res);
+
+    const text = await res.text();
+    if (res.ok) return text ? JSON.parse(text) : {};
+
+    if (res.status === 401 && auth.kind === 'app' && !reauthenticated) {
+      // Revoked or expired early — mint a fresh installation token
+      auth.invalidate();
+      reauthenticated = true;
+      continue;
+    }
+
+    const limited = isRateLimited(res, text);
+    const wait = (limited ? retryAfterMs(res) : null) ?? backoff(attempt);
+    if (limited && tracked) pauseUntil(Date.now() + wait, `GitHub ${res.status} on ${method} ${endpoint}`);
+
+    const retryable = limited || (retryTransient && TRANSIENT_STATUSES.has(res.status));
+    if (!retryable || attempt >= GH_API_MAX_RETRIES || wait > GH_API_RETRY_MAX_WAIT_MS) {
+      const err = new Error(`GitHub API ${res.status}: ${text}`);
+      err.status = res.status;
+      throw err;
+    }
+    console.warn(`[github] ${method} ${endpoint} → ${res.status}; retry ${attempt + 1}/${GH_API_MAX_RETRIES} in ${wait}ms`);
+    await sleep(wait);
+  }
+}
+
+/** Exponential backoff with jitter: between half and all of base·2^attempt. */
+function backoff(attempt) {
+  const ceiling = GH_API_RETRY_BASE_MS * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
 
+/** One authenticated fetch with the GH_API_TIMEOUT_MS deadline. */
+async function request(url, options, token) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), GH_API_TIMEOUT_MS);
 
@@ -22,7 +127,7 @@ async function githubApi(endpoint, options = {}) {
       ...options,
       signal: controller.signal,
       headers: {
-        Authorization: `Bearer ${GH_TOKEN}`,
+        Authorization: `Bearer ${token}`,
         Accept: 'application/vnd.github+json',
         'X-GitHub-Api-Version': '2022-11-28',
         'Content-Type': 'application/json',
@@ -32,23 +137,20 @@ async function githubApi(endpoint, options = {}) {
   } finally {
     clearTimeout(timer);
   }
-
-  if (!res.ok) {
-    const text = await res.text();
-    const err = new Error(`GitHub API ${res.status}: ${text}`);
-    err.status = res.status;
-    throw err;
-  }
-
-  const text = await res.text();
-  return text ? JSON.parse(text) : {};
+  return res;
 }
 
 /**
- * Convenience: return owner/repo from env.
+ * Convenience: return owner/repo from env — the default target. Projects
+ * routed elsewhere get theirs from projects/registry resolveRepo().
  */
 function repoPath() {
   return `/repos/${GH_OWNER}/${GH_REPO}`;
 }
 
-module.exports = { githubApi, repoPath };
+/** REST API base URL (GH_API_URL), without trailing slash. */
+function apiBaseUrl() {
+  return GH_API_URL;
+}
+
+module.exports = { githubApi, repoPath, apiBaseUrl, registerCredentials };
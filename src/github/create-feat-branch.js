@@ -1,14 +1,263 @@
 const { v4: uuidv4 } = require('uuid');
-const { githubApi, repoPath } = require('./api');
-const { ensureProject } = require('./ensure-project');
-const { readDirFiles } = require('./read-dir-files');
+const { githubApi } = require('./api');
+const { resolveRepo, loadProjectConfig, projectIgnoreRules } = require('../projects/registry');
+const { applySecretPolicy } = require('../security/secret-scan');
+const { ensureProject, bootstrapStatus, getBootstrapFiles, isBootstrapPath, featBranchPrefix } = require('./ensure-project');
+const { scanDir } = require('./read-dir-files');
+const { createCommit, getBranchSha, getCommitTree, listTree } = require('./git-data');
+const { diffTree, gitBlobSha } = require('./tree-diff');
+
+const PUSH_MODES = ['merge', 'mirror'];
+const PROTECTION_POLICIES = ['reject', 'review'];
+const REVIEW_LABEL = 'human-review-required';
+
+/**
+ * Render a diffTree() result as PR-body markdown, one line per change kind.
+ *
+ * @param {{added, modified, deleted, renamed}} changes
+ * @returns {string}
+ */
+function formatChanges({ added, modified, deleted, renamed }) {
+  const list = paths => paths.map(p => `\`${p}\``).join(', ');
+  return [
+    added.length ? `\n**Added (${added.length}):** ${list(added)}` : '',
+    modified.length ? `\n**Modified (${modified.length}):** ${list(modified)}` : '',
+    deleted.length ? `\n**Deleted (${deleted.length}):** ${list(deleted)}` : '',
+    renamed.length
+      ? `\n**Renamed (${renamed.length}):** ${renamed.map(r => `\`${r.from}\` → \`${r.to}\``).join(', ')}`
+      : '',
+  ].filter(Boolean).join('');
+}
+
+/**
+ * Refuse to commit onto an existing feat branch that was not forked from
+ * this project's dev branch. Every {project}-master is an orphan root, so a
+ * branch based on another project's -dev shares no history with this one
+ * and GitHub's compare endpoint answers 404.
+ *
+ * @param {string} repo
+ * @param {string} devBranch
+ * @param {string} branch
+ * @returns {Promise<string>} SHA of the merge base
+ * @throws 409-tagged error if the branch belongs to another project
+ */
+async function assertForkedFrom(repo, devBranch, branch) {
+  try {
+    const compare = await githubApi(`${repo}/compare/${devBranch}...${branch}`);
+    return compare.merge_base_commit.sha;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    throw Object.assign(
+      new Error(`Branch ${branch} already exists but is not based on ${devBranch} (it belongs to another project); choose another feat_name`),
+      { status: 409 }
+    );
+  }
+}
+
+/**
+ * The open PR from a feat branch into the dev branch, if any.
+ *
+ * @param {{path: string, owner: string}} target - resolveRepo() result
+ * @param {string} branch
+ * @param {string} devBranch
+ * @returns {Promise<object|null>}
+ */
+async function findOpenPull(target, branch, devBranch) {
+  const pulls = await githubApi(
+    `${target.path}/pulls?head=${encodeURIComponent(`${target.owner}:${branch}`)}&base=${devBranch}&state=open`
+  );
+  return pulls[0] || null;
+}
+
+/**
+ * The files a commit needs to write for a diffTree() result: added and
+ * modified files, plus renamed files by the blob SHA already in the repo.
+ *
+ * @param {Array<{path, content, mode}>} files
+ * @param {{added, modified, renamed}} changes
+ * @returns {Array<{path, content?, mode, sha?}>}
+ */
+function changedFiles(files, { added, modified, renamed }) {
+  const changed = new Set([...added, ...modified]);
+  const renamedTo = new Set(renamed.map(r => r.to));
+  return files
+    .filter(f => changed.has(f.path) || renamedTo.has(f.path))
+    .map(f => (renamedTo.has(f.path) ? { path: f.path, mode: f.mode, sha: gitBlobSha(f.content) } : f));
+}
+
+/**
+ * Bootstrap-managed paths (.github/workflows/, .github/scripts/) the feat
+ * branch differs from {project}-dev in once the push lands — what the PR
+ * into dev would change, not just what this push changes, so a retried or
+ * follow-up push still sees an earlier workflow change. Those files run in
+ * CI with the repo's token, so a feature push must not be able to rewrite
+ * them and then auto-merge itself.
+ *
+ * The project's `workflow_protection` setting decides what happens:
+ * "reject" (default) refuses the push with 403; "review" lets it through
+ * and the PR is labelled human-review-required, which feat-auto-merge
+ * never merges.
+ *
+ * @param {string} project
+ * @param {string[]} paths - resolvePush() `bootstrapChanges`
+ * @returns {{policy: string, paths: string[]}}
+ * @throws 403-tagged error (with `paths`) under the reject policy
+ */
+function protectedChanges(project, paths) {
+  const { workflow_protection: policy = 'reject' } = loadProjectConfig(project);
+  if (!PROTECTION_POLICIES.includes(policy)) {
+    throw new Error(`Project "${project}" workflow_protection must be one of: ${PROTECTION_POLICIES.join(', ')}`);
+  }
+
+  if (paths.length && policy === 'reject') {
+    throw Object.assign(
+      new Error(`Push refused: it changes bootstrap-managed path(s) ${paths.join(', ')}; `
+        + 'workflows are updated through POST /projects/:project/bootstrap'),
+      { status: 403, paths }
+    );
+  }
+  return { policy, paths };
+}
+
+/**
+ * Validate push options and read the files to push from `dir`, applying the
+ * project's ignore rules, the directory's .gitopsignore and the push's
+ * include/exclude patterns, then the project's limits and secret scanning
+ * policy — all before any GitHub call.
+ *
+ * @param {{project: string, dir: string, mode: string, include?: string[], exclude?: string[], exec_mode?: boolean}} opts
+ * @returns {{files: Array<{path, content, binary, mode}>, excluded: Array<{path, reason}>, redacted: Array<{path, line, rule}>,
+ *   isExcluded: (path: string) => boolean}}
+ * @throws 413/403-tagged error past the project's limits, 422 when the secret policy refuses the push
+ */
+function readPushFiles({ project, dir, mode, include, exclude, exec_mode = false }) {
+  if (!project) throw new Error('project is required');
+  if (!dir) throw new Error('dir is required');
+  if (!PUSH_MODES.includes(mode)) throw new Error(`mode must be one of: ${PUSH_MODES.join(', ')}`);
+
+  const config = loadProjectConfig(project);
+  const { files, excluded, isExcluded } = scanDir(dir, {
+    rules: projectIgnoreRules(project), include, exclude, limits: config.limits, project, execMode: exec_mode,
+  });
+  if (!files.length) {
+    throw new Error(`No files found in directory: ${dir}`
+      + (excluded.length ? ` (${excluded.length} path(s) excluded by ignore rules or include/exclude)` : ''));
+  }
+  const scanned = applySecretPolicy(files, config.secret_scan, project);
+  return { files: scanned.files, excluded, redacted: scanned.redacted, isExcluded };
+}
+
+/**
+ * The feat ID (branch suffix) a feat_name maps to.
+ *
+ * @param {string} featName
+ * @returns {string}
+ */
+function featIdFor(featName) {
+  return featName.replace(/[^a-zA-Z0-9._-]/g, '-').toLowerCase();
+}
+
+/**
+ * Work out where a push lands without writing anything: the feat branch,
+ * the commit it builds on and the diff against that commit's tree.
+ *
+ * The parent is the existing feat branch head (re-push) or the dev head
+ * (new branch). With no dev branch yet (dry run before the first push) the
+ * parent is null and files are compared against the bootstrap files the new
+ * dev branch would start with.
+ *
+ * @param {object} opts
+ * @param {string} opts.project
+ * @param {Array}  opts.files      - scanDir() files
+ * @param {string} [opts.feat_name]
+ * @param {string} opts.mode
+ * @param {string} opts.devBranch
+ * @param {(path: string) => boolean} [opts.isExcluded] - Paths outside the push's scope, never deleted by mirror
+ * @returns {Promise<{target, featId, branch, existingSha, mergeBase, parentSha, baseTree, files, changes, bootstrapChanges}>}
+ *   mergeBase: where an existing feat branch forked from dev (null for a new branch);
+ *   files: the input files, those without a mode taking the parent tree's (100644 if new);
+ *   bootstrapChanges: bootstrap-managed paths the branch will differ from dev in (see protectedChanges)
+ * @throws 409-tagged error if the feat branch belongs to another project
+ */
+async function resolvePush({ project, files, feat_name, mode, devBranch, isExcluded = () => false }) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+
+  const featId = feat_name ? featIdFor(feat_name) : uuidv4();
+  const branch = `${featBranchPrefix(project)}${featId}`;
+
+  const existingSha = await getBranchSha(repo, branch);
+  const devSha = await getBranchSha(repo, devBranch);
+  const mergeBase = existingSha && devSha ? await assertForkedFrom(repo, devBranch, branch) : null;
+
+  const parentSha = existingSha || devSha;
+  const baseTree = parentSha ? await getCommitTree(repo, parentSha) : null;
+  const remote = baseTree
+    ? await listTree(repo, baseTree)
+    : getBootstrapFiles(project).map(f => ({ path: f.path, sha: gitBlobSha(f.content), mode: '100644' }));
+
+  // Files read without exec_mode keep the mode they already have on the branch
+  const remoteModes = new Map(remote.map(e => [e.path, e.mode]));
+  const withModes = files.map(f => (f.mode ? f : { ...f, mode: remoteModes.get(f.path) || '100644' }));
+
+  // Diff against the parent tree so the PR can say what actually changed
+  // Mirror never deletes bootstrap files or paths the push's filters left out
+  const changes = diffTree(withModes, remote, { mode, keep: p => isBootstrapPath(p) || isExcluded(p) });
+
+  // Bootstrap files after the push vs. where the branch forked from dev — what the PR shows
+  const forkedFrom = mergeBase && mergeBase !== parentSha
+    ? await listTree(repo, await getCommitTree(repo, mergeBase))
+    : remote;
+  const forkShas = new Map(forkedFrom.map(e => [e.path, e.sha]));
+  const after = new Map(remote.filter(e => isBootstrapPath(e.path)).map(e => [e.path, e.sha]));
+  for (const f of files) if (isBootstrapPath(f.path)) after.set(f.path, gitBlobSha(f.content));
+  const bootstrapChanges = [...after].filter(([p, sha]) => forkShas.get(p) !== sha).map(([p]) => p).sort();
+
+  return { target, featId, branch, existingSha, mergeBase, parentSha, baseTree, files: withModes, changes, bootstrapChanges };
+}
+
+/**
+ * Label a PR human-review-required. Unlike the other labels this one is
+ * what keeps a workflow change from auto-merging, so failure is fatal.
+ *
+ * @param {string} repo
+ * @param {number} number
+ */
+async function addReviewLabel(repo, number) {
+  await githubApi(`${repo}/issues/${number}/labels`, {
+    method: 'POST',
+    body: JSON.stringify({ labels: [REVIEW_LABEL] }),
+  });
+  console.log(`[create-feat-branch] PR#${number} changes bootstrap-managed files — labelled ${REVIEW_LABEL}`);
+}
 
 /**
- * Create a feat/<name|uuid> branch under a project's dev branch,
- * push files, and open a PR to {project}-dev.
+ * Create a feat/<project>/<name|uuid> branch under a project's dev branch,
+ * push all files as a single commit, and open a PR to {project}-dev.
+ *
+ * Files go through the Git Data API (blobs → tree → commit) and the branch
+ * ref is only created or moved once the commit exists, so a failed push
+ * never leaves a partially written branch.
+ *
+ * In 'mirror' mode the branch tree becomes exactly the directory contents:
+ * files missing from `dir` are deleted (bootstrap-managed .github/ paths
+ * excepted) and exact-content moves are reported as renames.
+ *
+ * Only added, modified and renamed files are uploaded, decided by comparing
+ * locally computed git blob SHAs with the parent tree. When nothing differs
+ * no commit is made and `changed: false` is returned with the branch head
+ * and open PR as they are (both null if the branch does not exist yet).
+ * A branch with commits but no open PR — an earlier attempt moved the ref
+ * and then failed — gets its PR opened and labelled then.
+ *
+ * Changes to bootstrap-managed .github/ files are refused or force the
+ * human-review-required label, per the project's `workflow_protection`.
  *
  * Branch hierarchy (all idempotently created):
- *   main → {project}-master → {project}-dev → feat/<feat_name|uuid>
+ *   main → {project}-master → {project}-dev → feat/<project>/<feat_name|uuid>
+ *
+ * The branches live in the repository the project registry maps the
+ * project to (GH_OWNER/GH_REPO by default).
  *
  * @param {object} opts
  * @param {string}   opts.project                  - Project identifier (e.g. 'proj-a')
@@ -17,87 +266,75 @@ const { readDirFiles } = require('./read-dir-files');
  * @param {string}   [opts.feat_name]              - Optional branch suffix; defaults to UUID
  * @param {string[]} [opts.labels=[]]              - Extra labels beyond 'automated'
  * @param {string}   [opts.source]                 - Identifier of calling service
- * @returns {Promise<{feat_id, branch, pr_number, pr_url, project, dev_branch}>}
+ * @param {'merge'|'mirror'} [opts.mode='merge']   - 'mirror' also deletes files missing from dir (except excluded paths)
+ * @param {string[]} [opts.include]                - Only push paths matching these gitignore-style patterns
+ * @param {string[]} [opts.exclude]                - Never push paths matching these patterns
+ * @param {boolean}  [opts.exec_mode=false]        - Commit owner-executable files as 100755 and the rest as 100644;
+ *                                                   otherwise files keep their mode on the branch
+ * @returns {Promise<{changed, feat_id, branch, project, repo, dev_branch, mode, commit_sha, changes, binary_files, excluded, redacted, protected_paths, pr_number, pr_url}>}
+ * @throws 403-tagged error if the push changes bootstrap-managed files and the project rejects that
  */
-async function createFeatBranch({ project, dir, description, feat_name, labels = [], source }) {
-  if (!project) throw new Error('project is required');
-  if (!dir) throw new Error('dir is required');
-
-  const files = readDirFiles(dir);
-  if (!files.length) throw new Error(`No files found in directory: ${dir}`);
-
-  const repo = repoPath();
+async function createFeatBranch({
+  project, dir, description, feat_name, labels = [], source, mode = 'merge', include, exclude, exec_mode,
+}) {
+  const { files: read, excluded, redacted, isExcluded } = readPushFiles({ project, dir, mode, include, exclude, exec_mode });
+  const binaryFiles = read.filter(f => f.binary).map(f => f.path);
 
   // Ensure project branch hierarchy exists (idempotent bootstrap)
   const { devBranch } = await ensureProject(project);
 
-  const featId = feat_name
-    ? feat_name.replace(/[^a-zA-Z0-9._-]/g, '-').toLowerCase()
-    : uuidv4();
-  const branch = `feat/${featId}`;
+  const { target, featId, branch, existingSha, mergeBase, parentSha, baseTree, files, changes, bootstrapChanges } =
+    await resolvePush({ project, files: read, feat_name, mode, devBranch, isExcluded });
+  const repo = target.path;
+  if (!parentSha) throw new Error(`Dev branch not found: ${devBranch}`);
+  const protectedPaths = protectedChanges(project, bootstrapChanges).paths;
 
-  // Get dev branch SHA
-  const baseRef = await githubApi(`${repo}/git/ref/heads/${devBranch}`);
-  const baseSha = baseRef.object.sha;
+  // Label an existing PR before its branch moves (and on a no-op retry after
+  // a failed label), so a workflow change is never on an unlabelled PR
+  let pr = await findOpenPull(target, branch, devBranch);
+  if (pr && protectedPaths.length) await addReviewLabel(repo, pr.number);
 
-  // Create feat branch off project-dev
-  try {
-    await githubApi(`${repo}/git/refs`, {
-      method: 'POST',
-      body: JSON.stringify({
-        ref: `refs/heads/${branch}`,
-        sha: baseSha,
-      }),
-    });
-  } catch (err) {
-    if (err.status !== 422) throw err;
-    // Branch already exists (e.g. re-push with same feat_name) — continue
-    console.warn(`[create-feat-branch] Branch ${branch} already exists — pushing files onto it`);
-  }
-
-  // Push files sequentially — GitHub Contents API requires sequential writes per branch
-  for (const file of files) {
-    let existingSha;
-    try {
-      const existing = await githubApi(`${repo}/contents/${file.path}?ref=${branch}`);
-      existingSha = existing.sha;
-    } catch (_) {
-      // New file — no existing SHA needed
-    }
-
-    const body = {
-      message: `feat(${featId.slice(0, 8)}): add ${file.path}`,
-      content: Buffer.from(file.content).toString('base64'),
-      branch,
-    };
-    if (existingSha) body.sha = existingSha;
-
-    await githubApi(`${repo}/contents/${file.path}`, {
-      method: 'PUT',
-      body: JSON.stringify(body),
-    });
-  }
-
-  // Check if a PR already exists for this branch
-  const existingPRs = await githubApi(
-    `${repo}/pulls?head=${encodeURIComponent(`${process.env.GH_OWNER}:${branch}`)}&base=${devBranch}&state=open`
-  );
+  const result = {
+    feat_id: featId,
+    branch,
+    project,
+    repo: target.full_name,
+    dev_branch: devBranch,
+    mode,
+    changes: {
+      added: changes.added,
+      modified: changes.modified,
+      deleted: changes.deleted,
+      renamed: changes.renamed,
+    },
+    binary_files: binaryFiles,
+    excluded,
+    redacted,
+    protected_paths: protectedPaths,
+  };
 
-  let pr;
-  if (existingPRs.length > 0) {
-    pr = existingPRs[0];
-    console.log(`[create-feat-branch] PR already exists: #${pr.number}`);
-  } else {
+  // Open the PR with its labels; also used when an earlier attempt moved the
+  // branch but failed before the PR was created
+  const openPull = async () => {
     const prBody = [
       description || 'Automated push from external service',
       source ? `\n**Source:** ${source}` : '',
       `\n**Project:** \`${project}\``,
       `\n**Feat ID:** \`${featId}\``,
       `\n**Directory:** \`${dir}\``,
-      `\n**Files pushed:** ${files.map(f => `\`${f.path}\``).join(', ')}`,
+      `\n**Mode:** \`${mode}\``,
+      formatChanges(changes),
+      binaryFiles.length ? `\n**Binary files:** ${binaryFiles.map(p => `\`${p}\``).join(', ')}` : '',
+      redacted.length
+        ? `\n**Secrets redacted (${redacted.length}):** ${redacted.map(f => `\`${f.path}:${f.line}\` (${f.rule})`).join(', ')}`
+        : '',
+      excluded.length ? `\n**Excluded (${excluded.length}):** ${excluded.map(e => `\`${e.path}\``).join(', ')}` : '',
+      protectedPaths.length
+        ? `\n**⚠️ Changes bootstrap-managed files — human review required:** ${protectedPaths.map(p => `\`${p}\``).join(', ')}`
+        : '',
     ].filter(Boolean).join('');
 
-    pr = await githubApi(`${repo}/pulls`, {
+    const created = await githubApi(`${repo}/pulls`, {
       method: 'POST',
       body: JSON.stringify({
         title: description || `feat(${project}): ${featId.slice(0, 8)}`,
@@ -109,20 +346,136 @@ async function createFeatBranch({ project, dir, description, feat_name, labels =
 
     // Add labels — always include 'automated'; non-fatal on failure
     const allLabels = ['automated', project, ...labels].filter(Boolean);
-    await githubApi(`${repo}/issues/${pr.number}/labels`, {
+    await githubApi(`${repo}/issues/${created.number}/labels`, {
       method: 'POST',
       body: JSON.stringify({ labels: allLabels }),
-    }).catch(err => console.warn(`[create-feat-branch] label error PR#${pr.number}: ${err.message}`));
+    }).catch(err => console.warn(`[create-feat-branch] label error PR#${created.number}: ${err.message}`));
+    if (protectedPaths.length) await addReviewLabel(repo, created.number);
+    return created;
+  };
+
+  // Identical content on the branch already: no commit, so no CI or review run
+  const written = changedFiles(files, changes);
+  if (!written.length && !changes.deleted.length) {
+    console.log(`[create-feat-branch] No changes for ${branch} — nothing pushed`);
+    // The branch has commits but no PR (e.g. a replay after the PR call failed): open it now
+    if (existingSha && existingSha !== mergeBase && !pr) pr = await openPull();
+    return {
+      changed: false,
+      ...result,
+      commit_sha: existingSha,
+      pr_number: pr ? pr.number : null,
+      pr_url: pr ? pr.html_url : null,
+    };
+  }
+  if (existingSha) console.warn(`[create-feat-branch] Branch ${branch} already exists — committing onto it`);
+
+  // Build blobs → tree → one commit; the branch is untouched until the ref moves below
+  const commit = await createCommit({
+    repo,
+    files: written,
+    message: `feat(${featId.slice(0, 8)}): push ${written.length} file(s)`
+      + (changes.deleted.length ? `, delete ${changes.deleted.length}` : ''),
+    parents: [parentSha],
+    baseTree,
+    deletions: [...changes.deleted, ...changes.renamed.map(r => r.from)],
+  });
+
+  // Move the feat branch to the new commit in a single step
+  if (existingSha) {
+    // force: false — fails (422) rather than clobber a concurrent push to the same branch
+    await githubApi(`${repo}/git/refs/heads/${branch}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ sha: commit.sha, force: false }),
+    });
+  } else {
+    await githubApi(`${repo}/git/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/heads/${branch}`, sha: commit.sha }),
+    });
+  }
+
+  if (pr) {
+    console.log(`[create-feat-branch] PR already exists: #${pr.number}`);
+
+    // Record what this re-push changed on the existing PR — non-fatal on failure
+    await githubApi(`${repo}/issues/${pr.number}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({
+        body: `**Re-push** (${mode}) → \`${commit.sha.slice(0, 7)}\`${formatChanges(changes)}`,
+      }),
+    }).catch(err => console.warn(`[create-feat-branch] comment error PR#${pr.number}: ${err.message}`));
+  } else {
+    pr = await openPull();
   }
 
   return {
+    changed: true,
+    ...result,
+    commit_sha: commit.sha,
+    pr_number: pr.number,
+    pr_url: pr.html_url,
+  };
+}
+
+/**
+ * Dry run of createFeatBranch(): read the directory and report what a push
+ * would do, through the same diff, without bootstrapping or writing anything.
+ *
+ * @param {object} opts - Same as createFeatBranch (description, labels and source are ignored)
+ * @returns {Promise<{dry_run: true, feat_id, branch, project, repo, dev_branch, mode, branch_exists, base_sha,
+ *   bootstrap: {needed, master_exists, dev_exists, outdated_files}, files: Array<{path, status, from?}>,
+ *   changes, binary_files, excluded, redacted, protected_paths, pr_exists, pr_number, pr_url}>}
+ * @throws the same 403/409/413/422 errors the push itself would
+ */
+async function planFeatBranch({ project, dir, feat_name, mode = 'merge', include, exclude, exec_mode }) {
+  const { files, excluded, redacted, isExcluded } = readPushFiles({ project, dir, mode, include, exclude, exec_mode });
+  const bootstrap = await bootstrapStatus(project);
+  const { devBranch } = bootstrap;
+
+  const { target, featId, branch, existingSha, parentSha, changes, bootstrapChanges } =
+    await resolvePush({ project, files, feat_name, mode, devBranch, isExcluded });
+  const protectedPaths = protectedChanges(project, bootstrapChanges).paths;
+  const pr = bootstrap.devSha ? await findOpenPull(target, branch, devBranch) : null;
+
+  return {
+    dry_run: true,
     feat_id: featId,
     branch,
     project,
+    repo: target.full_name,
     dev_branch: devBranch,
-    pr_number: pr.number,
-    pr_url: pr.html_url,
+    mode,
+    branch_exists: Boolean(existingSha),
+    base_sha: parentSha,
+    bootstrap: {
+      needed: bootstrap.needed,
+      master_exists: Boolean(bootstrap.masterSha),
+      dev_exists: Boolean(bootstrap.devSha),
+      outdated_files: bootstrap.outdatedFiles,
+    },
+    files: [
+      ...changes.added.map(p => ({ path: p, status: 'added' })),
+      ...changes.modified.map(p => ({ path: p, status: 'modified' })),
+      ...changes.unchanged.map(p => ({ path: p, status: 'unchanged' })),
+      ...changes.deleted.map(p => ({ path: p, status: 'deleted' })),
+      ...changes.renamed.map(r => ({ path: r.to, status: 'renamed', from: r.from })),
+    ].sort((a, b) => a.path.localeCompare(b.path)),
+    changes: {
+      added: changes.added,
+      modified: changes.modified,
+      unchanged: changes.unchanged,
+      deleted: changes.deleted,
+      renamed: changes.renamed,
+    },
+    binary_files: files.filter(f => f.binary).map(f => f.path),
+    excluded,
+    redacted,
+    protected_paths: protectedPaths,
+    pr_exists: Boolean(pr),
+    pr_number: pr ? pr.number : null,
+    pr_url: pr ? pr.html_url : null,
   };
 }
 
-module.exports = { createFeatBranch };
+module.exports = { createFeatBranch, planFeatBranch, readPushFiles, featIdFor, PUSH_MODES };
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * GitHub credentials: a static token (PAT) or a GitHub App installation.
+ *
+ * For an App, a short-lived JWT is signed locally with the app's private key
+ * and exchanged for an installation token, which is cached and replaced
+ * GH_APP_TOKEN_REFRESH_MS before it expires. Commits and PRs made with it
+ * are attributed to the app's bot account.
+ */
+
+const GH_API_TIMEOUT_MS = parseInt(process.env.GH_API_TIMEOUT_MS || '30000', 10);
+const GH_APP_TOKEN_REFRESH_MS = parseInt(process.env.GH_APP_TOKEN_REFRESH_MS || String(5 * 60 * 1000), 10);
+
+// GitHub rejects app JWTs valid for more than 10 minutes; backdate iat for clock drift
+const JWT_TTL_S = 9 * 60;
+const JWT_BACKDATE_S = 60;
+
+const base64url = (buf) => Buffer.from(buf).toString('base64url');
+
+/**
+ * Sign an RS256 JWT identifying the app itself (not an installation).
+ *
+ * @param {object} opts
+ * @param {string} opts.appId
+ * @param {string} opts.privateKey - PEM
+ * @param {number} [opts.now=Date.now()]
+ * @returns {string}
+ */
+function createAppJwt({ appId, privateKey, now = Date.now() }) {
+  const iat = Math.floor(now / 1000) - JWT_BACKDATE_S;
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat, exp: iat + JWT_TTL_S, iss: String(appId) }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Exchange an app JWT for an installation access token.
+ *
+ * @returns {Promise<{token: string, expires_at: string}>}
+ * @throws 502-tagged error if GitHub refuses the exchange
+ */
+async function fetchInstallationToken({ apiUrl, appId, privateKey, installationId }) {
+  const res = await fetch(`${apiUrl}/app/installations/${installationId}/access_tokens`, {
+    method: 'POST',
+    signal: AbortSignal.timeout(GH_API_TIMEOUT_MS),
+    headers: {
+      Authorization: `Bearer ${createAppJwt({ appId, privateKey })}`,
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+    },
+  });
+  const text = await res.text();
+  if (!res.ok) {
+    throw Object.assign(
+      new Error(`GitHub App token exchange failed (${res.status}): ${text}`),
+      { status: 502 }
+    );
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Build a token provider for one set of credentials.
+ *
+ * @param {{token: string} | {appId: string, privateKey: string, installationId: string}} spec
+ * @param {object} opts
+ * @param {string} opts.apiUrl - API base URL, e.g. https://api.github.com
+ * @returns {{kind: 'token'|'app', getToken: () => Promise<string>, invalidate: () => void}}
+ */
+function createTokenProvider(spec, { apiUrl }) {
+  if (spec.token) {
+    return { kind: 'token', getToken: async () => spec.token, invalidate() {} };
+  }
+
+  let cached = null;  // { token, expiresAt }
+  let pending = null; // in-flight exchange shared by concurrent callers
+
+  return {
+    kind: 'app',
+    async getToken() {
+      if (cached && cached.expiresAt - GH_APP_TOKEN_REFRESH_MS > Date.now()) return cached.token;
+      if (!pending) {
+        pending = fetchInstallationToken({ apiUrl, ...spec })
+          .then(({ token, expires_at }) => {
+            cached = { token, expiresAt: Date.parse(expires_at) };
+            console.log(`[github] Installation token refreshed (expires ${expires_at})`);
+            return token;
+          })
+          .finally(() => { pending = null; });
+      }
+      return pending;
+    },
+    /** Drop the cached token, e.g. after GitHub answers 401 */
+    invalidate() {
+      cached = null;
+    },
+  };
+}
+
+/**
+ * Credentials from the environment: GitHub App settings when GH_APP_ID is
+ * set, otherwise GH_TOKEN.
+ *
+ * GH_APP_PRIVATE_KEY may hold the PEM with literal "\n" sequences (env files
+ * cannot hold multi-line values); GH_APP_PRIVATE_KEY_PATH points to a file.
+ *
+ * @param {object} [env=process.env]
+ * @returns {{token: string} | {appId: string, privateKey: string, installationId: string}}
+ * @throws if neither complete set is configured
+ */
+function credentialsFromEnv(env = process.env) {
+  if (env.GH_APP_ID) {
+    const privateKey = env.GH_APP_PRIVATE_KEY
+      ? env.GH_APP_PRIVATE_KEY.replace(/\\n/g, '\n')
+      : env.GH_APP_PRIVATE_KEY_PATH && fs.readFileSync(env.GH_APP_PRIVATE_KEY_PATH, 'utf8');
+    if (!privateKey) throw new Error('GH_APP_ID is set but neither GH_APP_PRIVATE_KEY nor GH_APP_PRIVATE_KEY_PATH is');
+    if (!env.GH_APP_INSTALLATION_ID) throw new Error('GH_APP_ID is set but GH_APP_INSTALLATION_ID is not');
+    crypto.createPrivateKey(privateKey); // fail at startup, not on the first push
+    return { appId: env.GH_APP_ID, privateKey, installationId: env.GH_APP_INSTALLATION_ID };
+  }
+  if (env.GH_TOKEN) return { token: env.GH_TOKEN };
+  throw new Error('Set GH_TOKEN, or GH_APP_ID + GH_APP_PRIVATE_KEY(_PATH) + GH_APP_INSTALLATION_ID');
+}
+
+module.exports = { createAppJwt, createTokenProvider, credentialsFromEnv };
@@ -1,4 +1,5 @@
-const { githubApi, repoPath } = require('./api');
+const { githubApi } = require('./api');
+const { resolveRepo } = require('../projects/registry');
 
 /**
  * Ensure a branch exists. If missing, creates it from sourceBranch.
@@ -6,9 +7,10 @@ const { githubApi, repoPath } = require('./api');
  *
  * @param {string} branch       - Branch to ensure exists (e.g. 'dev')
  * @param {string} sourceBranch - Branch to fork from if missing (e.g. 'main')
+ * @param {string} [project]    - Resolve the repository via the project registry (default repo if omitted)
  */
-async function ensureBranch(branch, sourceBranch = 'main') {
-  const repo = repoPath();
+async function ensureBranch(branch, sourceBranch = 'main', project) {
+  const repo = resolveRepo(project).path;
 
   try {
     await githubApi(`${repo}/git/ref/heads/${branch}`);
@@ -1,15 +1,17 @@
 const fs = require('fs');
 const path = require('path');
-const { githubApi, repoPath } = require('./api');
+const { githubApi } = require('./api');
 const { ensureBranch } = require('./ensure-branch');
+const { createCommit, getBranchSha, getCommitTree, listTree } = require('./git-data');
+const { diffTree } = require('./tree-diff');
+const { projectsDir, resolveRepo } = require('../projects/registry');
 
-const PROJECTS_DIR = path.resolve(__dirname, '../../projects');
-const DEFAULT_WORKFLOWS_DIR = path.join(PROJECTS_DIR, '_default', 'workflows');
 const AGENTS_DIR = path.resolve(__dirname, '../../agents/code-review');
 
 /**
  * Return all files to bootstrap onto {project}-master:
- *   - .github/workflows/*.yml  (project-specific or _default)
+ *   - .github/workflows/*.yml  (project-specific or _default, with every
+ *     `__PROJECT__` replaced by the project name)
  *   - .github/scripts/review.js  (code review agent — bundled, no external dep)
  *   - .github/scripts/prompt.md  (review prompt)
  *
@@ -17,16 +19,16 @@ const AGENTS_DIR = path.resolve(__dirname, '../../agents/code-review');
  * @returns {Array<{path: string, content: string}>}
  */
 function getBootstrapFiles(project) {
-  const projectWorkflowsDir = path.join(PROJECTS_DIR, project, 'workflows');
+  const projectWorkflowsDir = path.join(projectsDir(), project, 'workflows');
   const workflowsDir = fs.existsSync(projectWorkflowsDir)
     ? projectWorkflowsDir
-    : DEFAULT_WORKFLOWS_DIR;
+    : path.join(projectsDir(), '_default', 'workflows');
 
   const workflowFiles = fs.readdirSync(workflowsDir)
     .filter(f => f.endsWith('.yml') || f.endsWith('.yaml'))
     .map(f => ({
       path: `.github/workflows/${f}`,
-      content: fs.readFileSync(path.join(workflowsDir, f), 'utf8'),
+      content: fs.readFileSync(path.join(workflowsDir, f), 'utf8').replace(/__PROJECT__/g, project),
     }));
 
   const agentFiles = ['review.js', 'prompt.md']
@@ -47,15 +49,14 @@ function getBootstrapFiles(project) {
  *   2. .github/workflows/ + .github/scripts/ committed onto {project}-master
  *   3. {project}-dev     — forked from {project}-master
  *
+ * in the repository the project registry routes the project to.
+ *
  * @param {string} project  - Project identifier (e.g. 'proj-a')
  * @returns {Promise<{masterBranch: string, devBranch: string}>}
  */
 async function ensureProject(project) {
-  if (!project || !/^[a-zA-Z0-9_-]+$/.test(project)) {
-    throw new Error(`Invalid project name: "${project}". Use only letters, numbers, hyphens, underscores.`);
-  }
+  assertProjectName(project);
 
-  const repo = repoPath();
   const masterBranch = `${project}-master`;
   const devBranch = `${project}-dev`;
 
@@ -69,11 +70,50 @@ async function ensureProject(project) {
   }
 
   // 3. Ensure {project}-dev exists (fork from {project}-master)
-  await ensureBranch(devBranch, masterBranch);
+  await ensureBranch(devBranch, masterBranch, project);
 
   return { masterBranch, devBranch };
 }
 
+/**
+ * What ensureProject() would do for a project, without writing anything:
+ * which branches are missing and which bootstrap files on {project}-master
+ * differ from the current templates (compared by git blob SHA).
+ *
+ * @param {string} project
+ * @returns {Promise<{masterBranch, devBranch, masterSha, devSha, needed: boolean, outdatedFiles: string[]}>}
+ */
+async function bootstrapStatus(project) {
+  assertProjectName(project);
+  const repo = resolveRepo(project).path;
+  const masterBranch = `${project}-master`;
+  const devBranch = `${project}-dev`;
+
+  const masterSha = await getBranchSha(repo, masterBranch);
+  const devSha = await getBranchSha(repo, devBranch);
+
+  let outdatedFiles = getBootstrapFiles(project).map(f => f.path);
+  if (masterSha) {
+    const { added, modified } = diffTree(getBootstrapFiles(project), await listTree(repo, await getCommitTree(repo, masterSha)));
+    outdatedFiles = [...added, ...modified];
+  }
+
+  return {
+    masterBranch,
+    devBranch,
+    masterSha,
+    devSha,
+    needed: !masterSha || !devSha || outdatedFiles.length > 0,
+    outdatedFiles,
+  };
+}
+
+function assertProjectName(project) {
+  if (!project || !/^[a-zA-Z0-9_-]+$/.test(project)) {
+    throw new Error(`Invalid project name: "${project}". Use only letters, numbers, hyphens, underscores.`);
+  }
+}
+
 /**
  * Create an orphan branch with all bootstrap files committed atomically.
  * Uses the low-level Git Data API:
@@ -89,7 +129,7 @@ async function ensureProject(project) {
  * @returns {Promise<boolean>}
  */
 async function ensureOrphanBranch(branch, project) {
-  const repo = repoPath();
+  const repo = resolveRepo(project).path;
 
   // Check if branch already exists
   try {
@@ -101,37 +141,12 @@ async function ensureOrphanBranch(branch, project) {
 
   const bootstrapFiles = getBootstrapFiles(project);
 
-  // Create a blob for each file
-  const treeEntries = await Promise.all(bootstrapFiles.map(async (file) => {
-    const blob = await githubApi(`${repo}/git/blobs`, {
-      method: 'POST',
-      body: JSON.stringify({
-        content: file.content,
-        encoding: 'utf-8',
-      }),
-    });
-    return {
-      path: file.path,
-      mode: '100644',
-      type: 'blob',
-      sha: blob.sha,
-    };
-  }));
-
-  // Build tree from blobs (no base_tree = clean root with only these files)
-  const tree = await githubApi(`${repo}/git/trees`, {
-    method: 'POST',
-    body: JSON.stringify({ tree: treeEntries }),
-  });
-
-  // Create root commit (no parents)
-  const commit = await githubApi(`${repo}/git/commits`, {
-    method: 'POST',
-    body: JSON.stringify({
-      message: `chore(gitops): bootstrap ${branch}`,
-      tree: tree.sha,
-      parents: [],
-    }),
+  // Blobs → tree (no base_tree = clean root with only these files) → root commit
+  const commit = await createCommit({
+    repo,
+    files: bootstrapFiles,
+    message: `chore(gitops): bootstrap ${branch}`,
+    parents: [],
   });
 
   // Create branch ref
@@ -149,51 +164,61 @@ async function ensureOrphanBranch(branch, project) {
 }
 
 /**
- * Upsert bootstrap files onto an existing branch using the Contents API.
- * Skips files whose content is already identical.
+ * Upsert bootstrap files onto an existing branch as a single Git Data commit.
+ * Templates are compared with the branch tree by locally computed git blob
+ * SHA (as for pushes), so identical files are skipped and nothing is
+ * committed when all of them are up to date.
  *
  * @param {string} branch
  * @param {string} project
  */
 async function upsertBootstrapFiles(branch, project) {
-  const repo = repoPath();
-  const bootstrapFiles = getBootstrapFiles(project);
-  let updated = 0;
-
-  for (const file of bootstrapFiles) {
-    let existingSha;
-    let existingContent;
-    try {
-      const existing = await githubApi(`${repo}/contents/${file.path}?ref=${branch}`);
-      existingSha = existing.sha;
-      existingContent = existing.content.replace(/\n/g, '');
-    } catch (_) { /* new file */ }
-
-    const newContent = Buffer.from(file.content).toString('base64');
-
-    if (existingSha && existingContent === newContent.replace(/\n/g, '')) {
-      continue; // identical — skip
-    }
-
-    const body = {
-      message: `chore(gitops): update ${file.path} for project ${project}`,
-      content: newContent,
-      branch,
-    };
-    if (existingSha) body.sha = existingSha;
-
-    await githubApi(`${repo}/contents/${file.path}`, {
-      method: 'PUT',
-      body: JSON.stringify(body),
-    });
-    updated++;
-  }
+  const repo = resolveRepo(project).path;
+  const headSha = await getBranchSha(repo, branch);
+  const baseTree = await getCommitTree(repo, headSha);
+  const { added, modified } = diffTree(getBootstrapFiles(project), await listTree(repo, baseTree));
+  const outdated = new Set([...added, ...modified]);
 
-  if (updated > 0) {
-    console.log(`[ensure-project] Updated ${updated} file(s) on ${branch}`);
-  } else {
+  if (!outdated.size) {
     console.log(`[ensure-project] All bootstrap files up-to-date on ${branch}`);
+    return;
   }
+
+  const commit = await createCommit({
+    repo,
+    files: getBootstrapFiles(project).filter(f => outdated.has(f.path)),
+    message: `chore(gitops): update ${[...outdated].join(', ')} for project ${project}`,
+    parents: [headSha],
+    baseTree,
+  });
+  // force: false — a concurrent commit on the branch fails this update rather than being overwritten
+  await githubApi(`${repo}/git/refs/heads/${branch}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ sha: commit.sha, force: false }),
+  });
+  console.log(`[ensure-project] Updated ${outdated.size} file(s) on ${branch}`);
+}
+
+/**
+ * Prefix of a project's feature branches, feat/<project>/, so that
+ * same-named features of different projects never share a branch.
+ *
+ * @param {string} project
+ * @returns {string}
+ */
+function featBranchPrefix(project) {
+  return `feat/${project}/`;
+}
+
+/**
+ * True if a path is managed by the bootstrap (workflows and review agent),
+ * i.e. owned by this service rather than by pushes.
+ *
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isBootstrapPath(filePath) {
+  return filePath.startsWith('.github/workflows/') || filePath.startsWith('.github/scripts/');
 }
 
-module.exports = { ensureProject };
+module.exports = { ensureProject, bootstrapStatus, getBootstrapFiles, isBootstrapPath, featBranchPrefix };
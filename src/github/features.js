@@ -0,0 +1,219 @@
+const { githubApi } = require('./api');
+const { getBranchSha } = require('./git-data');
+const { featBranchPrefix } = require('./ensure-project');
+const { resolveRepo } = require('../projects/registry');
+
+/**
+ * Lifecycle of the features createFeatBranch() pushes: one
+ * feat/<project>/<feat_id> branch and its PR into {project}-dev.
+ *
+ * The PR body starts with the push's description, followed by the
+ * metadata lines createFeatBranch() writes (**Source:**, **Project:**, ...);
+ * edits replace the description and keep the metadata, which promotion
+ * changelogs read.
+ */
+
+const FEATURE_STATES = ['open', 'closed', 'all'];
+// Labels the service and the workflows manage; PATCH never removes them
+const MANAGED_LABELS = ['automated', 'human-review-required'];
+// Conclusions that fail a check run (as feat-auto-merge.yml counts them)
+const FAILED_CONCLUSIONS = new Set(['failure', 'cancelled', 'timed_out', 'action_required']);
+const REVIEW_RE = /^## .*Code Review — (APPROVE|REQUEST_CHANGES|COMMENT)\b/;
+
+function notFound(project, featId) {
+  return Object.assign(new Error(`Feature not found: ${project}/${featId}`), { status: 404 });
+}
+
+/**
+ * Split a PR body into the caller's description and the metadata block.
+ *
+ * @param {string|null} body
+ * @returns {{description: string, meta: string}}
+ */
+function splitBody(body) {
+  const text = body || '';
+  const at = text.search(/\n\*\*(?:Source|Project):\*\*/);
+  return at === -1 ? { description: text, meta: '' } : { description: text.slice(0, at), meta: text.slice(at) };
+}
+
+/** The fields every feature view shares, from a GitHub pull request. */
+function summarize(project, pr) {
+  return {
+    feat_id: pr.head.ref.slice(featBranchPrefix(project).length),
+    branch: pr.head.ref,
+    pr_number: pr.number,
+    url: pr.html_url,
+    title: pr.title,
+    state: pr.merged_at ? 'merged' : pr.state,
+    draft: Boolean(pr.draft),
+    labels: (pr.labels || []).map(l => l.name),
+    created_at: pr.created_at,
+    updated_at: pr.updated_at,
+    merged_at: pr.merged_at || null,
+  };
+}
+
+/**
+ * The feature's PR: the open one if any, otherwise the most recent.
+ *
+ * @returns {Promise<object|null>}
+ */
+async function findPull(target, project, branch) {
+  const pulls = await githubApi(
+    `${target.path}/pulls?head=${encodeURIComponent(`${target.owner}:${branch}`)}&base=${project}-dev&state=all`
+  );
+  return pulls.find(p => p.state === 'open') || pulls.sort((a, b) => b.number - a.number)[0] || null;
+}
+
+/**
+ * Check runs on a commit, rolled up the way the auto-merge gate reads them.
+ *
+ * @returns {Promise<{state: 'none'|'pending'|'success'|'failure', runs: Array<{name, status, conclusion, url}>}>}
+ */
+async function checksFor(repo, sha) {
+  const { check_runs: checkRuns = [] } = await githubApi(`${repo}/commits/${sha}/check-runs?per_page=100`);
+  const runs = checkRuns.map(r => ({ name: r.name, status: r.status, conclusion: r.conclusion, url: r.html_url }));
+  let state = 'success';
+  if (!runs.length) state = 'none';
+  else if (runs.some(r => r.status !== 'completed')) state = 'pending';
+  else if (runs.some(r => FAILED_CONCLUSIONS.has(r.conclusion))) state = 'failure';
+  return { state, runs };
+}
+
+/**
+ * The latest code-review agent verdict, from the comment it posts on the PR.
+ *
+ * @returns {Promise<{outcome, at, url}|null>}
+ */
+async function latestReview(repo, number) {
+  const comments = await githubApi(`${repo}/issues/${number}/comments?per_page=100`);
+  const review = comments.filter(c => REVIEW_RE.test(c.body || '')).pop();
+  return review ? { outcome: review.body.match(REVIEW_RE)[1], at: review.created_at, url: review.html_url } : null;
+}
+
+/**
+ * A project's features, newest PR first (first 100).
+ *
+ * @param {string} project
+ * @param {object} [opts]
+ * @param {'open'|'closed'|'all'} [opts.state='open'] - 'closed' includes merged
+ * @returns {Promise<Array<object>>} summaries: feat_id, branch, pr_number, url, title, state, draft, labels, ...
+ */
+async function listFeatures(project, { state = 'open' } = {}) {
+  const target = resolveRepo(project);
+  const prefix = featBranchPrefix(project);
+  const pulls = await githubApi(`${target.path}/pulls?base=${encodeURIComponent(`${project}-dev`)}&state=${state}&per_page=100`);
+  return pulls
+    .filter(pr => pr.head.ref.startsWith(prefix))
+    .sort((a, b) => b.number - a.number)
+    .map(pr => summarize(project, pr));
+}
+
+/**
+ * One feature: its PR, the branch head, the check runs on it and the
+ * latest code-review verdict. A branch whose PR was never opened is
+ * reported with the PR fields null.
+ *
+ * @param {string} project
+ * @param {string} featId
+ * @returns {Promise<object>}
+ * @throws 404-tagged error if neither the branch nor a PR exists
+ */
+async function getFeature(project, featId) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const branch = `${featBranchPrefix(project)}${featId}`;
+
+  const sha = await getBranchSha(repo, branch);
+  const pr = await findPull(target, project, branch);
+  if (!sha && !pr) throw notFound(project, featId);
+
+  const base = pr ? summarize(project, pr) : {
+    feat_id: featId, branch, pr_number: null, url: null, title: null, state: null,
+    draft: false, labels: [], created_at: null, updated_at: null, merged_at: null,
+  };
+  return {
+    ...base,
+    description: pr ? splitBody(pr.body).description : null,
+    branch_sha: sha,
+    checks: sha ? await checksFor(repo, sha) : { state: 'none', runs: [] },
+    review: pr ? await latestReview(repo, pr.number) : null,
+  };
+}
+
+/**
+ * Edit a feature's PR title, description and labels.
+ *
+ * `labels` replaces the caller's labels; the service-managed ones already
+ * on the PR (automated, the project name, human-review-required) are kept,
+ * so an edit can never lift a review hold.
+ *
+ * @param {string} project
+ * @param {string} featId
+ * @param {{title?: string, description?: string, labels?: string[]}} changes
+ * @returns {Promise<object>} getFeature() after the edit
+ * @throws 404-tagged error if the feature has no PR
+ */
+async function updateFeature(project, featId, { title, description, labels }) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const pr = await findPull(target, project, `${featBranchPrefix(project)}${featId}`);
+  if (!pr) throw notFound(project, featId);
+
+  const patch = {};
+  if (title !== undefined) patch.title = title;
+  if (description !== undefined) patch.body = `${description}${splitBody(pr.body).meta}`;
+  if (Object.keys(patch).length) {
+    await githubApi(`${repo}/pulls/${pr.number}`, { method: 'PATCH', body: JSON.stringify(patch) });
+  }
+
+  if (labels !== undefined) {
+    const managed = [...MANAGED_LABELS, project];
+    const kept = (pr.labels || []).map(l => l.name).filter(name => managed.includes(name));
+    await githubApi(`${repo}/issues/${pr.number}/labels`, {
+      method: 'PUT',
+      body: JSON.stringify({ labels: [...new Set([...kept, ...labels])] }),
+    });
+  }
+
+  console.log(`[features] Updated ${project}/${featId} (PR #${pr.number}): ${[...Object.keys(patch), ...(labels ? ['labels'] : [])].join(', ')}`);
+  return getFeature(project, featId);
+}
+
+/**
+ * Abandon a feature: close its open PR (with a comment) and delete the
+ * feat branch. A merged or closed PR is left as it is. The commits stay
+ * reachable on GitHub through the closed PR.
+ *
+ * @param {string} project
+ * @param {string} featId
+ * @param {object} [opts]
+ * @param {string} [opts.reason] - Added to the closing comment
+ * @returns {Promise<{feat_id, branch, closed_pr: number|null, deleted_branch: boolean}>}
+ * @throws 404-tagged error if neither the branch nor a PR exists
+ */
+async function deleteFeature(project, featId, { reason } = {}) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const branch = `${featBranchPrefix(project)}${featId}`;
+
+  const sha = await getBranchSha(repo, branch);
+  const pr = await findPull(target, project, branch);
+  if (!sha && !pr) throw notFound(project, featId);
+
+  let closed = null;
+  if (pr && pr.state === 'open') {
+    await githubApi(`${repo}/issues/${pr.number}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body: `Closed: feature \`${featId}\` was abandoned${reason ? ` — ${reason}` : ''}.` }),
+    }).catch(err => console.warn(`[features] comment error PR#${pr.number}: ${err.message}`));
+    await githubApi(`${repo}/pulls/${pr.number}`, { method: 'PATCH', body: JSON.stringify({ state: 'closed' }) });
+    closed = pr.number;
+  }
+  if (sha) await githubApi(`${repo}/git/refs/heads/${branch}`, { method: 'DELETE' });
+
+  console.log(`[features] Abandoned ${project}/${featId}${closed ? ` — closed PR #${closed}` : ''}${sha ? `, deleted ${branch}` : ''}`);
+  return { feat_id: featId, branch, closed_pr: closed, deleted_branch: Boolean(sha) };
+}
+
+module.exports = { listFeatures, getFeature, updateFeature, deleteFeature, FEATURE_STATES };
@@ -0,0 +1,138 @@
+const { githubApi } = require('./api');
+
+// Parallel blob uploads per commit — high enough to be fast, low enough to
+// stay clear of GitHub's secondary (burst) rate limits.
+const BLOB_CONCURRENCY = 8;
+
+/**
+ * Create a blob for each file, at most BLOB_CONCURRENCY at a time.
+ * Buffer contents (binary files) are sent base64-encoded so they arrive
+ * byte-for-byte; strings are sent as UTF-8. Each entry keeps the file's
+ * `mode` (default '100644'). A file that carries its blob `sha` (content
+ * already in the repository, e.g. a rename) is not uploaded again.
+ *
+ * @param {string} repo - resolveRepo(project).path
+ * @param {Array<{path: string, content?: string|Buffer, mode?: string, sha?: string}>} files
+ * @returns {Promise<Array<{path, mode, type, sha}>>} tree entries, in input order
+ */
+async function createBlobs(repo, files) {
+  const entries = new Array(files.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < files.length) {
+      const i = next++;
+      const file = files[i];
+      if (file.sha) {
+        entries[i] = { path: file.path, mode: file.mode || '100644', type: 'blob', sha: file.sha };
+        continue;
+      }
+      const body = Buffer.isBuffer(file.content)
+        ? { content: file.content.toString('base64'), encoding: 'base64' }
+        : { content: file.content, encoding: 'utf-8' };
+      const blob = await githubApi(`${repo}/git/blobs`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+        idempotent: true, // content-addressed: a repeat yields the same blob
+      });
+      entries[i] = { path: file.path, mode: file.mode || '100644', type: 'blob', sha: blob.sha };
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(BLOB_CONCURRENCY, files.length) }, worker));
+  return entries;
+}
+
+/**
+ * Build a single commit containing all files via the Git Data API:
+ *   1. Create a blob for each file
+ *   2. Build a tree from all blobs (on top of baseTree, if given), dropping
+ *      any `deletions` paths from it
+ *   3. Create a commit with the given parents
+ *
+ * Nothing here moves a ref, so a failure part-way leaves only unreachable
+ * objects behind — never a half-written branch.
+ *
+ * @param {object} opts
+ * @param {string}   opts.repo       - resolveRepo(project).path
+ * @param {Array<{path: string, content?: string|Buffer, sha?: string}>} opts.files
+ * @param {string}   opts.message    - Commit message
+ * @param {string[]} [opts.parents=[]] - Parent commit SHAs ([] → root commit)
+ * @param {string}   [opts.baseTree] - Tree SHA to layer the files onto
+ * @param {string[]} [opts.deletions=[]] - Paths in baseTree to remove
+ * @returns {Promise<{sha: string, tree: string}>}
+ */
+async function createCommit({ repo, files, message, parents = [], baseTree, deletions = [] }) {
+  const treeEntries = await createBlobs(repo, files);
+  for (const p of deletions) {
+    // sha: null removes the path from base_tree
+    treeEntries.push({ path: p, mode: '100644', type: 'blob', sha: null });
+  }
+
+  const treeBody = { tree: treeEntries };
+  if (baseTree) treeBody.base_tree = baseTree;
+  const tree = await githubApi(`${repo}/git/trees`, {
+    method: 'POST',
+    body: JSON.stringify(treeBody),
+    idempotent: true,
+  });
+
+  // A repeated commit POST may leave an extra unreachable commit, never a ref change
+  const commit = await githubApi(`${repo}/git/commits`, {
+    method: 'POST',
+    body: JSON.stringify({ message, tree: tree.sha, parents }),
+    idempotent: true,
+  });
+
+  return { sha: commit.sha, tree: tree.sha };
+}
+
+/**
+ * Return the head commit SHA of a branch, or null if the branch does not exist.
+ *
+ * @param {string} repo
+ * @param {string} branch
+ * @returns {Promise<string|null>}
+ */
+async function getBranchSha(repo, branch) {
+  try {
+    const ref = await githubApi(`${repo}/git/ref/heads/${branch}`);
+    return ref.object.sha;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return null;
+  }
+}
+
+/**
+ * Return the tree SHA of a commit.
+ *
+ * @param {string} repo
+ * @param {string} commitSha
+ * @returns {Promise<string>}
+ */
+async function getCommitTree(repo, commitSha) {
+  const commit = await githubApi(`${repo}/git/commits/${commitSha}`);
+  return commit.tree.sha;
+}
+
+/**
+ * List every blob in a tree (recursively) as { path, mode, sha }.
+ * Throws if GitHub truncated the listing — callers that delete files
+ * must never act on a partial view of the tree.
+ *
+ * @param {string} repo
+ * @param {string} treeSha
+ * @returns {Promise<Array<{path: string, mode: string, sha: string}>>}
+ */
+async function listTree(repo, treeSha) {
+  const tree = await githubApi(`${repo}/git/trees/${treeSha}?recursive=1`);
+  if (tree.truncated) {
+    throw new Error(`Tree ${treeSha} is too large to list in one request (truncated by GitHub)`);
+  }
+  return tree.tree
+    .filter(e => e.type === 'blob')
+    .map(e => ({ path: e.path, mode: e.mode, sha: e.sha }));
+}
+
+module.exports = { createCommit, getBranchSha, getCommitTree, listTree };
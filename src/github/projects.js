@@ -0,0 +1,431 @@
+const { githubApi } = require('./api');
+const { getBranchSha, getCommitTree, listTree } = require('./git-data');
+const { getBootstrapFiles, isBootstrapPath, featBranchPrefix } = require('./ensure-project');
+const { gitBlobSha } = require('./tree-diff');
+const { resolveRepo, configuredProjects } = require('../projects/registry');
+
+/**
+ * Read-side, release and archive operations over project branch families
+ * ({project}-master, {project}-dev, feat/* PRs), in whichever repository
+ * the project registry routes each project to.
+ */
+
+const PROJECT_RE = /^[a-zA-Z0-9_-]+$/;
+const TAG_ON_MERGE = '**Tag on merge:**';
+const TAG_ON_MERGE_RE = /^\*\*Tag on merge:\*\* `([^`]+)`$/m;
+const SEMVER_RE = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+function notFound(project) {
+  return Object.assign(new Error(`Project not found: ${project}`), { status: 404 });
+}
+
+/**
+ * All branch heads in a repository, or those whose name starts with
+ * `prefix`, as { branch: sha }.
+ *
+ * @param {string} repo - resolveRepo().path
+ * @param {string} [prefix='']
+ * @returns {Promise<Object<string, string>>}
+ */
+async function listBranches(repo, prefix = '') {
+  const refs = await githubApi(`${repo}/git/matching-refs/heads/${prefix}`);
+  return Object.fromEntries(refs.map(r => [r.ref.slice('refs/heads/'.length), r.object.sha]));
+}
+
+/**
+ * Every project with a {project}-master branch, scanning the default
+ * repository and every repository a project is routed to.
+ *
+ * A routed repository only contributes the projects routed to it, so a
+ * same-named branch family elsewhere is not reported twice.
+ *
+ * @returns {Promise<Array<{project, repo, master_branch, master_sha, dev_branch, dev_sha}>>}
+ */
+async function listProjects() {
+  const routed = new Map(configuredProjects().map(p => [p, resolveRepo(p)]));
+  const repos = new Map([[resolveRepo().full_name, resolveRepo()]]);
+  for (const target of routed.values()) repos.set(target.full_name, target);
+
+  const projects = new Map();
+  for (const target of repos.values()) {
+    const branches = await listBranches(target.path);
+    for (const [branch, sha] of Object.entries(branches)) {
+      if (!branch.endsWith('-master')) continue;
+      const project = branch.slice(0, -'-master'.length);
+      if (!PROJECT_RE.test(project) || projects.has(project)) continue;
+      if ((routed.get(project) || resolveRepo(project)).full_name !== target.full_name) continue;
+
+      projects.set(project, {
+        project,
+        repo: target.full_name,
+        master_branch: branch,
+        master_sha: sha,
+        dev_branch: `${project}-dev`,
+        dev_sha: branches[`${project}-dev`] || null,
+      });
+    }
+  }
+  return [...projects.values()].sort((a, b) => a.project.localeCompare(b.project));
+}
+
+/**
+ * Open feat/* PRs into a project's dev branch (first 100).
+ *
+ * @param {string} repo
+ * @param {string} devBranch
+ * @returns {Promise<Array<{number, title, branch, url, draft, created_at, updated_at}>>}
+ */
+async function openFeatPulls(repo, devBranch) {
+  const pulls = await githubApi(`${repo}/pulls?base=${encodeURIComponent(devBranch)}&state=open&per_page=100`);
+  return pulls
+    .filter(pr => pr.head.ref.startsWith('feat/'))
+    .map(pr => ({
+      number: pr.number,
+      title: pr.title,
+      branch: pr.head.ref,
+      url: pr.html_url,
+      draft: Boolean(pr.draft),
+      created_at: pr.created_at,
+      updated_at: pr.updated_at,
+    }));
+}
+
+/**
+ * Bootstrap-managed files (.github/workflows/, .github/scripts/) in a tree
+ * that differ from the templates: `modified`, `missing` from the tree, or
+ * `unexpected` (no template exists for the path).
+ *
+ * @param {Map<string, string>} templates - path → template blob SHA
+ * @param {Array<{path, sha}>} tree - listTree() entries
+ * @returns {Array<{path, status, sha, template_sha}>} sorted by path
+ */
+function bootstrapDrift(templates, tree) {
+  const onBranch = new Map(tree.filter(e => isBootstrapPath(e.path)).map(e => [e.path, e.sha]));
+  const drift = [];
+  for (const [path, templateSha] of templates) {
+    const sha = onBranch.get(path);
+    if (!sha) drift.push({ path, status: 'missing', sha: null, template_sha: templateSha });
+    else if (sha !== templateSha) drift.push({ path, status: 'modified', sha, template_sha: templateSha });
+  }
+  for (const [path, sha] of onBranch) {
+    if (!templates.has(path)) drift.push({ path, status: 'unexpected', sha, template_sha: null });
+  }
+  return drift.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Branch state, bootstrapped workflows and open feature PRs of one project.
+ *
+ * Each workflow on {project}-master is compared with the template this
+ * service would bootstrap today (`current: false` → re-bootstrap to update).
+ * `dev_drift` lists the bootstrap-managed files on {project}-dev that differ
+ * from the templates — e.g. a workflow change merged from a feature PR.
+ *
+ * @param {string} project
+ * @returns {Promise<object>}
+ * @throws 404-tagged error if {project}-master does not exist
+ */
+async function getProject(project) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const masterBranch = `${project}-master`;
+  const devBranch = `${project}-dev`;
+
+  const masterSha = await getBranchSha(repo, masterBranch);
+  if (!masterSha) throw notFound(project);
+  const devSha = await getBranchSha(repo, devBranch);
+
+  const templates = new Map(getBootstrapFiles(project).map(f => [f.path, gitBlobSha(f.content)]));
+  const tree = await listTree(repo, await getCommitTree(repo, masterSha));
+  const workflows = tree
+    .filter(e => e.path.startsWith('.github/workflows/'))
+    .map(e => ({
+      path: e.path,
+      sha: e.sha,
+      template_sha: templates.get(e.path) || null,
+      current: templates.get(e.path) === e.sha,
+    }));
+  const devDrift = devSha ? bootstrapDrift(templates, await listTree(repo, await getCommitTree(repo, devSha))) : null;
+
+  return {
+    project,
+    repo: target.full_name,
+    branches: {
+      master: { name: masterBranch, sha: masterSha },
+      dev: { name: devBranch, sha: devSha },
+    },
+    workflows,
+    dev_drift: devDrift && { in_sync: devDrift.length === 0, files: devDrift },
+    open_pull_requests: devSha ? await openFeatPulls(repo, devBranch) : [],
+  };
+}
+
+/**
+ * Feat PRs merged into a dev branch that are not on master yet, oldest
+ * first, with the `source` and `feat_id` createFeatBranch wrote into the PR
+ * body (feat_id falls back to the branch name).
+ *
+ * A PR counts as unreleased when its merge commit is among the commits
+ * `compare` reports on dev but not on master (GitHub lists at most 250).
+ *
+ * @param {string} repo
+ * @param {string} devBranch
+ * @param {Set<string>} unreleased - Commit SHAs on dev but not on master
+ * @returns {Promise<Array<{number, title, url, branch, feat_id, source, merged_at}>>}
+ */
+async function unreleasedPulls(repo, devBranch, unreleased) {
+  const pulls = await githubApi(`${repo}/pulls?base=${encodeURIComponent(devBranch)}&state=closed&per_page=100`);
+  return pulls
+    .filter(pr => pr.merged_at && pr.head.ref.startsWith('feat/') && unreleased.has(pr.merge_commit_sha))
+    .sort((a, b) => a.merged_at.localeCompare(b.merged_at))
+    .map(pr => {
+      const body = pr.body || '';
+      const source = body.match(/\*\*Source:\*\* (.+)/);
+      const featId = body.match(/\*\*Feat ID:\*\* `([^`]+)`/);
+      return {
+        number: pr.number,
+        title: pr.title,
+        url: pr.html_url,
+        branch: pr.head.ref,
+        feat_id: featId ? featId[1] : pr.head.ref.split('/').pop(),
+        source: source ? source[1].trim() : null,
+        merged_at: pr.merged_at,
+      };
+    });
+}
+
+/**
+ * The head SHA of a tag, or null if it does not exist.
+ *
+ * @param {string} repo
+ * @param {string} tag
+ * @returns {Promise<string|null>}
+ */
+async function getTagSha(repo, tag) {
+  try {
+    return (await githubApi(`${repo}/git/ref/tags/${tag}`)).object.sha;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Promote a project: open (or update) the release PR from {project}-dev
+ * into {project}-master, its body a changelog of the feat PRs merged into
+ * dev since the last release. With a `version`, the PR body names the tag
+ * `{project}/v{version}`; tagRelease() creates it on the merge commit once
+ * the PR is merged, so a version never marks a commit that was not released.
+ *
+ * Re-running is safe: the open release PR is rewritten with the current
+ * changelog and version. The release PR is never merged here — that stays
+ * a human decision, and should use a merge commit so the released dev
+ * commits become reachable from master.
+ *
+ * @param {string} project
+ * @param {object} [opts]
+ * @param {string} [opts.version] - Semver (without a leading "v") to tag the release with once merged
+ * @returns {Promise<{project, repo, master_branch, dev_branch, dev_sha, ahead_by, created, pr_number, pr_url,
+ *   changelog: Array<{number, title, url, branch, feat_id, source, merged_at}>, tag: {name, sha: null}|null}>}
+ * @throws 400 for an invalid version or a version without GH_WEBHOOK_SECRET (nothing would create the tag),
+ *   404 if the project or its dev branch is missing, 409 if dev has nothing to release or the tag already exists
+ */
+async function promoteProject(project, { version } = {}) {
+  if (version !== undefined && (typeof version !== 'string' || !SEMVER_RE.test(version))) {
+    throw Object.assign(new Error(`version must be a semver string such as 1.4.0 (got ${JSON.stringify(version)})`), { status: 400 });
+  }
+  if (version !== undefined && !process.env.GH_WEBHOOK_SECRET) {
+    throw Object.assign(
+      new Error('version needs the GitHub webhook receiver (GH_WEBHOOK_SECRET): the tag is created when the release PR is merged'),
+      { status: 400 }
+    );
+  }
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const masterBranch = `${project}-master`;
+  const devBranch = `${project}-dev`;
+
+  const masterSha = await getBranchSha(repo, masterBranch);
+  if (!masterSha) throw notFound(project);
+  const devSha = await getBranchSha(repo, devBranch);
+  if (!devSha) throw Object.assign(new Error(`Dev branch not found: ${devBranch}`), { status: 404 });
+
+  const compare = await githubApi(`${repo}/compare/${masterBranch}...${devBranch}`);
+  if (!compare.ahead_by) {
+    throw Object.assign(new Error(`Nothing to promote: ${devBranch} has no commits that are not on ${masterBranch}`), { status: 409 });
+  }
+  const changelog = await unreleasedPulls(repo, devBranch, new Set(compare.commits.map(c => c.sha)));
+
+  // Check the tag before touching the PR, so a clash changes nothing
+  const tagName = version ? `${project}/v${version}` : null;
+  const tagSha = tagName ? await getTagSha(repo, tagName) : null;
+  if (tagSha) {
+    throw Object.assign(new Error(`Tag ${tagName} already exists on ${tagSha.slice(0, 7)}; choose another version`), { status: 409 });
+  }
+
+  const title = `release(${project}): ${version ? `v${version}` : devSha.slice(0, 7)}`;
+  const body = [
+    `Promotes \`${devBranch}\` (\`${devSha.slice(0, 7)}\`, ${compare.ahead_by} commit(s)) to \`${masterBranch}\`.`,
+    tagName ? `\n${TAG_ON_MERGE} \`${tagName}\`` : '',
+    `\n\n## Changelog\n`,
+    changelog.length
+      ? changelog.map(pr => `\n- ${pr.title} (#${pr.number}) — feat \`${pr.feat_id}\`${pr.source ? `, source ${pr.source}` : ''}`).join('')
+      : '\n_No merged feat PRs — direct commits only._',
+  ].filter(Boolean).join('');
+
+  const [open] = await githubApi(
+    `${repo}/pulls?head=${encodeURIComponent(`${target.owner}:${devBranch}`)}&base=${masterBranch}&state=open`
+  );
+  let pr;
+  if (open) {
+    pr = await githubApi(`${repo}/pulls/${open.number}`, { method: 'PATCH', body: JSON.stringify({ title, body }) });
+  } else {
+    pr = await githubApi(`${repo}/pulls`, {
+      method: 'POST',
+      body: JSON.stringify({ title, head: devBranch, base: masterBranch, body }),
+    });
+    await githubApi(`${repo}/issues/${pr.number}/labels`, {
+      method: 'POST',
+      body: JSON.stringify({ labels: ['release', project] }),
+    }).catch(err => console.warn(`[projects] label error PR#${pr.number}: ${err.message}`));
+  }
+
+  console.log(`[projects] Promotion PR #${pr.number} for ${project}: ${changelog.length} feat PR(s)${tagName ? `, tag ${tagName}` : ''}`);
+  return {
+    project,
+    repo: target.full_name,
+    master_branch: masterBranch,
+    dev_branch: devBranch,
+    dev_sha: devSha,
+    ahead_by: compare.ahead_by,
+    created: !open,
+    pr_number: pr.number,
+    pr_url: pr.html_url,
+    changelog,
+    tag: tagName ? { name: tagName, sha: null } : null,
+  };
+}
+
+/**
+ * Create the tag a merged release PR asks for (the `Tag on merge` line
+ * promoteProject writes into its body) on the PR's merge commit. Called by
+ * the GitHub webhook receiver; a tag that already points at the merge
+ * commit is left as it is.
+ *
+ * @param {string} project
+ * @param {{number: number, body?: string, merge_commit_sha?: string}} pr - GitHub pull_request payload
+ * @returns {Promise<{name, sha}|null>} null when the PR names no tag
+ * @throws if the tag name does not belong to the project or already exists on another commit
+ */
+async function tagRelease(project, pr) {
+  const match = (pr.body || '').match(TAG_ON_MERGE_RE);
+  if (!match || !pr.merge_commit_sha) return null;
+  const name = match[1];
+  if (!name.startsWith(`${project}/v`) || !SEMVER_RE.test(name.slice(`${project}/v`.length))) {
+    throw new Error(`Release PR #${pr.number} names tag ${name}, which is not a ${project}/v<semver> tag`);
+  }
+
+  const repo = resolveRepo(project).path;
+  const existing = await getTagSha(repo, name);
+  if (existing && existing !== pr.merge_commit_sha) {
+    throw new Error(`Tag ${name} already exists on ${existing.slice(0, 7)}`);
+  }
+  if (!existing) {
+    await githubApi(`${repo}/git/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/tags/${name}`, sha: pr.merge_commit_sha }),
+    });
+    console.log(`[projects] Tagged ${name} on ${pr.merge_commit_sha.slice(0, 7)} (release PR #${pr.number})`);
+  }
+  return { name, sha: pr.merge_commit_sha };
+}
+
+/**
+ * Archive a project: tag every branch head under
+ * archive/{project}/{timestamp}/..., then delete the branches. That covers
+ * every feat/{project}/* branch, with or without a PR.
+ *
+ * Refuses (409) while feat PRs are open unless `force` is set, in which case
+ * those PRs are closed with a comment and their feat branches archived too.
+ * A branch that moves between tagging and deletion is left in place (409),
+ * so no commit is ever lost without a tag pointing at it.
+ *
+ * @param {string} project
+ * @param {object} [opts]
+ * @param {boolean} [opts.force=false]
+ * @returns {Promise<{project, repo, archived_at, tags: Array<{tag, sha}>, deleted_branches: string[], closed_pull_requests: number[]}>}
+ */
+async function archiveProject(project, { force = false } = {}) {
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const masterBranch = `${project}-master`;
+  const devBranch = `${project}-dev`;
+
+  const masterSha = await getBranchSha(repo, masterBranch);
+  if (!masterSha) throw notFound(project);
+  const devSha = await getBranchSha(repo, devBranch);
+
+  const pulls = devSha ? await openFeatPulls(repo, devBranch) : [];
+  if (pulls.length && !force) {
+    throw Object.assign(
+      new Error(`Project ${project} has ${pulls.length} open feature PR(s): ${pulls.map(p => `#${p.number}`).join(', ')}. Merge or close them, or pass force=true.`),
+      { status: 409 }
+    );
+  }
+
+  const archivedAt = new Date().toISOString();
+  const stamp = archivedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const featBranches = Object.keys(await listBranches(repo, featBranchPrefix(project)));
+  const branches = [
+    ...new Set([...pulls.map(pr => pr.branch), ...featBranches]),
+    ...(devSha ? [devBranch] : []),
+    masterBranch,
+  ];
+
+  // 1. Tag every branch head before anything is closed or deleted
+  const tags = [];
+  for (const branch of branches) {
+    const sha = await getBranchSha(repo, branch);
+    if (!sha) continue;
+    const tag = `archive/${project}/${stamp}/${branch}`;
+    await githubApi(`${repo}/git/refs`, {
+      method: 'POST',
+      body: JSON.stringify({ ref: `refs/tags/${tag}`, sha }),
+    });
+    tags.push({ tag, branch, sha });
+  }
+
+  // 2. Close open PRs (force only), so they do not point at deleted branches
+  for (const pr of pulls) {
+    await githubApi(`${repo}/issues/${pr.number}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ body: `Closed: project \`${project}\` was archived (tags under \`archive/${project}/${stamp}/\`).` }),
+    }).catch(err => console.warn(`[projects] comment error PR#${pr.number}: ${err.message}`));
+    await githubApi(`${repo}/pulls/${pr.number}`, { method: 'PATCH', body: JSON.stringify({ state: 'closed' }) });
+  }
+
+  // 3. Delete each branch only if it still points at its tagged commit
+  const deleted = [];
+  for (const { branch, sha } of tags) {
+    if (await getBranchSha(repo, branch) !== sha) {
+      throw Object.assign(
+        new Error(`Branch ${branch} moved while archiving; it was left in place (deleted so far: ${deleted.join(', ') || 'none'})`),
+        { status: 409 }
+      );
+    }
+    await githubApi(`${repo}/git/refs/heads/${branch}`, { method: 'DELETE' });
+    deleted.push(branch);
+  }
+
+  console.log(`[projects] Archived ${project}: ${deleted.length} branch(es) tagged under archive/${project}/${stamp}/`);
+  return {
+    project,
+    repo: target.full_name,
+    archived_at: archivedAt,
+    tags: tags.map(({ tag, sha }) => ({ tag, sha })),
+    deleted_branches: deleted,
+    closed_pull_requests: pulls.map(pr => pr.number),
+  };
+}
+
+module.exports = { listProjects, getProject, openFeatPulls, promoteProject, tagRelease, archiveProject };
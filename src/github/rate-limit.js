@@ -0,0 +1,118 @@
+/**
+ * Tracks the GitHub REST rate-limit budget from response headers.
+ *
+ * Every githubApi response reports x-ratelimit-remaining / -reset for the
+ * token's "core" budget. When the remaining budget drops to
+ * GH_RATE_LIMIT_MIN_REMAINING, or GitHub answers with a rate-limit error,
+ * registered pause listeners are told how long to hold off — the push queue
+ * uses this to stop starting new pushes until the budget resets.
+ *
+ * Only calls made with the env credentials are recorded (see githubApi):
+ * a routed repository's token or App installation has its own budget.
+ */
+
+const MIN_REMAINING = parseInt(process.env.GH_RATE_LIMIT_MIN_REMAINING || '100', 10);
+
+let budget = null;   // { limit, remaining, used, reset_at (ms), resource }
+let pausedUntil = 0; // ms epoch
+const pauseListeners = [];
+
+/**
+ * Register a listener called whenever GitHub calls should pause.
+ *
+ * @param {(untilMs: number, reason: string) => void} fn
+ */
+function onPause(fn) {
+  pauseListeners.push(fn);
+}
+
+/**
+ * Ask every listener to pause until `untilMs`. Shorter pauses than one
+ * already announced are ignored.
+ *
+ * @param {number} untilMs
+ * @param {string} reason
+ */
+function pauseUntil(untilMs, reason) {
+  if (untilMs <= Math.max(pausedUntil, Date.now())) return;
+  pausedUntil = untilMs;
+  console.warn(`[rate-limit] Pausing GitHub work until ${new Date(untilMs).toISOString()} (${reason})`);
+  for (const fn of pauseListeners) fn(untilMs, reason);
+}
+
+/**
+ * Update the known budget from a GitHub response and pause if it is nearly
+ * spent. Responses for other resources (search, graphql) are ignored.
+ *
+ * @param {Response} res
+ */
+function recordResponse(res) {
+  const remaining = res.headers.get('x-ratelimit-remaining');
+  if (remaining === null) return;
+  const resource = res.headers.get('x-ratelimit-resource') || 'core';
+  if (resource !== 'core') return;
+
+  budget = {
+    limit: parseInt(res.headers.get('x-ratelimit-limit') || '0', 10),
+    remaining: parseInt(remaining, 10),
+    used: parseInt(res.headers.get('x-ratelimit-used') || '0', 10),
+    reset_at: parseInt(res.headers.get('x-ratelimit-reset') || '0', 10) * 1000,
+    resource,
+  };
+  if (budget.remaining <= MIN_REMAINING && budget.reset_at > Date.now()) {
+    pauseUntil(budget.reset_at, `${budget.remaining} requests left`);
+  }
+}
+
+/**
+ * True if a failed response is GitHub refusing the request for rate-limit
+ * reasons (primary or secondary) rather than a real error. Such requests
+ * were never processed, so they are safe to retry whatever the method.
+ *
+ * @param {Response} res
+ * @param {string} body - Response text
+ * @returns {boolean}
+ */
+function isRateLimited(res, body) {
+  if (res.status === 429) return true;
+  if (res.status !== 403) return false;
+  return res.headers.has('retry-after')
+    || res.headers.get('x-ratelimit-remaining') === '0'
+    || /rate limit/i.test(body);
+}
+
+/**
+ * How long GitHub asked us to wait before retrying, in ms: `retry-after`
+ * if present, else the time to the budget reset when it is exhausted.
+ *
+ * @param {Response} res
+ * @returns {number|null} null when the response gives no hint
+ */
+function retryAfterMs(res) {
+  const retryAfter = res.headers.get('retry-after');
+  if (retryAfter !== null && /^\d+$/.test(retryAfter)) return parseInt(retryAfter, 10) * 1000;
+  if (res.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(res.headers.get('x-ratelimit-reset') || '0', 10) * 1000;
+    if (reset) return Math.max(0, reset - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Current budget for GET /ping.
+ *
+ * @returns {{limit: number, remaining: number, used: number, reset_at: string, paused_until: string|null}|null}
+ *   null until the first GitHub response has been seen
+ */
+function rateLimitStatus() {
+  if (!budget) return null;
+  return {
+    limit: budget.limit,
+    remaining: budget.remaining,
+    used: budget.used,
+    reset_at: new Date(budget.reset_at).toISOString(),
+    paused_until: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+  };
+}
+
+module.exports = { onPause, pauseUntil, recordResponse, isRateLimited, retryAfterMs, rateLimitStatus };
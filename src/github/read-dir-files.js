@@ -1,18 +1,131 @@
 const fs = require('fs');
 const path = require('path');
+const { isUtf8 } = require('buffer');
+const { IGNORE_FILE, compilePattern, parseIgnoreFile, matchesRule, matchesPathOrParent, ignoringRule } = require('../util/ignore-rules');
 
 const SKIP_DIRS = new Set(['.git', 'node_modules', '.DS_Store']);
 
+// Same heuristic as git: a NUL byte in the first 8000 bytes means binary
+const BINARY_SNIFF_BYTES = 8000;
+
+// Git only records two regular-file modes
+const FILE_MODES = ['100644', '100755'];
+
+// Defaults for every push; project.json `limits` overrides them per project
+const PUSH_MAX_FILES = parseInt(process.env.PUSH_MAX_FILES || '5000', 10);
+const PUSH_MAX_FILE_BYTES = parseInt(process.env.PUSH_MAX_FILE_BYTES || String(50 * 1024 * 1024), 10);
+const PUSH_MAX_TOTAL_BYTES = parseInt(process.env.PUSH_MAX_TOTAL_BYTES || String(200 * 1024 * 1024), 10);
+
+// Violating paths listed in a policy error before it is cut short
+const MAX_REPORTED_PATHS = 20;
+
+/**
+ * Effective push limits: a project's `limits` section over the PUSH_MAX_*
+ * defaults.
+ *
+ *   "limits": {
+ *     "max_files": 2000,
+ *     "max_file_bytes": 5242880,
+ *     "max_total_bytes": 52428800,
+ *     "allowed_paths": ["src/", "tests/", "README.md"],  // path prefixes; omit to allow all
+ *     "forbidden_paths": [".github/workflows/**"]        // gitignore-style patterns
+ *   }
+ *
+ * @param {object} [section]
+ * @param {string} [project] - For error messages
+ * @returns {{maxFiles: number, maxFileBytes: number, maxTotalBytes: number, allowedPaths: string[]|null, forbidden: Array<object>}}
+ * @throws if the section is invalid
+ */
+function pushLimits(section = {}, project = '') {
+  const fail = (message) => { throw new Error(`Project "${project}" limits: ${message}`); };
+  const {
+    max_files = PUSH_MAX_FILES,
+    max_file_bytes = PUSH_MAX_FILE_BYTES,
+    max_total_bytes = PUSH_MAX_TOTAL_BYTES,
+    allowed_paths,
+    forbidden_paths = [],
+  } = section;
+
+  for (const [key, value] of Object.entries({ max_files, max_file_bytes, max_total_bytes })) {
+    if (!Number.isInteger(value) || value < 1) fail(`${key} must be a positive integer`);
+  }
+  const isStringArray = (v) => Array.isArray(v) && v.every(p => typeof p === 'string' && p.trim());
+  if (allowed_paths !== undefined && !isStringArray(allowed_paths)) fail('allowed_paths must be an array of path prefixes');
+  if (!isStringArray(forbidden_paths)) fail('forbidden_paths must be an array of patterns');
+
+  return {
+    maxFiles: max_files,
+    maxFileBytes: max_file_bytes,
+    maxTotalBytes: max_total_bytes,
+    allowedPaths: allowed_paths ? allowed_paths.map(p => p.replace(/^\.?\/+/, '')) : null,
+    forbidden: forbidden_paths.map(p => compilePattern(p, 'forbidden_paths')).filter(Boolean),
+  };
+}
+
+/**
+ * @param {string} relPath
+ * @param {string} prefix - 'src/' covers everything below src; 'README.md' that file (or directory)
+ * @returns {boolean}
+ */
+function underPrefix(relPath, prefix) {
+  const base = prefix.replace(/\/+$/, '');
+  return relPath === base || relPath.startsWith(`${base}/`);
+}
+
+/**
+ * Decide whether file contents must be treated as binary:
+ * contains a NUL byte near the start, or is not valid UTF-8.
+ *
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+function isBinary(buf) {
+  if (buf.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return true;
+  return !isUtf8(buf);
+}
+
 /**
- * Recursively read all files inside a directory.
- * Skips .git and node_modules. Reads files as UTF-8; falls back to base64 for binaries.
- * Returns an array of { path, content } where path is relative to the given dir.
+ * Recursively read the files inside a directory, applying ignore rules.
+ *
+ * Skips .git and node_modules. Beyond that a path is left out when:
+ *   - a `.gitopsignore` (gitignore syntax) in its directory or any parent
+ *     up to `dir` ignores it, on top of the `rules` passed in (per-project
+ *     defaults); an ignored directory is skipped as a whole
+ *   - it matches an `exclude` pattern (these cannot be negated)
+ *   - `include` patterns are given and neither it nor a parent directory
+ *     matches one
+ *
+ * The remaining files must then fit the project's `limits` (see
+ * pushLimits), checked from file stats before contents are read: a push
+ * over the file count or a size limit fails with a 413-tagged error, one
+ * with paths outside `allowed_paths` or matching `forbidden_paths` with a
+ * 403-tagged error listing them. Nothing is sent to GitHub before this.
+ *
+ * Text files are returned as UTF-8 strings; binary files (see isBinary)
+ * keep their raw Buffer and are flagged `binary: true` so they can be
+ * uploaded byte-for-byte. With `execMode`, every file gets a `mode`:
+ * '100755' when the owner-executable bit is set, '100644' otherwise.
+ * Without it files carry no mode, and the push keeps whatever mode the
+ * branch already has (mounts where every file is executable would
+ * otherwise flip them all). Paths are relative to `dir`, forward-slash.
+ *
+ * `isExcluded(path)` applies the same rules to a path that is not in the
+ * directory (e.g. one already on the branch), so a mirror push can leave
+ * paths outside its scope alone.
  *
  * @param {string} dir - Absolute path to the directory to read
- * @param {string} [_base] - Internal: base path for building relative paths
- * @returns {Array<{path: string, content: string}>}
+ * @param {object} [opts]
+ * @param {Array<object>} [opts.rules=[]]   - Parsed ignore rules applied before the directory's own
+ * @param {string[]}      [opts.include=[]] - Only push paths matching one of these patterns
+ * @param {string[]}      [opts.exclude=[]] - Never push paths matching these patterns
+ * @param {object}        [opts.limits]     - A project's `limits` section (defaults apply without it)
+ * @param {string}        [opts.project]    - For error messages
+ * @param {boolean}       [opts.execMode=false] - Take file modes from the owner-executable bit
+ * @returns {{files: Array<{path: string, content: string|Buffer, binary?: boolean, mode?: string}>,
+ *            excluded: Array<{path: string, reason: string}>,
+ *            isExcluded: (relPath: string) => boolean}} excluded directories end in '/'
  */
-function readDirFiles(dir, _base = dir) {
+function scanDir(dir, { rules = [], include = [], exclude = [], limits, project, execMode = false } = {}) {
   if (!fs.existsSync(dir)) {
     throw new Error(`Directory not found: ${dir}`);
   }
@@ -22,28 +135,112 @@ function readDirFiles(dir, _base = dir) {
     throw new Error(`Path is not a directory: ${dir}`);
   }
 
-  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  const includeRules = include.map(p => compilePattern(p, 'include')).filter(Boolean);
+  const excludeRules = exclude.map(p => compilePattern(p, 'exclude')).filter(Boolean);
+  const limit = pushLimits(limits, project);
   const files = [];
+  const excluded = [];
+  // Every ignore rule seen; .gitopsignore rules only match below their own directory
+  const ignoreRules = [...rules];
+  const violations = [];
+  let totalBytes = 0;
+  const tooLarge = (message) => Object.assign(new Error(message), { status: 413 });
+
+  function walk(absDir, relDir, inherited) {
+    let active = inherited;
+    const ignoreFile = path.join(absDir, IGNORE_FILE);
+    if (fs.existsSync(ignoreFile)) {
+      const source = relDir ? `${relDir}/${IGNORE_FILE}` : IGNORE_FILE;
+      const own = parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf8'), source, relDir);
+      active = [...inherited, ...own];
+      ignoreRules.push(...own);
+    }
+
+    for (const entry of fs.readdirSync(absDir, { withFileTypes: true })) {
+      if (SKIP_DIRS.has(entry.name)) continue;
+
+      const fullPath = path.join(absDir, entry.name);
+      const relativePath = relDir ? `${relDir}/${entry.name}` : entry.name;
+      const isDir = entry.isDirectory();
+      if (!isDir && !entry.isFile()) continue;
+
+      const shown = isDir ? `${relativePath}/` : relativePath;
+      const excludeRule = excludeRules.find(r => matchesRule(r, relativePath, isDir));
+      if (excludeRule) {
+        excluded.push({ path: shown, reason: `exclude: ${excludeRule.pattern}` });
+        continue;
+      }
+      const ignoreRule = ignoringRule(active, relativePath, isDir);
+      if (ignoreRule) {
+        excluded.push({ path: shown, reason: `${ignoreRule.source}: ${ignoreRule.pattern}` });
+        continue;
+      }
+
+      if (isDir) {
+        walk(fullPath, relativePath, active);
+        continue;
+      }
+      if (includeRules.length && !matchesPathOrParent(includeRules, relativePath)) {
+        excluded.push({ path: relativePath, reason: 'not matched by include' });
+        continue;
+      }
 
-  for (const entry of entries) {
-    if (SKIP_DIRS.has(entry.name)) continue;
-
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      files.push(...readDirFiles(fullPath, _base));
-    } else if (entry.isFile()) {
-      const relativePath = path.relative(_base, fullPath);
-      let content;
-      try {
-        content = fs.readFileSync(fullPath, 'utf8');
-      } catch {
-        content = fs.readFileSync(fullPath).toString('base64');
-      }
-      files.push({ path: relativePath, content });
+      if (limit.allowedPaths && !limit.allowedPaths.some(prefix => underPrefix(relativePath, prefix))) {
+        violations.push(`${relativePath} (outside allowed_paths)`);
+        continue;
+      }
+      if (matchesPathOrParent(limit.forbidden, relativePath)) {
+        violations.push(`${relativePath} (forbidden_paths)`);
+        continue;
+      }
+      if (files.length >= limit.maxFiles) {
+        throw tooLarge(`Push has more than ${limit.maxFiles} files (max_files)`);
+      }
+      const fileStat = fs.statSync(fullPath);
+      if (fileStat.size > limit.maxFileBytes) {
+        throw tooLarge(`${relativePath} is ${fileStat.size} bytes; max_file_bytes is ${limit.maxFileBytes}`);
+      }
+      totalBytes += fileStat.size;
+      if (totalBytes > limit.maxTotalBytes) {
+        throw tooLarge(`Push exceeds ${limit.maxTotalBytes} bytes in total (max_total_bytes)`);
+      }
+
+      const buf = fs.readFileSync(fullPath);
+      const file = isBinary(buf)
+        ? { path: relativePath, content: buf, binary: true }
+        : { path: relativePath, content: buf.toString('utf8') };
+      if (execMode) file.mode = fileStat.mode & 0o100 ? '100755' : '100644';
+      files.push(file);
     }
   }
 
-  return files;
+  walk(dir, '', rules);
+  if (violations.length) {
+    const more = violations.length > MAX_REPORTED_PATHS ? ` and ${violations.length - MAX_REPORTED_PATHS} more` : '';
+    throw Object.assign(
+      new Error(`Push contains ${violations.length} path(s) not allowed for this project: `
+        + violations.slice(0, MAX_REPORTED_PATHS).join(', ') + more),
+      { status: 403, paths: violations }
+    );
+  }
+  const isExcluded = (relPath) => {
+    if (matchesPathOrParent(excludeRules, relPath)) return true;
+    if (includeRules.length && !matchesPathOrParent(includeRules, relPath)) return true;
+    const parts = relPath.split('/');
+    return parts.some((_, i) => ignoringRule(ignoreRules, parts.slice(0, i + 1).join('/'), i < parts.length - 1));
+  };
+  return { files, excluded, isExcluded };
+}
+
+/**
+ * The files scanDir() would push, without the exclusion report.
+ *
+ * @param {string} dir
+ * @param {object} [opts] - See scanDir
+ * @returns {Array<{path: string, content: string|Buffer, binary?: boolean, mode?: string}>}
+ */
+function readDirFiles(dir, opts) {
+  return scanDir(dir, opts).files;
 }
 
-module.exports = { readDirFiles };
+module.exports = { readDirFiles, scanDir, pushLimits, isBinary, FILE_MODES };
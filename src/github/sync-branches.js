@@ -0,0 +1,183 @@
+const { githubApi } = require('./api');
+const { createCommit, getBranchSha, getCommitTree, listTree } = require('./git-data');
+const { openFeatPulls } = require('./projects');
+const { featBranchPrefix } = require('./ensure-project');
+const { resolveRepo, loadProjectConfig } = require('../projects/registry');
+
+/**
+ * Bring feat/* branches up to date with their project's dev branch, so
+ * older PRs stop failing auto-merge with merge conflicts.
+ *
+ * - merge:  the GitHub merges API merges {project}-dev into the branch
+ *           (a merge commit; GitHub's answer decides conflicts)
+ * - rebase: the branch's net change since it forked is replayed as one
+ *           commit on top of the dev head, and the branch is moved there
+ *
+ * The default strategy comes from the `sync` section of project.json:
+ *
+ *   "sync": { "strategy": "merge", "schedule": true }
+ */
+
+const SYNC_STRATEGIES = ['merge', 'rebase'];
+
+/**
+ * Validate and fill in defaults for a project's `sync` section.
+ *
+ * @param {string} project
+ * @returns {{strategy: string, schedule: boolean}}
+ * @throws if the section is invalid
+ */
+function syncConfig(project) {
+  const { strategy = 'merge', schedule = true } = loadProjectConfig(project).sync || {};
+  if (!SYNC_STRATEGIES.includes(strategy)) {
+    throw new Error(`Project "${project}" sync: strategy must be one of: ${SYNC_STRATEGIES.join(', ')}`);
+  }
+  if (typeof schedule !== 'boolean') throw new Error(`Project "${project}" sync: schedule must be a boolean`);
+  return { strategy, schedule };
+}
+
+/** path → blob SHA of the tree at a commit. */
+async function treeAt(repo, sha) {
+  return new Map((await listTree(repo, await getCommitTree(repo, sha))).map(e => [e.path, e.sha]));
+}
+
+/**
+ * Paths changed on both sides since the merge base, to different content.
+ * Git may still merge some of them line by line; these are the files a
+ * conflict can be in.
+ *
+ * @param {Map<string, string>} base
+ * @param {Map<string, string>} ours
+ * @param {Map<string, string>} theirs
+ * @returns {string[]} sorted
+ */
+function overlappingChanges(base, ours, theirs) {
+  const paths = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+  return [...paths]
+    .filter(p => ours.get(p) !== base.get(p) && theirs.get(p) !== base.get(p) && ours.get(p) !== theirs.get(p))
+    .sort();
+}
+
+/**
+ * Sync one branch onto the dev head.
+ *
+ * @returns {Promise<{branch, status: 'up_to_date'|'merged'|'rebased'|'conflict', sha, conflicts?: string[]}>}
+ */
+async function syncBranch({ repo, branch, devBranch, devSha, strategy }) {
+  const headSha = await getBranchSha(repo, branch);
+  if (!headSha) throw Object.assign(new Error(`Branch not found: ${branch}`), { status: 404 });
+
+  let compare;
+  try {
+    compare = await githubApi(`${repo}/compare/${devBranch}...${branch}`);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    throw Object.assign(new Error(`Branch ${branch} is not based on ${devBranch}`), { status: 409 });
+  }
+  const baseSha = compare.merge_base_commit.sha;
+  if (baseSha === devSha) return { branch, status: 'up_to_date', sha: headSha };
+
+  const headEntries = await listTree(repo, await getCommitTree(repo, headSha));
+  const head = new Map(headEntries.map(e => [e.path, e.sha]));
+  const base = await treeAt(repo, baseSha);
+  const conflicts = async () => overlappingChanges(base, head, await treeAt(repo, devSha));
+
+  if (strategy === 'merge') {
+    try {
+      // head is the SHA, not the branch name, so a dev push mid-sync cannot change what is merged
+      const merge = await githubApi(`${repo}/merges`, {
+        method: 'POST',
+        body: JSON.stringify({ base: branch, head: devSha, commit_message: `Merge ${devBranch} into ${branch}` }),
+      });
+      // 204 No Content: nothing to merge
+      if (!merge.sha) return { branch, status: 'up_to_date', sha: headSha };
+      return { branch, status: 'merged', sha: merge.sha };
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      return { branch, status: 'conflict', sha: headSha, conflicts: await conflicts() };
+    }
+  }
+
+  // Rebase has no line-level merge: any file changed on both sides is a conflict
+  const overlapping = await conflicts();
+  if (overlapping.length) return { branch, status: 'conflict', sha: headSha, conflicts: overlapping };
+
+  const changed = headEntries.filter(e => e.sha !== base.get(e.path));
+  const commit = await createCommit({
+    repo,
+    files: changed.map(e => ({ path: e.path, mode: e.mode, sha: e.sha })),
+    deletions: [...base.keys()].filter(p => !head.has(p)),
+    message: `Rebase ${branch} onto ${devBranch} (${devSha.slice(0, 7)})`,
+    parents: [devSha],
+    baseTree: await getCommitTree(repo, devSha),
+  });
+
+  // A rebase rewrites history, so the move has to be forced; refuse if the branch moved meanwhile
+  if (await getBranchSha(repo, branch) !== headSha) {
+    throw Object.assign(new Error(`Branch ${branch} moved during the rebase; sync again`), { status: 409 });
+  }
+  await githubApi(`${repo}/git/refs/heads/${branch}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ sha: commit.sha, force: true }),
+  });
+  return { branch, status: 'rebased', sha: commit.sha };
+}
+
+/**
+ * Sync every open feat PR branch of a project — or one named branch — onto
+ * {project}-dev. Branches are handled one by one; a failure on one is
+ * reported in its entry (`status: 'error'`) and does not stop the rest.
+ *
+ * @param {object} opts
+ * @param {string} opts.project
+ * @param {string} [opts.branch]   - Only this feat/<project>/* branch
+ * @param {'merge'|'rebase'} [opts.strategy] - Defaults to the project's sync.strategy
+ * @returns {Promise<{project, repo, dev_branch, dev_sha, strategy,
+ *   branches: Array<{branch, pr_number, status, sha?, conflicts?, error?}>,
+ *   summary: Object<string, number>}>}
+ * @throws 404-tagged error if the dev branch or the named branch does not exist,
+ *   400 if the branch is not one of the project's feat branches
+ */
+async function syncFeatBranches({ project, branch, strategy }) {
+  const config = syncConfig(project);
+  strategy = strategy || config.strategy;
+  if (!SYNC_STRATEGIES.includes(strategy)) {
+    throw Object.assign(new Error(`strategy must be one of: ${SYNC_STRATEGIES.join(', ')}`), { status: 400 });
+  }
+  if (branch && !branch.startsWith(featBranchPrefix(project))) {
+    throw Object.assign(new Error(`branch must be a ${featBranchPrefix(project)}* branch of project ${project}`), { status: 400 });
+  }
+
+  const target = resolveRepo(project);
+  const repo = target.path;
+  const devBranch = `${project}-dev`;
+  const devSha = await getBranchSha(repo, devBranch);
+  if (!devSha) throw Object.assign(new Error(`Dev branch not found: ${devBranch}`), { status: 404 });
+
+  const pulls = await openFeatPulls(repo, devBranch);
+  let targets = pulls.map(pr => ({ branch: pr.branch, pr_number: pr.number }));
+  if (branch) {
+    if (!await getBranchSha(repo, branch)) throw Object.assign(new Error(`Branch not found: ${branch}`), { status: 404 });
+    const pr = pulls.find(p => p.branch === branch);
+    targets = [{ branch, pr_number: pr ? pr.number : null }];
+  }
+
+  const branches = [];
+  for (const { branch: name, pr_number } of targets) {
+    try {
+      branches.push({ pr_number, ...(await syncBranch({ repo, branch: name, devBranch, devSha, strategy })) });
+    } catch (err) {
+      console.warn(`[sync-branches] ${name}: ${err.message}`);
+      branches.push({ branch: name, pr_number, status: 'error', error: err.message });
+    }
+  }
+
+  const summary = {};
+  for (const b of branches) summary[b.status] = (summary[b.status] || 0) + 1;
+  console.log(`[sync-branches] ${project} (${strategy}) onto ${devSha.slice(0, 7)}: `
+    + (Object.entries(summary).map(([s, n]) => `${n} ${s}`).join(', ') || 'no open feat branches'));
+
+  return { project, repo: target.full_name, dev_branch: devBranch, dev_sha: devSha, strategy, branches, summary };
+}
+
+module.exports = { syncFeatBranches, syncConfig, SYNC_STRATEGIES };
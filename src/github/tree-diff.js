@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * Compute the git blob SHA-1 for file contents, exactly as `git hash-object`
+ * would — lets us compare local files against tree entries without
+ * downloading anything.
+ *
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+function gitBlobSha(content) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1')
+    .update(`blob ${buf.length}\0`)
+    .update(buf)
+    .digest('hex');
+}
+
+/** Remote entries without a mode (older listings) compare on content alone. */
+function sameMode(file, remoteMode) {
+  return !remoteMode || (file.mode || '100644') === remoteMode;
+}
+
+/**
+ * Compare local files against a branch tree.
+ *
+ * In 'merge' mode remote files missing locally are left alone. In 'mirror'
+ * mode they are deleted, except paths matched by `keep` (e.g. bootstrap-managed
+ * workflow files). A deleted path whose blob reappears unchanged under a new
+ * path is reported as a rename instead of a delete + add. A file whose
+ * content is unchanged but whose mode flipped (e.g. made executable) counts
+ * as modified.
+ *
+ * @param {Array<{path: string, content: string|Buffer, mode?: string}>} files - Local files
+ * @param {Array<{path: string, sha: string, mode?: string}>} remote           - Remote blob entries
+ * @param {object} [opts]
+ * @param {'merge'|'mirror'} [opts.mode='merge']
+ * @param {(path: string) => boolean} [opts.keep]               - Never delete these paths
+ * @returns {{added: string[], modified: string[], unchanged: string[], deleted: string[], renamed: Array<{from: string, to: string}>}}
+ */
+function diffTree(files, remote, { mode = 'merge', keep = () => false } = {}) {
+  const remoteByPath = new Map(remote.map(e => [e.path, e.sha]));
+  const remoteModes = new Map(remote.map(e => [e.path, e.mode]));
+  const localPaths = new Set(files.map(f => f.path));
+
+  const added = [];
+  const modified = [];
+  const unchanged = [];
+  for (const file of files) {
+    const remoteSha = remoteByPath.get(file.path);
+    if (remoteSha === undefined) added.push(file.path);
+    else if (remoteSha === gitBlobSha(file.content) && sameMode(file, remoteModes.get(file.path))) unchanged.push(file.path);
+    else modified.push(file.path);
+  }
+
+  let deleted = [];
+  const renamed = [];
+  if (mode === 'mirror') {
+    deleted = remote
+      .filter(e => !localPaths.has(e.path) && !keep(e.path))
+      .map(e => e.path);
+
+    // Pair each deleted blob with at most one added file carrying the same content
+    const deletedBySha = new Map();
+    for (const p of deleted) {
+      const sha = remoteByPath.get(p);
+      if (!deletedBySha.has(sha)) deletedBySha.set(sha, []);
+      deletedBySha.get(sha).push(p);
+    }
+    const addedContent = new Map(files.map(f => [f.path, f.content]));
+    for (const to of [...added]) {
+      const candidates = deletedBySha.get(gitBlobSha(addedContent.get(to)));
+      if (!candidates || !candidates.length) continue;
+      const from = candidates.shift();
+      renamed.push({ from, to });
+      added.splice(added.indexOf(to), 1);
+      deleted.splice(deleted.indexOf(from), 1);
+    }
+  }
+
+  return { added, modified, unchanged, deleted, renamed };
+}
+
+module.exports = { gitBlobSha, diffTree };
@@ -1,7 +1,18 @@
+const { timingSafeEqual } = require('crypto');
+const { findKey, hashKey, matchesProject } = require('../auth/api-keys');
+
 const { API_KEY } = process.env;
 
+// The env API_KEY is the bootstrap admin credential: all projects, all scopes.
+// Its client name is reserved — no named key may use it.
+const ADMIN_CLIENT = 'admin';
+const ADMIN_IDENTITY = { client: ADMIN_CLIENT, projects: ['*'], scopes: ['admin'] };
+
 /**
  * x-api-key authentication middleware.
+ *
+ * Accepts the global API_KEY (admin) or any active named key from the key
+ * store, and sets req.auth = { client, projects, scopes } for the route.
  * Rejects requests missing or with wrong key with 401.
  */
 function auth(req, res, next) {
@@ -9,10 +20,60 @@ function auth(req, res, next) {
     console.warn('[auth] API_KEY not configured — all requests rejected');
     return res.status(500).json({ error: 'Server misconfigured: API_KEY not set' });
   }
-  if (req.headers['x-api-key'] !== API_KEY) {
+  const key = req.headers['x-api-key'];
+  if (!key) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
+
+  // Compare hashes so the comparison is constant-time regardless of key length
+  if (timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(API_KEY), 'hex'))) {
+    req.auth = ADMIN_IDENTITY;
+    return next();
+  }
+
+  const record = findKey(key);
+  if (!record) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  req.auth = { client: record.name, projects: record.projects, scopes: record.scopes };
+  next();
+}
+
+/**
+ * Route guard: the caller's key must carry `scope` (or 'admin'). Responds 403 otherwise.
+ *
+ * @param {string} scope
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const { scopes } = req.auth;
+    if (!scopes.includes(scope) && !scopes.includes('admin')) {
+      return res.status(403).json({ error: `API key "${req.auth.client}" lacks the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * True if the authenticated caller may act on a project.
+ *
+ * @param {object} authInfo - req.auth
+ * @param {string} project
+ * @returns {boolean}
+ */
+function canAccessProject(authInfo, project) {
+  return authInfo.projects.some(pattern => matchesProject(pattern, project));
+}
+
+/**
+ * Route guard for /projects/:project/* routes. Responds 403 if the caller's
+ * key is not allowed on req.params.project.
+ */
+function requireProjectAccess(req, res, next) {
+  if (!canAccessProject(req.auth, req.params.project)) {
+    return res.status(403).json({ error: `API key "${req.auth.client}" may not access project "${req.params.project}"` });
+  }
   next();
 }
 
-module.exports = { auth };
+module.exports = { auth, requireScope, canAccessProject, requireProjectAccess, ADMIN_CLIENT };
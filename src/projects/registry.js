@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { repoPath, apiBaseUrl, registerCredentials } = require('../github/api');
+const { createTokenProvider } = require('../github/credentials');
+const { IGNORE_FILE, parseIgnoreFile } = require('../util/ignore-rules');
+
+/**
+ * Per-project configuration from projects/<name>/project.json, layered over
+ * projects/_default/project.json. Both files are optional; top-level object
+ * values are merged one level deep, everything else is replaced.
+ *
+ * The `repo` section routes a project to its own repository:
+ *
+ *   "repo": {
+ *     "owner": "team-a",
+ *     "name": "team-a-services",
+ *     "api_url": "https://ghe.example.com/api/v3",      // optional, default GH_API_URL
+ *     "credentials": { "token_env": "TEAM_A_GH_TOKEN" } // optional, default service credentials
+ *   }
+ *
+ * `credentials` names secrets rather than holding them: either `token_env`
+ * (env var with a token) or a GitHub App as `app_id`, `installation_id` and
+ * `private_key_path` or `private_key_env`. Projects without a `repo` live in
+ * GH_OWNER/GH_REPO as before; a `repo` block without owner and name (e.g.
+ * credentials set once in _default) applies to GH_OWNER/GH_REPO.
+ */
+
+const NAME_RE = /^[A-Za-z0-9_.-]+$/;
+
+/** Root of the per-project directories (workflows, project.json). */
+function projectsDir() {
+  return path.resolve(process.env.PROJECTS_DIR || path.join(__dirname, '../../projects'));
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid project config ${file}: ${err.message}`);
+  }
+}
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Effective configuration for a project (defaults merged in).
+ *
+ * @param {string} project
+ * @returns {object}
+ */
+function loadProjectConfig(project) {
+  const defaults = readJson(path.join(projectsDir(), '_default', 'project.json'));
+  const own = readJson(path.join(projectsDir(), project, 'project.json'));
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(own)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key])
+      ? { ...defaults[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Turn a `credentials` block into a credentials spec (see credentials.js).
+ *
+ * @param {object} creds
+ * @param {string} project - For error messages
+ * @returns {{token: string} | {appId: string, privateKey: string, installationId: string}}
+ */
+function credentialsSpec(creds, project) {
+  const fail = (message) => { throw new Error(`Project "${project}" repo.credentials: ${message}`); };
+  if (creds.token_env) {
+    const token = process.env[creds.token_env];
+    if (!token) fail(`env var ${creds.token_env} is not set`);
+    return { token };
+  }
+  if (creds.app_id) {
+    if (!creds.installation_id) fail('installation_id is required with app_id');
+    const privateKey = creds.private_key_env
+      ? (process.env[creds.private_key_env] || '').replace(/\\n/g, '\n')
+      : creds.private_key_path && fs.readFileSync(path.resolve(projectsDir(), creds.private_key_path), 'utf8');
+    if (!privateKey) fail('set private_key_env or private_key_path');
+    return { appId: String(creds.app_id), privateKey, installationId: String(creds.installation_id) };
+  }
+  return fail('expected token_env, or app_id + installation_id + private_key_env/private_key_path');
+}
+
+// One token provider per distinct credentials, so installation tokens stay cached
+const providers = new Map();
+
+/**
+ * Where a project's branches live.
+ *
+ * `path` is the prefix endpoint builders append to (`${path}/git/refs`):
+ * relative for the default repo, an absolute URL for a routed repo — whose
+ * credentials are registered with githubApi under that URL.
+ *
+ * @param {string} [project] - Omit for the default GH_OWNER/GH_REPO target
+ * @returns {{owner: string, name: string, full_name: string, api_url: string, path: string}}
+ * @throws if the project's repo config is invalid
+ */
+function resolveRepo(project) {
+  const repo = project ? loadProjectConfig(project).repo : undefined;
+  if (!repo) {
+    const { GH_OWNER: owner, GH_REPO: name } = process.env;
+    return { owner, name, full_name: `${owner}/${name}`, api_url: apiBaseUrl(), path: repoPath() };
+  }
+
+  const { credentials } = repo;
+  const named = repo.owner !== undefined || repo.name !== undefined;
+  const owner = named ? repo.owner : process.env.GH_OWNER;
+  const name = named ? repo.name : process.env.GH_REPO;
+  if (!NAME_RE.test(owner || '') || !NAME_RE.test(name || '')) {
+    throw new Error(`Project "${project}" repo config needs a valid "owner" and "name"`);
+  }
+  const apiUrl = (repo.api_url || apiBaseUrl()).replace(/\/$/, '');
+  if (!/^https?:\/\//.test(apiUrl)) throw new Error(`Project "${project}" repo.api_url must be an http(s) URL`);
+
+  const prefix = `${apiUrl}/repos/${owner}/${name}`;
+  let provider = null;
+  if (credentials) {
+    const spec = credentialsSpec(credentials, project);
+    const key = JSON.stringify([apiUrl, spec]);
+    if (!providers.has(key)) providers.set(key, createTokenProvider(spec, { apiUrl }));
+    provider = providers.get(key);
+  }
+  registerCredentials(prefix, provider);
+  return { owner, name, full_name: `${owner}/${name}`, api_url: apiUrl, path: prefix };
+}
+
+/**
+ * Default ignore rules for a project's pushes: projects/_default/.gitopsignore
+ * followed by projects/<project>/.gitopsignore, so the project's own file
+ * can negate a default. A .gitopsignore in the pushed directory comes after
+ * both (see scanDir).
+ *
+ * @param {string} project
+ * @returns {Array<object>} parsed rules
+ */
+function projectIgnoreRules(project) {
+  return ['_default', project].flatMap(name => {
+    const file = path.join(projectsDir(), name, IGNORE_FILE);
+    return fs.existsSync(file)
+      ? parseIgnoreFile(fs.readFileSync(file, 'utf8'), `projects/${name}/${IGNORE_FILE}`)
+      : [];
+  });
+}
+
+/**
+ * Projects that have their own project.json (i.e. may be routed elsewhere).
+ *
+ * @returns {string[]}
+ */
+function configuredProjects() {
+  if (!fs.existsSync(projectsDir())) return [];
+  return fs.readdirSync(projectsDir(), { withFileTypes: true })
+    .filter(e => e.isDirectory() && e.name !== '_default')
+    .filter(e => fs.existsSync(path.join(projectsDir(), e.name, 'project.json')))
+    .map(e => e.name);
+}
+
+module.exports = { projectsDir, loadProjectConfig, resolveRepo, projectIgnoreRules, configuredProjects };
@@ -0,0 +1,85 @@
+/**
+ * Idempotency-Key support for push requests.
+ *
+ * The key and a fingerprint of the request are stored on the job the
+ * request creates (see job-store), so a retry finds the original job
+ * instead of pushing again — across restarts, too. Keys are scoped to the
+ * calling client and honoured for IDEMPOTENCY_WINDOW_HOURS after the first
+ * request; older jobs (or jobs evicted by JOBS_MAX_RECORDS) no longer match.
+ */
+
+const { createHash } = require('crypto');
+const { findJob } = require('./job-store');
+
+const IDEMPOTENCY_WINDOW_HOURS = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || '24');
+// Printable ASCII without spaces, as sent by common HTTP clients (UUIDs, ULIDs, hashes)
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * JSON with object keys sorted, so equal bodies serialise identically.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of a request: the SHA-256 of its canonical JSON parts.
+ *
+ * @param {...*} parts - e.g. the JSON body, or the query string and the archive's SHA-256
+ * @returns {string}
+ */
+function requestFingerprint(...parts) {
+  return createHash('sha256').update(canonicalJson(parts)).digest('hex');
+}
+
+/**
+ * Validate an Idempotency-Key header value.
+ *
+ * @param {string|undefined} key
+ * @returns {string|null} the key, or null when absent
+ * @throws 400-tagged error if malformed
+ */
+function parseIdempotencyKey(key) {
+  if (key === undefined) return null;
+  if (!KEY_RE.test(key)) {
+    throw Object.assign(new Error('Idempotency-Key must be 1-255 printable ASCII characters without spaces'), { status: 400 });
+  }
+  return key;
+}
+
+/**
+ * The job an earlier request from the same client created with this key,
+ * within the window, or null if there is none.
+ *
+ * @param {object} opts
+ * @param {string} opts.client      - Caller's key name (job `source`)
+ * @param {string} opts.key         - Idempotency-Key
+ * @param {string} opts.fingerprint - requestFingerprint() of this request
+ * @param {number} [opts.now=Date.now()]
+ * @returns {object|null} the job record
+ * @throws 409-tagged error if the key was used with a different request
+ */
+function findIdempotentJob({ client, key, fingerprint, now = Date.now() }) {
+  const since = new Date(now - IDEMPOTENCY_WINDOW_HOURS * 3600 * 1000).toISOString();
+  const job = findJob(j => j.idempotency_key === key && j.source === client && j.created_at >= since);
+  if (!job) return null;
+  if (job.request_fingerprint !== fingerprint) {
+    throw Object.assign(
+      new Error(`Idempotency-Key "${key}" was already used for a different request (job ${job.id})`),
+      { status: 409 }
+    );
+  }
+  return job;
+}
+
+module.exports = { parseIdempotencyKey, requestFingerprint, findIdempotentJob, canonicalJson, IDEMPOTENCY_WINDOW_HOURS };
@@ -0,0 +1,112 @@
+/**
+ * Persistent record of every push (and branch sync) that enters the queue.
+ *
+ * Lifecycle: queued → running → succeeded (with result) | failed (with error).
+ * Stored as JSON lines in DATA_DIR/jobs.jsonl so callers can look up a job
+ * after the fact — including across restarts. Jobs still queued or running
+ * when the process stopped are picked up again by push-queue's resume().
+ */
+
+const { randomUUID } = require('crypto');
+const { createStore } = require('../store/jsonl-store');
+
+const JOBS_MAX_RECORDS = parseInt(process.env.JOBS_MAX_RECORDS || '1000', 10);
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+const FINISHED = new Set(['succeeded', 'failed']);
+
+let store;
+
+/** Open the store on first use. */
+function jobs() {
+  if (!store) {
+    store = createStore('jobs.jsonl', {
+      maxRecords: JOBS_MAX_RECORDS,
+      evictable: job => FINISHED.has(job.status),
+    });
+  }
+  return store;
+}
+
+/**
+ * Record a new queued job.
+ *
+ * @param {object} meta - Fields stored on the job (type, payload, project, feat_name, source, ...)
+ * @returns {object} the job record
+ */
+function createJob(meta = {}) {
+  const now = new Date().toISOString();
+  return jobs().put({
+    id: randomUUID(),
+    type: 'push',
+    ...meta,
+    status: 'queued',
+    created_at: now,
+    updated_at: now,
+  });
+}
+
+/**
+ * Move a job to a new status, stamping started_at / finished_at as appropriate.
+ *
+ * @param {string} id
+ * @param {'running'|'succeeded'|'failed'} status
+ * @param {object} [extra] - e.g. { result } or { error }
+ * @returns {object|null} updated job
+ */
+function setJobStatus(id, status, extra = {}) {
+  const now = new Date().toISOString();
+  const patch = { ...extra, status, updated_at: now };
+  if (status === 'running') patch.started_at = now;
+  if (FINISHED.has(status)) patch.finished_at = now;
+  return jobs().update(id, patch);
+}
+
+function getJob(id) {
+  return jobs().get(id);
+}
+
+/**
+ * List jobs, newest first.
+ *
+ * @param {object} [filter]
+ * @param {string} [filter.type]   - e.g. 'push', 'sync'
+ * @param {string} [filter.status]
+ * @param {string} [filter.project]
+ * @param {string} [filter.source]
+ * @param {number} [filter.limit=50]
+ * @returns {object[]}
+ */
+function listJobs({ type, status, project, source, limit = 50 } = {}) {
+  return jobs().all()
+    .filter(j => (!type || j.type === type)
+      && (!status || j.status === status)
+      && (!project || j.project === project)
+      && (!source || j.source === source))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+/**
+ * The newest job matching a predicate, or null.
+ *
+ * @param {(job: object) => boolean} predicate
+ * @returns {object|null}
+ */
+function findJob(predicate) {
+  return jobs().all()
+    .filter(predicate)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))[0] || null;
+}
+
+/**
+ * Jobs that have not finished (queued or running), oldest first.
+ *
+ * @returns {object[]}
+ */
+function pendingJobs() {
+  return jobs().all()
+    .filter(j => !FINISHED.has(j.status))
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+module.exports = { createJob, setJobStatus, getJob, listJobs, findJob, pendingJobs, JOB_STATUSES };
@@ -4,46 +4,407 @@
  * Prevents GitHub API rate-limit bursts when many external services
  * call simultaneously. Requests beyond the concurrency cap are queued
  * in memory and processed as slots free up.
+ *
+ * submit() additionally tracks each task as a persistent job (see job-store).
+ * A job stores its handler type and payload, so queued and in-flight work is
+ * on disk before the caller gets a 202 and resume() replays it after a
+ * restart. Handlers must therefore be idempotent.
+ *
+ * pauseUntil() holds back new tasks (e.g. while the GitHub rate-limit budget
+ * is nearly spent); tasks already running are left to finish.
+ *
+ * Fairness: waiting tasks sit in one sub-queue per project, and inside it
+ * one per client. Free slots go to projects by smooth weighted round-robin
+ * (weight from project.json `queue.weight`) and, within a project, to its
+ * clients in turn, so a busy project or client cannot starve the others.
+ * Per-project and per-client quotas cap how much of the queue one of them
+ * may hold (429 past them), and tasks whose `lock`s overlap (the feat branch
+ * a push writes; a lock ending in '/' covers everything under it, e.g. a
+ * project-wide sync) never run at the same time — they start in the order
+ * they were queued.
  */
 
+const { createJob, setJobStatus, pendingJobs } = require('./job-store');
+const { loadProjectConfig } = require('../projects/registry');
+
 const CONCURRENCY = parseInt(process.env.PUSH_QUEUE_CONCURRENCY || '5', 10);
 const MAX_QUEUE_DEPTH = parseInt(process.env.PUSH_QUEUE_MAX_DEPTH || '50', 10);
+// Give up on a job that has been started this many times without finishing
+// (e.g. it keeps crashing the process) instead of replaying it forever.
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+// Defaults for project.json `queue`; client quota applies to every API key
+const PROJECT_MAX_ACTIVE = parseInt(process.env.PUSH_QUEUE_PROJECT_MAX_ACTIVE || String(CONCURRENCY), 10);
+const PROJECT_MAX_QUEUED = parseInt(process.env.PUSH_QUEUE_PROJECT_MAX_QUEUED || '20', 10);
+const CLIENT_MAX_QUEUED = parseInt(process.env.PUSH_QUEUE_CLIENT_MAX_QUEUED || '20', 10);
+// Sub-queue of tasks that name no project or client (e.g. plain enqueue())
+const NONE = '-';
 
 let active = 0;
-const waiting = [];
+let queued = 0;
+// project → { weight, max_active, max_queued, current, active, queued, clients: Map<client, entry[]> }
+const projects = new Map();
+// client → tasks waiting
+const clientQueued = new Map();
+// locks held by running tasks
+const locks = new Set();
+// queue order, so overlapping locks are granted first come, first served
+let seq = 0;
+const handlers = new Map();
+// job id → settle promise of jobs this process has queued or is running
+const inflight = new Map();
+let accepting = true;
+let draining = true;
+let pausedUntil = 0;
+let pauseTimer = null;
+const idleWaiters = [];
 
 /**
  * Enqueue a task function. Returns a Promise that resolves/rejects
  * with the task's result once a concurrency slot is available.
  *
- * Throws a 503-tagged error if the queue is full (backpressure).
+ * Rejects with a 503-tagged error if the queue is full (backpressure), or a
+ * 429-tagged one past the project's or client's quota.
  *
  * @param {() => Promise<any>} task - Async function to run
+ * @param {object} [opts]
+ * @param {string} [opts.project] - Sub-queue the task waits in
+ * @param {string} [opts.client]  - Caller within the project
+ * @param {string} [opts.lock]    - Tasks with overlapping locks run one at a time (see locksOverlap)
  * @returns {Promise<any>}
  */
-function enqueue(task) {
-  if (waiting.length >= MAX_QUEUE_DEPTH) {
-    const err = Object.assign(
-      new Error(`Queue full (depth=${MAX_QUEUE_DEPTH}). Retry later.`),
-      { status: 503 }
-    );
+function enqueue(task, opts = {}) {
+  let policy;
+  try {
+    policy = admit(opts);
+  } catch (err) {
     return Promise.reject(err);
   }
   return new Promise((resolve, reject) => {
-    waiting.push({ task, resolve, reject });
+    push({ task, resolve, reject, ...opts, policy });
+    drain();
+  });
+}
+
+/**
+ * Queue settings for a project: project.json `queue` over the env defaults.
+ *
+ * @param {string} project
+ * @returns {{weight: number, max_active: number, max_queued: number}}
+ * @throws on invalid config
+ */
+function queueConfig(project) {
+  const defaults = { weight: 1, max_active: PROJECT_MAX_ACTIVE, max_queued: PROJECT_MAX_QUEUED };
+  if (project === NONE) return defaults;
+  const config = { ...defaults, ...loadProjectConfig(project).queue };
+  for (const key of Object.keys(defaults)) {
+    if (!Number.isInteger(config[key]) || config[key] < 1) {
+      throw new Error(`Project "${project}" queue.${key} must be a positive integer`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Check a new task against the global depth and its quotas.
+ *
+ * @returns {object} the project's queueConfig()
+ * @throws 503-tagged error if full or shutting down, 429 past a quota
+ */
+function admit(opts) {
+  const project = opts.project || NONE;
+  const client = opts.client || NONE;
+  if (!accepting) throw shuttingDownError();
+  if (queued >= MAX_QUEUE_DEPTH) throw queueFullError();
+  const policy = queueConfig(project);
+  const bucket = projects.get(project);
+  if (project !== NONE && bucket && bucket.queued >= policy.max_queued) {
+    throw quotaError(`Project "${project}" has ${bucket.queued} queued task(s) (quota ${policy.max_queued}).`);
+  }
+  if (client !== NONE && (clientQueued.get(client) || 0) >= CLIENT_MAX_QUEUED) {
+    throw quotaError(`Client "${client}" has ${clientQueued.get(client)} queued task(s) (quota ${CLIENT_MAX_QUEUED}).`);
+  }
+  return policy;
+}
+
+/**
+ * Register the function that runs jobs of a given type.
+ * Must happen before submit() or resume() for that type.
+ *
+ * @param {string} type - e.g. 'push'
+ * @param {(payload: object, job: object) => Promise<any>} handler
+ * @param {object} [opts]
+ * @param {(payload: object, job: object) => void} [opts.onAbandon] - Cleanup for a job resume() fails
+ *   without running it (e.g. past JOB_MAX_ATTEMPTS), since the handler's own cleanup never gets to run
+ */
+function registerHandler(type, handler, { onAbandon } = {}) {
+  handlers.set(type, { run: handler, onAbandon });
+}
+
+/**
+ * Fail a job resume() will not run, and give its handler a chance to clean up.
+ *
+ * @param {object} job
+ * @param {string} error
+ */
+function abandon(job, error) {
+  setJobStatus(job.id, 'failed', { error });
+  const { onAbandon } = handlers.get(job.type) || {};
+  if (!onAbandon || !job.payload) return;
+  try {
+    onAbandon(job.payload, job);
+  } catch (err) {
+    console.error(`[push-queue] cleanup of abandoned job ${job.id} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Persist a job and queue it. The job moves to 'running' when the handler
+ * starts and to 'succeeded' / 'failed' when it settles.
+ *
+ * Unlike enqueue(), a full queue throws synchronously, so callers can
+ * answer 503 instead of handing out a job ID for work that never ran.
+ *
+ * @param {string} type       - Registered handler type
+ * @param {object} payload    - Handler input; must be JSON-serialisable
+ * @param {object} [meta]     - Extra job fields (project, feat_name, source, ...);
+ *                              project, source and lock also place the task in the queue (see enqueue)
+ * @returns {{job: object, done: Promise<any>}}
+ * @throws 503-tagged error if the queue is full or shutting down, 429 past a quota
+ */
+function submit(type, payload, meta = {}) {
+  if (!handlers.has(type)) throw new Error(`No handler registered for job type "${type}"`);
+  const policy = admit({ project: meta.project, client: meta.source });
+
+  const job = createJob({ ...meta, type, payload });
+  return { job, done: run(job, policy) };
+}
+
+/**
+ * Re-queue every job a previous process left queued or running, oldest
+ * first. Replays bypass MAX_QUEUE_DEPTH and the quotas — they were already accepted.
+ *
+ * @returns {number} jobs replayed
+ */
+function resume() {
+  let replayed = 0;
+  for (const job of pendingJobs()) {
+    if (!handlers.has(job.type) || !job.payload) {
+      setJobStatus(job.id, 'failed', { error: `Cannot replay job of type "${job.type}" after restart` });
+    } else if ((job.attempts || 0) >= JOB_MAX_ATTEMPTS) {
+      abandon(job, `Abandoned after ${job.attempts} interrupted attempt(s)`);
+    } else {
+      let policy;
+      try {
+        policy = queueConfig(job.project || NONE);
+      } catch (err) {
+        abandon(job, err.message);
+        continue;
+      }
+      run(job, policy).catch(err => console.error(`[push-queue] replayed job ${job.id} failed: ${err.message}`));
+      replayed++;
+    }
+  }
+  if (replayed) console.log(`[push-queue] Resumed ${replayed} job(s) from previous run`);
+  return replayed;
+}
+
+/**
+ * Stop accepting work, let active tasks finish for up to timeoutMs, and
+ * leave everything else queued on disk for resume() on next start.
+ *
+ * @param {number} timeoutMs
+ * @returns {Promise<{active: number, queued: number}>} work left unfinished
+ */
+async function shutdown(timeoutMs) {
+  accepting = false;
+  draining = false;
+  clearTimeout(pauseTimer);
+
+  if (active > 0) {
+    let timer;
+    await Promise.race([
+      new Promise(resolve => idleWaiters.push(resolve)),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); }),
+    ]);
+    clearTimeout(timer);
+  }
+  return { active, queued };
+}
+
+/** Run a persisted job through the in-memory queue, keeping its record in sync. */
+function run(job, policy) {
+  const done = new Promise((resolve, reject) => {
+    push({
+      project: job.project,
+      client: job.source,
+      lock: job.lock,
+      policy,
+      task: async () => {
+        setJobStatus(job.id, 'running', { attempts: (job.attempts || 0) + 1 });
+        try {
+          const result = await handlers.get(job.type).run(job.payload, job);
+          setJobStatus(job.id, 'succeeded', { result });
+          return result;
+        } catch (err) {
+          setJobStatus(job.id, 'failed', { error: err.message, error_status: err.status || null });
+          throw err;
+        }
+      },
+      resolve,
+      reject,
+    });
     drain();
   });
+  inflight.set(job.id, done);
+  done.catch(() => {}).finally(() => inflight.delete(job.id));
+  return done;
+}
+
+/**
+ * Promise for a job queued or running in this process (settles with the
+ * handler's result or error), or null if it is not in flight here.
+ *
+ * @param {string} id
+ * @returns {Promise<any>|null}
+ */
+function jobDone(id) {
+  return inflight.get(id) || null;
+}
+
+/**
+ * Start no new tasks before `untilMs`. A later pause extends the current
+ * one; an earlier one is ignored.
+ *
+ * @param {number} untilMs - ms epoch
+ */
+function pauseUntil(untilMs) {
+  if (untilMs <= pausedUntil) return;
+  pausedUntil = untilMs;
+  schedulePauseEnd();
+}
+
+function schedulePauseEnd() {
+  clearTimeout(pauseTimer);
+  pauseTimer = setTimeout(() => {
+    // Timers may fire a little early; wait out the remainder
+    if (Date.now() < pausedUntil) return schedulePauseEnd();
+    drain();
+  }, Math.max(0, pausedUntil - Date.now()));
+}
+
+function queueFullError() {
+  return Object.assign(
+    new Error(`Queue full (depth=${MAX_QUEUE_DEPTH}). Retry later.`),
+    { status: 503 }
+  );
+}
+
+function quotaError(message) {
+  return Object.assign(new Error(`${message} Retry later.`), { status: 429 });
+}
+
+function shuttingDownError() {
+  return Object.assign(new Error('Service is shutting down. Retry later.'), { status: 503 });
+}
+
+/** Add a task to its project's and client's sub-queue. */
+function push(entry) {
+  const project = entry.project || NONE;
+  const client = entry.client || NONE;
+  let bucket = projects.get(project);
+  if (!bucket) {
+    bucket = { current: 0, active: 0, queued: 0, clients: new Map() };
+    projects.set(project, bucket);
+  }
+  // Settings may have changed since the project's last task
+  Object.assign(bucket, { weight: entry.policy.weight, max_active: entry.policy.max_active });
+  if (!bucket.clients.has(client)) bucket.clients.set(client, []);
+  bucket.clients.get(client).push({ ...entry, project, client, seq: seq++ });
+  bucket.queued++;
+  queued++;
+  clientQueued.set(client, (clientQueued.get(client) || 0) + 1);
+}
+
+/**
+ * Whether two locks exclude each other: equal, or one ends in '/' and
+ * covers the other (`feat/proj-a/` covers `feat/proj-a/login`).
+ */
+function locksOverlap(a, b) {
+  return a === b || (a.endsWith('/') && b.startsWith(a)) || (b.endsWith('/') && a.startsWith(b));
+}
+
+/**
+ * Whether a waiting task must wait for its lock: a running task holds an
+ * overlapping one, or an earlier task in the same project still waits for one.
+ * Locks are per project (they name its branches), so other buckets never overlap.
+ */
+function lockBlocked(bucket, entry) {
+  if (!entry.lock) return false;
+  if ([...locks].some(held => locksOverlap(held, entry.lock))) return true;
+  for (const entries of bucket.clients.values()) {
+    if (entries.some(e => e.seq < entry.seq && e.lock && locksOverlap(e.lock, entry.lock))) return true;
+  }
+  return false;
+}
+
+/** A bucket's next startable task: clients in turn, FIFO within a client, skipping locked tasks. */
+function nextInBucket(bucket) {
+  if (bucket.active >= bucket.max_active) return null;
+  for (const entries of bucket.clients.values()) {
+    const entry = entries.find(e => !lockBlocked(bucket, e));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Take the next task to start, or null if none can start now. Projects are
+ * picked by smooth weighted round-robin among those with a startable task.
+ */
+function take() {
+  let best = null;
+  let total = 0;
+  for (const bucket of projects.values()) {
+    if (!nextInBucket(bucket)) continue;
+    bucket.current += bucket.weight;
+    total += bucket.weight;
+    if (!best || bucket.current > best.current) best = bucket;
+  }
+  if (!best) return null;
+  best.current -= total;
+
+  const entry = nextInBucket(best);
+  const entries = best.clients.get(entry.client);
+  entries.splice(entries.indexOf(entry), 1);
+  // The client goes to the back of its project's rotation
+  best.clients.delete(entry.client);
+  if (entries.length) best.clients.set(entry.client, entries);
+  best.queued--;
+  queued--;
+  const left = clientQueued.get(entry.client) - 1;
+  if (left) clientQueued.set(entry.client, left);
+  else clientQueued.delete(entry.client);
+  return entry;
 }
 
 function drain() {
-  while (active < CONCURRENCY && waiting.length > 0) {
-    const { task, resolve, reject } = waiting.shift();
+  while (draining && Date.now() >= pausedUntil && active < CONCURRENCY) {
+    const entry = take();
+    if (!entry) break;
+    const { task, resolve, reject, project, lock } = entry;
+    const bucket = projects.get(project);
     active++;
+    bucket.active++;
+    if (lock) locks.add(lock);
     task()
       .then(resolve)
       .catch(reject)
       .finally(() => {
         active--;
+        bucket.active--;
+        if (lock) locks.delete(lock);
+        if (!bucket.active && !bucket.queued) projects.delete(project);
+        if (active === 0) idleWaiters.splice(0).forEach(fn => fn());
         drain();
       });
   }
@@ -53,7 +414,17 @@ function drain() {
  * Current queue stats — useful for health/debug endpoints.
  */
 function stats() {
-  return { active, queued: waiting.length, concurrency: CONCURRENCY };
+  return {
+    active,
+    queued,
+    concurrency: CONCURRENCY,
+    accepting,
+    paused_until: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+    projects: Object.fromEntries([...projects.keys()].sort().map(name => {
+      const bucket = projects.get(name);
+      return [name, { active: bucket.active, queued: bucket.queued, weight: bucket.weight }];
+    })),
+  };
 }
 
-module.exports = { enqueue, stats };
+module.exports = { enqueue, registerHandler, submit, jobDone, resume, shutdown, pauseUntil, stats, queueConfig };
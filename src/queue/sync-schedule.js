@@ -0,0 +1,75 @@
+/**
+ * In-process schedule for branch syncs (see github/sync-branches).
+ *
+ * Every SYNC_INTERVAL_MINUTES a 'sync' job is queued for each project that
+ * has a dev branch and does not opt out with `"sync": { "schedule": false }`
+ * in project.json. The jobs go through the push queue like any other, so
+ * they share its concurrency cap, rate-limit pauses and job history.
+ * 0 (the default) disables the schedule.
+ */
+
+const { submit } = require('./push-queue');
+const { listJobs } = require('./job-store');
+const { listProjects } = require('../github/projects');
+const { syncConfig } = require('../github/sync-branches');
+const { featBranchPrefix } = require('../github/ensure-project');
+
+const SYNC_INTERVAL_MINUTES = parseFloat(process.env.SYNC_INTERVAL_MINUTES || '0');
+
+let timer = null;
+
+/**
+ * Queue one sync job per eligible project, skipping projects that already
+ * have a sync queued or running. Requires a registered 'sync' handler.
+ *
+ * @returns {Promise<string[]>} projects a job was queued for
+ */
+async function queueScheduledSyncs() {
+  let projects;
+  try {
+    projects = await listProjects();
+  } catch (err) {
+    console.error(`[sync-schedule] Could not list projects: ${err.message}`);
+    return [];
+  }
+
+  const queued = [];
+  for (const { project, dev_sha } of projects) {
+    if (!dev_sha) continue;
+    try {
+      if (!syncConfig(project).schedule) continue;
+      const pending = [...listJobs({ type: 'sync', project, status: 'queued' }), ...listJobs({ type: 'sync', project, status: 'running' })];
+      if (pending.length) continue;
+
+      const { job, done } = submit('sync', { project }, { project, source: 'scheduler', lock: featBranchPrefix(project) });
+      done.catch(err => console.error(`[sync-schedule] ${project} job ${job.id} failed: ${err.message}`));
+      queued.push(project);
+    } catch (err) {
+      console.error(`[sync-schedule] ${project}: ${err.message}`);
+    }
+  }
+  if (queued.length) console.log(`[sync-schedule] Queued sync for ${queued.join(', ')}`);
+  return queued;
+}
+
+/**
+ * Start the schedule. No-op when the interval is 0 or already running.
+ *
+ * @param {number} [minutes=SYNC_INTERVAL_MINUTES]
+ * @returns {boolean} whether a schedule is running
+ */
+function startSyncSchedule(minutes = SYNC_INTERVAL_MINUTES) {
+  if (timer) return true;
+  if (!(minutes > 0)) return false;
+  timer = setInterval(queueScheduledSyncs, minutes * 60 * 1000);
+  timer.unref();
+  console.log(`[sync-schedule] Syncing feat branches every ${minutes} minute(s)`);
+  return true;
+}
+
+function stopSyncSchedule() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { queueScheduledSyncs, startSyncSchedule, stopSyncSchedule, SYNC_INTERVAL_MINUTES };
@@ -0,0 +1,187 @@
+const { compilePattern, matchesRule } = require('../util/ignore-rules');
+
+/**
+ * Pre-push secret scanner. Runs on the files read from a push directory,
+ * before anything is sent to GitHub, so a leaked credential never reaches
+ * the repository history.
+ *
+ * Project policy comes from the `secret_scan` section of project.json:
+ *
+ *   "secret_scan": {
+ *     "policy": "reject",                    // reject (default) | redact | off
+ *     "allow_paths": ["tests/fixtures/**"],  // gitignore-style, never scanned
+ *     "allow_patterns": ["EXAMPLE$"],        // regexes; matching findings are ignored
+ *     "min_entropy": 4.5                     // bits/char for the high-entropy rule; 0 disables it
+ *   }
+ *
+ * A line containing `gitops:allow-secret` is never reported.
+ */
+
+const POLICIES = ['reject', 'redact', 'off'];
+const ALLOW_MARKER = 'gitops:allow-secret';
+const DEFAULT_MIN_ENTROPY = 4.5;
+
+// Files that are full of hashes by design; only the high-entropy rule skips them
+const ENTROPY_SKIP = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', '*.lock', '*.min.js', '*.map']
+  .map(p => compilePattern(p, 'entropy-skip'));
+
+/**
+ * Token formats. `group` names the capture group holding the secret when
+ * the match also includes surrounding context.
+ */
+const RULES = [
+  { id: 'aws-access-key-id', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA)[A-Z0-9]{16}\b/g },
+  {
+    id: 'aws-secret-access-key',
+    regex: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1,
+  },
+  { id: 'github-token', regex: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255}\b/g },
+  { id: 'github-fine-grained-pat', regex: /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g },
+  { id: 'slack-token', regex: /\bxox[baprs]-[A-Za-z0-9-]{10,}\b/g },
+  {
+    // Through the END line, or to the end of the file when it is missing (a truncated key is still a key)
+    id: 'private-key',
+    regex: /-----BEGIN[A-Z ]*PRIVATE KEY(?: BLOCK)?-----(?:[\s\S]*?-----END[A-Z ]*PRIVATE KEY(?: BLOCK)?-----|[\s\S]*$)/g,
+  },
+];
+
+// Quoted or assigned values long enough to be a key
+const ENTROPY_CANDIDATE = /(?:["'`]|[=:]\s*)([A-Za-z0-9+/_=-]{32,})/g;
+
+/**
+ * Shannon entropy in bits per character.
+ *
+ * @param {string} s
+ * @returns {number}
+ */
+function shannonEntropy(s) {
+  const counts = new Map();
+  for (const c of s) counts.set(c, (counts.get(c) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / s.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/**
+ * Validate and fill in defaults for a project's `secret_scan` section.
+ *
+ * @param {object} [section]
+ * @param {string} [project] - For error messages
+ * @returns {{policy: string, allowPaths: Array<object>, allowPatterns: RegExp[], minEntropy: number}}
+ * @throws if the section is invalid
+ */
+function scanConfig(section = {}, project = '') {
+  const fail = (message) => { throw new Error(`Project "${project}" secret_scan: ${message}`); };
+  const { policy = 'reject', allow_paths = [], allow_patterns = [], min_entropy = DEFAULT_MIN_ENTROPY } = section;
+  if (!POLICIES.includes(policy)) fail(`policy must be one of: ${POLICIES.join(', ')}`);
+  if (!Array.isArray(allow_paths) || !Array.isArray(allow_patterns)) fail('allow_paths and allow_patterns must be arrays');
+  if (typeof min_entropy !== 'number' || min_entropy < 0) fail('min_entropy must be a non-negative number');
+
+  return {
+    policy,
+    allowPaths: allow_paths.map(p => compilePattern(p, 'allow_paths')).filter(Boolean),
+    allowPatterns: allow_patterns.map(p => {
+      try {
+        return new RegExp(p);
+      } catch (err) {
+        return fail(`invalid allow_patterns entry ${JSON.stringify(p)}: ${err.message}`);
+      }
+    }),
+    minEntropy: min_entropy,
+  };
+}
+
+/**
+ * Find likely secrets in one file's text.
+ *
+ * @param {string} filePath
+ * @param {string} content
+ * @param {object} config - scanConfig() result
+ * @returns {Array<{path, line, rule, start, end}>} sorted by position; start/end delimit the secret
+ */
+function scanContent(filePath, content, config) {
+  const findings = [];
+  const lineAt = (index) => content.slice(0, index).split('\n').length;
+  const lineText = (index) => {
+    const end = content.indexOf('\n', index);
+    return content.slice(content.lastIndexOf('\n', index) + 1, end === -1 ? undefined : end);
+  };
+  const overlaps = (start, end) => findings.some(f => start < f.end && end > f.start);
+
+  const report = (rule, start, secret) => {
+    const end = start + secret.length;
+    if (overlaps(start, end)) return;
+    if (lineText(start).includes(ALLOW_MARKER)) return;
+    if (config.allowPatterns.some(re => re.test(secret))) return;
+    findings.push({ path: filePath, line: lineAt(start), rule, start, end });
+  };
+
+  for (const rule of RULES) {
+    for (const m of content.matchAll(rule.regex)) {
+      const secret = rule.group ? m[rule.group] : m[0];
+      report(rule.id, m.index + m[0].lastIndexOf(secret), secret);
+    }
+  }
+
+  if (config.minEntropy > 0 && !ENTROPY_SKIP.some(r => matchesRule(r, filePath, false))) {
+    for (const m of content.matchAll(ENTROPY_CANDIDATE)) {
+      const secret = m[1];
+      if (!/[0-9]/.test(secret) || !/[A-Za-z]/.test(secret)) continue;
+      if (shannonEntropy(secret) < config.minEntropy) continue;
+      report('high-entropy-string', m.index + m[0].length - secret.length, secret);
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Apply a project's secret policy to the files of a push.
+ *
+ * - reject: throws a 422-tagged error listing every finding as path:line
+ *   (with `findings` attached); nothing is pushed
+ * - redact: each secret is replaced with `[REDACTED:<rule>]` and the push
+ *   goes ahead; the findings are returned as `redacted`
+ * - off:    files are returned untouched
+ *
+ * Binary files and `allow_paths` are not scanned.
+ *
+ * @param {Array<{path, content, binary?}>} files
+ * @param {object} [section] - The project's `secret_scan` config
+ * @param {string} [project]
+ * @returns {{files: Array, redacted: Array<{path, line, rule}>}}
+ */
+function applySecretPolicy(files, section, project) {
+  const config = scanConfig(section, project);
+  if (config.policy === 'off') return { files, redacted: [] };
+
+  const findings = [];
+  const scanned = files.map(file => {
+    if (file.binary || config.allowPaths.some(r => matchesRule(r, file.path, false))) return file;
+    const found = scanContent(file.path, file.content, config);
+    if (!found.length) return file;
+    findings.push(...found);
+
+    let content = file.content;
+    for (const f of [...found].reverse()) {
+      content = `${content.slice(0, f.start)}[REDACTED:${f.rule}]${content.slice(f.end)}`;
+    }
+    return { ...file, content };
+  });
+  const report = findings.map(({ path, line, rule }) => ({ path, line, rule }));
+
+  if (report.length && config.policy === 'reject') {
+    throw Object.assign(
+      new Error(`Push refused: ${report.length} potential secret(s) found: `
+        + report.map(f => `${f.path}:${f.line} (${f.rule})`).join(', ')),
+      { status: 422, findings: report }
+    );
+  }
+  return { files: scanned, redacted: report };
+}
+
+module.exports = { applySecretPolicy, scanContent, scanConfig, shannonEntropy };
@@ -1,29 +1,61 @@
 require('dotenv').config();
 
 const path = require('path');
+const { randomUUID } = require('crypto');
 const express = require('express');
 const helmet = require('helmet');
-const { auth } = require('./middleware/auth');
+const { auth, requireScope, canAccessProject, requireProjectAccess, ADMIN_CLIENT } = require('./middleware/auth');
+const { validateKeySpec, createKey, rotateKey, revokeKey, listKeys } = require('./auth/api-keys');
 const { requestLogger } = require('./middleware/logger');
-const { createFeatBranch } = require('./github/create-feat-branch');
-const { ensureProject } = require('./github/ensure-project');
-const { enqueue, stats } = require('./queue/push-queue');
+const { createFeatBranch, planFeatBranch, readPushFiles, featIdFor, PUSH_MODES } = require('./github/create-feat-branch');
+const { ensureProject, featBranchPrefix } = require('./github/ensure-project');
+const { listProjects, getProject, promoteProject, archiveProject } = require('./github/projects');
+const { syncFeatBranches, SYNC_STRATEGIES } = require('./github/sync-branches');
+const { listFeatures, getFeature, updateFeature, deleteFeature, FEATURE_STATES } = require('./github/features');
+const { registerHandler, submit, jobDone, resume, shutdown, pauseUntil, stats } = require('./queue/push-queue');
+const { startSyncSchedule, stopSyncSchedule } = require('./queue/sync-schedule');
+const { onPause, rateLimitStatus } = require('./github/rate-limit');
+const { credentialsFromEnv } = require('./github/credentials');
+const { getJob, listJobs, JOB_STATUSES } = require('./queue/job-store');
+const { parseIdempotencyKey, findIdempotentJob, requestFingerprint } = require('./queue/idempotency');
+const { WEBHOOK_EVENTS, addSubscription, listSubscriptions, removeSubscription } = require('./webhooks/subscriptions');
+const { emitEvent, resumeDeliveries, getDelivery, listDeliveries } = require('./webhooks/dispatcher');
+const { verifyGitHubSignature, handleGitHubEvent } = require('./webhooks/github-receiver');
+const { isAllowedWebhookUrl } = require('./webhooks/url-policy');
+const { archiveFormat, receiveArchive, parseInlineFiles, stageInlineFiles, removeUpload } = require('./upload/receive-upload');
+const { isInside } = require('./util/paths');
 
 const { version: PKG_VERSION } = require('../package.json');
 const STARTED_AT = Date.now();
 const PROJECT_RE = /^[a-zA-Z0-9_-]+$/;
+// feat_id as createFeatBranch derives it from feat_name
+const FEAT_ID_RE = /^[a-z0-9._-]+$/;
+// Per list, for a push's include/exclude patterns
+const MAX_PATTERNS = 100;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '20000', 10);
 
 // Fail fast — catch misconfiguration before accepting any traffic
-const REQUIRED_ENV = ['API_KEY', 'GH_TOKEN', 'GH_OWNER', 'GH_REPO'];
+const REQUIRED_ENV = ['API_KEY', 'GH_OWNER', 'GH_REPO'];
 for (const key of REQUIRED_ENV) {
   if (!process.env[key]) {
     console.error(`[startup] Missing required env var: ${key}`);
     process.exit(1);
   }
 }
+// GitHub credentials: GH_TOKEN or a complete GitHub App configuration
+try {
+  const creds = credentialsFromEnv();
+  console.log(`[startup] GitHub auth: ${creds.appId ? `GitHub App ${creds.appId} (installation ${creds.installationId})` : 'token'}`);
+} catch (err) {
+  console.error(`[startup] Invalid GitHub credentials: ${err.message}`);
+  process.exit(1);
+}
 
 // Resolve the allowed incoming directory once at startup
 const INCOMING_DIR = path.resolve(process.env.INCOMING_DIR || '/mnt/incoming');
+// Take file modes from the exec bit in `dir` pushes too; off by default because
+// some mounts (SMB/NTFS, Docker Desktop bind mounts) mark every file executable
+const DIR_EXEC_MODE = process.env.PUSH_DIR_EXEC_MODE === 'true';
 
 /**
  * Validate that a caller-supplied directory is inside INCOMING_DIR.
@@ -35,7 +67,7 @@ const INCOMING_DIR = path.resolve(process.env.INCOMING_DIR || '/mnt/incoming');
  */
 function validateDir(dir) {
   const resolved = path.resolve(dir);
-  if (!resolved.startsWith(INCOMING_DIR + path.sep) && resolved !== INCOMING_DIR) {
+  if (!isInside(INCOMING_DIR, resolved)) {
     throw Object.assign(
       new Error(`dir must be inside ${INCOMING_DIR}`),
       { status: 400 }
@@ -44,11 +76,212 @@ function validateDir(dir) {
   return resolved;
 }
 
+/**
+ * Validate a /push or /push/sync body and return createFeatBranch options.
+ * `source` is taken from the authenticated API key, not from the body.
+ *
+ * Files come from exactly one of `dir` or an inline `files` array. Decoded
+ * inline files are returned as `inline` for the caller to stage to disk.
+ * With `archive: true` the files come from an uploaded archive, so both
+ * must be absent; the caller fills in `dir` after extraction.
+ *
+ * `dry_run` (boolean, or "true"/"false" in an archive upload's query string)
+ * is only returned when set.
+ *
+ * @param {object} body
+ * @param {object} authInfo - req.auth
+ * @param {object} [opts]
+ * @param {boolean} [opts.archive=false]
+ * @returns {object} createFeatBranch options, plus `inline` for a `files` body
+ * @throws 400-tagged error on invalid input, 403 if the key may not push to the project
+ */
+function parsePushBody(body, authInfo, { archive = false } = {}) {
+  const { project, dir, files, description, feat_name, labels, mode, callback_url, dry_run, include, exclude } = body || {};
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!project || typeof project !== 'string') {
+    throw invalid('project is required and must be a string');
+  }
+  if (!PROJECT_RE.test(project)) {
+    throw invalid(`Invalid project name "${project}". Use only letters, numbers, hyphens, underscores.`);
+  }
+  if (!canAccessProject(authInfo, project)) {
+    throw Object.assign(
+      new Error(`API key "${authInfo.client}" may not push to project "${project}"`),
+      { status: 403 }
+    );
+  }
+  if (archive) {
+    if (dir !== undefined || files !== undefined) throw invalid('dir and files cannot be combined with an archive upload');
+  } else if (files !== undefined) {
+    if (dir !== undefined) throw invalid('Provide either dir or files, not both');
+  } else if (!dir || typeof dir !== 'string') {
+    throw invalid('dir (or files) is required; dir must be a string (absolute path to directory)');
+  }
+  if (mode !== undefined && !PUSH_MODES.includes(mode)) {
+    throw invalid(`mode must be one of: ${PUSH_MODES.join(', ')}`);
+  }
+  if (callback_url !== undefined) {
+    if (!isAllowedWebhookUrl(callback_url)) throw invalid('callback_url must be an https URL on a public host');
+    if (!process.env.WEBHOOK_SECRET) throw invalid('callback_url requires WEBHOOK_SECRET to be configured on the service');
+  }
+  if (dry_run !== undefined && ![true, false, 'true', 'false'].includes(dry_run)) {
+    throw invalid('dry_run must be a boolean');
+  }
+  for (const [name, patterns] of [['include', include], ['exclude', exclude]]) {
+    if (patterns === undefined) continue;
+    if (!Array.isArray(patterns) || patterns.length > MAX_PATTERNS
+      || !patterns.every(p => typeof p === 'string' && p.trim() && !p.startsWith('!') && p.length <= 256)) {
+      throw invalid(`${name} must be an array of up to ${MAX_PATTERNS} gitignore-style patterns (no "!" negation)`);
+    }
+  }
+
+  return {
+    project,
+    dir: archive || files !== undefined ? undefined : validateDir(dir),
+    inline: files !== undefined ? parseInlineFiles(files) : undefined,
+    description,
+    // Fix the branch name now so a replay after restart reuses the same
+    // feat/* branch and PR instead of minting a new UUID
+    feat_name: feat_name || randomUUID(),
+    labels: labels || [],
+    source: authInfo.client,
+    mode: mode || 'merge',
+    callback_url,
+    include,
+    exclude,
+    ...(dry_run === true || dry_run === 'true' ? { dry_run: true } : {}),
+  };
+}
+
+/**
+ * Build push options from a JSON body (files in `dir` or inline `files`) or
+ * an archive upload (files in the request body, options in the query string).
+ * Inline files are staged to disk like an extracted archive.
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<object>} createFeatBranch options; `upload: true` marks a staged upload directory,
+ *   whose file modes are always kept (`exec_mode`), `fingerprint` identifies the request for Idempotency-Key checks
+ * @throws status-tagged errors (400 / 403 / 413)
+ */
+async function preparePush(req) {
+  const format = archiveFormat(req);
+  if (!format) {
+    const { inline, ...opts } = parsePushBody(req.body, req.auth);
+    const fingerprint = requestFingerprint(req.body);
+    if (!inline) return { ...opts, exec_mode: DIR_EXEC_MODE, fingerprint };
+    const upload = stageInlineFiles(inline);
+    req.log.info('inline files staged', { project: opts.project, files: upload.files, bytes: upload.bytes });
+    return { ...opts, dir: upload.dir, upload: true, exec_mode: true, fingerprint };
+  }
+
+  const { labels, include, exclude, ...query } = req.query;
+  const list = (value) => (value ? String(value).split(',').map(l => l.trim()).filter(Boolean) : undefined);
+  const opts = parsePushBody(
+    { ...query, labels: list(labels), include: list(include), exclude: list(exclude) },
+    req.auth,
+    { archive: true }
+  );
+  const upload = await receiveArchive(req, format);
+  req.log.info('archive received', { project: opts.project, format, files: upload.files, bytes: upload.bytes });
+  return { ...opts, dir: upload.dir, upload: true, exec_mode: true, fingerprint: requestFingerprint(req.query, upload.sha256) };
+}
+
+/**
+ * Job fields recorded for a push (see job-store), alongside its payload.
+ * `lock` is the feat branch, so the queue runs pushes to one branch one at a time.
+ */
+function jobMeta({ project, feat_name, source, mode }) {
+  return { project, feat_name, source, mode, lock: `${featBranchPrefix(project)}${featIdFor(feat_name)}` };
+}
+
+/**
+ * The outcome of a job this process is not running, as /push/sync returns it.
+ *
+ * @param {object} job
+ * @returns {object} the job's result
+ * @throws the job's error (with its recorded status), or 409 while it is still pending
+ */
+function finishedResult(job) {
+  if (job.status === 'succeeded') return job.result;
+  if (job.status === 'failed') throw Object.assign(new Error(job.error), { status: job.error_status || 500 });
+  throw Object.assign(new Error(`Push ${job.id} is still ${job.status}; poll GET /jobs/${job.id}`), { status: 409 });
+}
+
+/**
+ * Queue a push, or — when the Idempotency-Key was already used for the same
+ * request — return the job the first request created (`replayed: true`) and
+ * discard the new request's staged upload. `done` is null for a replayed job
+ * this process is not running (finished, or queued before a restart).
+ *
+ * A new push's files are read and checked first (ignore rules, limits,
+ * secret scan; no GitHub calls), so a push the job would refuse is refused
+ * now rather than after a 202.
+ *
+ * @param {object} opts - preparePush() output
+ * @param {string|null} key - Idempotency-Key
+ * @returns {{job: object, done: Promise<object>|null, replayed: boolean}}
+ * @throws 409-tagged error if the key was used for a different request, readPushFiles()
+ *   errors (400, or 403/413/422 with `paths` / `findings`), or submit() errors
+ */
+function submitPush({ fingerprint, ...opts }, key) {
+  if (key) {
+    const existing = findIdempotentJob({ client: opts.source, key, fingerprint });
+    if (existing) {
+      if (opts.upload) removeUpload(opts.dir);
+      return { job: existing, done: jobDone(existing.id), replayed: true };
+    }
+  }
+  try {
+    readPushFiles(opts);
+  } catch (err) {
+    throw Object.assign(err, { status: err.status || 400 });
+  }
+  const meta = key ? { ...jobMeta(opts), idempotency_key: key, request_fingerprint: fingerprint } : jobMeta(opts);
+  return { ...submit('push', opts, meta), replayed: false };
+}
+
+// Queued pushes are persisted as 'push' jobs and replayed through this handler.
+// Outcomes are announced to the push's callback_url and project webhooks.
+// Staged uploads (archives, inline files) are deleted once the push has finished either way,
+// or when resume() gives up on the job without running it.
+registerHandler('push', async ({ callback_url, upload, ...opts }, job) => {
+  const event = { project: opts.project, job_id: job.id, callback_url };
+  try {
+    const result = await createFeatBranch(opts);
+    emitEvent('push.succeeded', { ...event, data: result });
+    return result;
+  } catch (err) {
+    emitEvent('push.failed', { ...event, data: { feat_name: opts.feat_name, error: err.message } });
+    throw err;
+  } finally {
+    if (upload) removeUpload(opts.dir);
+  }
+}, {
+  onAbandon: ({ upload, dir }) => { if (upload) removeUpload(dir); },
+});
+
+// Branch syncs (POST /projects/:project/sync and the sync schedule) are 'sync' jobs
+registerHandler('sync', opts => syncFeatBranches(opts));
+
+// Abandoning a feature (DELETE /projects/:project/features/:feat_id) is an
+// 'abandon' job, locked on the feat branch so it cannot interleave with a push
+registerHandler('abandon', ({ project, feat_id, reason }) => deleteFeature(project, feat_id, { reason }));
+
+// Archiving (DELETE /projects/:project) is an 'archive' job holding every
+// feat branch of the project, so no push lands while its branches are removed
+registerHandler('archive', ({ project, force }) => archiveProject(project, { force }));
+
+// Stop starting pushes while the GitHub budget is nearly spent or GitHub is
+// rate-limiting us; in-flight pushes retry on their own (see githubApi)
+onPause(untilMs => pauseUntil(untilMs));
+
 const app = express();
 
 app.use(helmet());
 app.use(requestLogger);
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes for webhook signature verification
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.text({ type: 'text/plain', limit: '10mb' }));
 app.use((req, res, next) => {
   if (typeof req.body === 'string') {
@@ -57,17 +290,40 @@ app.use((req, res, next) => {
   next();
 });
 
-// GET /ping - health check
+// GET /ping - health check (public: queue totals only, per-project load is on GET /queue)
 app.get('/ping', (req, res) => {
+  const { projects, ...queue } = stats();
   res.json({
     ok: true,
     version: PKG_VERSION,
     node: process.version,
     uptime_s: Math.floor((Date.now() - STARTED_AT) / 1000),
-    queue: stats(),
+    queue,
+    github_rate_limit: rateLimitStatus(),
   });
 });
 
+/**
+ * POST /github/webhook
+ *
+ * Receives GitHub `pull_request` webhooks (authenticated by the
+ * x-hub-signature-256 HMAC, not x-api-key) and emits pr.merged / pr.closed.
+ * Disabled unless GH_WEBHOOK_SECRET is set; a malformed pull_request payload returns 400.
+ */
+app.post('/github/webhook', (req, res) => {
+  const secret = process.env.GH_WEBHOOK_SECRET;
+  if (!secret) return res.status(404).json({ error: 'GitHub webhook receiver not configured' });
+  if (!verifyGitHubSignature(secret, req.rawBody, req.headers['x-hub-signature-256'])) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  try {
+    const emitted = handleGitHubEvent(req.headers['x-github-event'], req.body);
+    res.json({ ok: true, emitted });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // All routes below require x-api-key auth
 app.use(auth);
 
@@ -75,7 +331,7 @@ app.use(auth);
  * POST /push
  *
  * Accepts code files from an external service, bootstraps the project branch
- * hierarchy if needed, creates a feat/<feat_name|uuid> branch off {project}-dev,
+ * hierarchy if needed, creates a feat/<project>/<feat_name|uuid> branch off {project}-dev,
  * pushes the files, and opens a PR.
  *
  * Body:
@@ -85,44 +341,59 @@ app.use(auth);
  *     description?: string,          // PR title / description
  *     feat_name?: string,            // optional branch suffix; defaults to UUID
  *     labels?: string[],             // extra PR labels (always includes 'automated', project name)
- *     source?: string                // identifier of the calling service
+ *     mode?: 'merge' | 'mirror',     // 'mirror' deletes branch files missing from dir (default 'merge')
+ *     include?: string[],            // only push paths matching these gitignore-style patterns
+ *     exclude?: string[],            // never push paths matching these patterns (on top of .gitopsignore)
+ *     callback_url?: string          // receives a signed push.succeeded / push.failed event
  *   }
  *
- * Response: 202 { ok, message }
+ * Archive upload: instead of `dir`, send a .tar.gz (Content-Type: application/gzip)
+ * or .zip (application/zip) as the raw request body, with the other fields in the
+ * query string (labels, include and exclude comma-separated). The archive root becomes the repo root.
+ *
+ * Idempotency-Key header (optional): retrying with the same key and request
+ * within IDEMPOTENCY_WINDOW_HOURS returns the original job_id (with
+ * Idempotent-Replayed: true) instead of pushing again; the same key with a
+ * different request is a 409.
+ *
+ * Response: 202 { ok, message, job_id } — poll GET /jobs/:id for the outcome
+ * The files are checked before the push is queued: 413 / 403 { error, paths } past the
+ * project's limits, 422 { error, findings } under the "reject" secret policy, as on /push/sync.
+ * Workflow protection needs the branch, so a "reject" refusal surfaces on the job.
  */
-app.post('/push', async (req, res) => {
-  const { project, dir, description, feat_name, labels, source } = req.body;
-
-  if (!project || typeof project !== 'string') {
-    return res.status(400).json({ error: 'project is required and must be a string' });
-  }
-  if (!PROJECT_RE.test(project)) {
-    return res.status(400).json({ error: `Invalid project name "${project}". Use only letters, numbers, hyphens, underscores.` });
-  }
-  if (!dir || typeof dir !== 'string') {
-    return res.status(400).json({ error: 'dir is required and must be a string (absolute path to directory)' });
-  }
-
-  let safeDir;
+app.post('/push', requireScope('push'), async (req, res) => {
+  let opts;
+  let key;
   try {
-    safeDir = validateDir(dir);
+    key = parseIdempotencyKey(req.get('idempotency-key'));
+    opts = await preparePush(req);
   } catch (err) {
-    return res.status(400).json({ error: err.message });
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+  const { project } = opts;
+  if (opts.dry_run) {
+    if (opts.upload) removeUpload(opts.dir);
+    return res.status(400).json({ error: 'dry_run is only supported on POST /push/sync' });
   }
 
   try {
-    enqueue(async () => {
-      const result = await createFeatBranch({ project, dir: safeDir, description, feat_name, labels: labels || [], source });
-      req.log.info('push complete', { project, pr: result.pr_number, url: result.pr_url });
-      return result;
+    const { job, done, replayed } = submitPush(opts, key);
+    if (replayed) {
+      req.log.info('push replayed', { project, job: job.id, status: job.status });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(202).json({ ok: true, message: 'Push already accepted', job_id: job.id });
+    }
+    done.then(result => {
+      req.log.info('push complete', { project, job: job.id, pr: result.pr_number, url: result.pr_url });
     }).catch(err => {
-      req.log.error('push failed', { project, error: err.message });
+      req.log.error('push failed', { project, job: job.id, error: err.message });
     });
-    res.status(202).json({ ok: true, message: 'Push queued' });
+    res.status(202).json({ ok: true, message: 'Push queued', job_id: job.id });
   } catch (err) {
     const status = err.status || 500;
+    if (opts.upload) removeUpload(opts.dir);
     req.log.warn('push rejected', { reason: err.message });
-    res.status(status).json({ error: err.message });
+    res.status(status).json({ error: err.message, findings: err.findings, paths: err.paths });
   }
 });
 
@@ -132,39 +403,184 @@ app.post('/push', async (req, res) => {
  * Same as POST /push but waits for branch creation and returns the full result.
  * Use when the caller needs the PR URL immediately.
  *
- * Response: { feat_id, branch, project, dev_branch, pr_number, pr_url }
+ * Response: { job_id, changed, feat_id, branch, project, repo, dev_branch, mode, commit_sha, changes, binary_files, excluded, protected_paths, pr_number, pr_url }
+ *   excluded: [{ path, reason }] — paths left out by .gitopsignore rules or include/exclude
+ *   redacted: [{ path, line, rule }] — secrets replaced under the project's "redact" secret policy
+ *   protected_paths: bootstrap-managed files changed under the "review" workflow_protection policy
+ * 403 { error, paths } when the push changes bootstrap-managed files under the "reject" policy (or breaks path limits)
+ * 422 { error, findings: [{ path, line, rule }] } when the "reject" secret policy refuses the push
+ *   changed: false when the files already match the branch (no commit; existing PR, if any)
+ *
+ * A replayed Idempotency-Key waits for (or returns) the original job's outcome;
+ * 409 if that job is still queued from before a restart.
+ *
+ * With `dry_run: true` nothing is queued, bootstrapped or written: the files
+ * are diffed against the feat branch (or {project}-dev) and the plan returned:
+ *   { dry_run, feat_id, branch, project, repo, dev_branch, mode, branch_exists, base_sha,
+ *     bootstrap: { needed, master_exists, dev_exists, outdated_files },
+ *     files: [{ path, status: added|modified|unchanged|deleted|renamed, from? }],
+ *     changes, binary_files, excluded, redacted, protected_paths, pr_exists, pr_number, pr_url }
  */
-app.post('/push/sync', async (req, res) => {
-  const { project, dir, description, feat_name, labels, source } = req.body;
-
-  if (!project || typeof project !== 'string') {
-    return res.status(400).json({ error: 'project is required and must be a string' });
-  }
-  if (!PROJECT_RE.test(project)) {
-    return res.status(400).json({ error: `Invalid project name "${project}". Use only letters, numbers, hyphens, underscores.` });
-  }
-  if (!dir || typeof dir !== 'string') {
-    return res.status(400).json({ error: 'dir is required and must be a string (absolute path to directory)' });
-  }
-
-  let safeDir;
+app.post('/push/sync', requireScope('push'), async (req, res) => {
+  let opts;
+  let key;
   try {
-    safeDir = validateDir(dir);
+    key = parseIdempotencyKey(req.get('idempotency-key'));
+    opts = await preparePush(req);
   } catch (err) {
-    return res.status(400).json({ error: err.message });
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+  const { project } = opts;
+
+  if (opts.dry_run) {
+    const { dry_run, upload, callback_url, fingerprint, ...planOpts } = opts;
+    try {
+      const plan = await planFeatBranch(planOpts);
+      req.log.info('push/sync dry run', { project, branch: plan.branch, bootstrap: plan.bootstrap.needed });
+      res.json(plan);
+    } catch (err) {
+      req.log.error('push/sync dry run failed', { project, error: err.message });
+      res.status(err.status || 500).json({ error: err.message, findings: err.findings, paths: err.paths });
+    } finally {
+      if (upload) removeUpload(opts.dir);
+    }
+    return;
   }
 
   try {
-    const result = await enqueue(() =>
-      createFeatBranch({ project, dir: safeDir, description, feat_name, labels: labels || [], source })
-    );
-    req.log.info('push/sync complete', { project, pr: result.pr_number, url: result.pr_url });
-    res.json(result);
+    const { job, done, replayed } = submitPush(opts, key);
+    if (replayed) res.set('Idempotent-Replayed', 'true');
+    const result = done ? await done : finishedResult(job);
+    req.log.info(replayed ? 'push/sync replayed' : 'push/sync complete', { project, job: job.id, pr: result.pr_number, url: result.pr_url });
+    res.json({ job_id: job.id, ...result });
   } catch (err) {
     const status = err.status || 500;
+    if (opts.upload) removeUpload(opts.dir); // no-op if the job already cleaned up
     req.log.error('push/sync failed', { project, error: err.message });
-    res.status(status).json({ error: err.message });
+    res.status(status).json({ error: err.message, findings: err.findings, paths: err.paths });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ *
+ * Status of a queued push.
+ *
+ * Response: { id, type, status, project, feat_name, source, mode,
+ *             created_at, started_at?, finished_at?, result?, error? }
+ *   status: queued | running | succeeded (result.pr_url set) | failed (error set)
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !canAccessProject(req.auth, job.project)) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  res.json(job);
+});
+
+/**
+ * GET /jobs?type=&status=&project=&source=&limit=
+ *
+ * Most recent jobs first, optionally filtered (type: push | sync | abandon | archive). limit defaults to 50 (max 500).
+ * Only jobs for projects the caller's key may access are listed.
+ *
+ * Response: { jobs: [...] }
+ */
+app.get('/jobs', (req, res) => {
+  const { type, status, project, source } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 500));
+  const jobs = listJobs({ type, status, project, source, limit: Infinity })
+    .filter(j => canAccessProject(req.auth, j.project))
+    .slice(0, limit);
+  res.json({ jobs });
+});
+
+/**
+ * GET /queue
+ *
+ * Push queue totals plus the per-project breakdown (see push-queue's fair
+ * scheduling), limited to projects the caller's key may access.
+ *
+ * Response: { active, queued, concurrency, accepting, paused_until,
+ *             projects: { <project>: { active, queued, weight } } }
+ */
+app.get('/queue', (req, res) => {
+  const queue = stats();
+  const projects = Object.fromEntries(Object.entries(queue.projects).filter(([name]) => canAccessProject(req.auth, name)));
+  res.json({ ...queue, projects });
+});
+
+/**
+ * GET /projects/:project/webhooks
+ *
+ * Response: { webhooks: [{ id, project, url, events, created_at }] }  (secrets omitted)
+ */
+app.get('/projects/:project/webhooks', requireScope('webhooks'), requireProjectAccess, (req, res) => {
+  res.json({ webhooks: listSubscriptions(req.params.project) });
+});
+
+/**
+ * POST /projects/:project/webhooks
+ *
+ * Subscribe a URL to a project's events.
+ *
+ * Body: { url: string, events?: string[], secret?: string }
+ * Response: 201 { id, project, url, events, secret, created_at }
+ *   — the only time the signing secret is returned
+ */
+app.post('/projects/:project/webhooks', requireScope('webhooks'), requireProjectAccess, (req, res) => {
+  const { project } = req.params;
+  const { url, events, secret } = req.body || {};
+  if (!PROJECT_RE.test(project)) {
+    return res.status(400).json({ error: `Invalid project name "${project}". Use only letters, numbers, hyphens, underscores.` });
+  }
+  if (!isAllowedWebhookUrl(url)) {
+    return res.status(400).json({ error: 'url is required and must be an https URL on a public host' });
+  }
+  if (events !== undefined && (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+    return res.status(400).json({ error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` });
   }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be a string of at least 16 characters' });
+  }
+  res.status(201).json(addSubscription(project, { url, events, secret }));
+});
+
+/**
+ * DELETE /projects/:project/webhooks/:id
+ */
+app.delete('/projects/:project/webhooks/:id', requireScope('webhooks'), requireProjectAccess, (req, res) => {
+  if (!removeSubscription(req.params.project, req.params.id)) {
+    return res.status(404).json({ error: `Webhook not found: ${req.params.id}` });
+  }
+  res.json({ ok: true });
+});
+
+/**
+ * GET /webhooks/deliveries?project=&event=&status=&job_id=&limit=
+ *
+ * Delivery log, newest first, for projects the caller's key may access.
+ * status: pending | delivered | failed.
+ *
+ * Response: { deliveries: [{ id, event, url, status, attempts: [{ at, status_code?, error?, ms }], payload, ... }] }
+ */
+app.get('/webhooks/deliveries', requireScope('webhooks'), (req, res) => {
+  const { project, event, status, job_id } = req.query;
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 500));
+  const deliveries = listDeliveries({ project, event, status, job_id, limit: Infinity })
+    .filter(d => canAccessProject(req.auth, d.project))
+    .slice(0, limit);
+  res.json({ deliveries });
+});
+
+/**
+ * GET /webhooks/deliveries/:id
+ */
+app.get('/webhooks/deliveries/:id', requireScope('webhooks'), (req, res) => {
+  const delivery = getDelivery(req.params.id);
+  if (!delivery || !canAccessProject(req.auth, delivery.project)) return res.status(404).json({ error: `Delivery not found: ${req.params.id}` });
+  res.json(delivery);
 });
 
 /**
@@ -178,7 +594,7 @@ app.post('/push/sync', async (req, res) => {
  *
  * Response: { project, master_branch, dev_branch, files_bootstrapped }
  */
-app.post('/projects/:project/bootstrap', async (req, res) => {
+app.post('/projects/:project/bootstrap', requireScope('bootstrap'), requireProjectAccess, async (req, res) => {
   const { project } = req.params;
   try {
     const result = await ensureProject(project);
@@ -196,6 +612,347 @@ app.post('/projects/:project/bootstrap', async (req, res) => {
   }
 });
 
+/**
+ * Summary of a project's most recent push job, or null if it has none.
+ */
+function lastPush(project) {
+  const [job] = listJobs({ type: 'push', project, limit: 1 });
+  if (!job) return null;
+  return {
+    job_id: job.id,
+    status: job.status,
+    feat_name: job.feat_name,
+    source: job.source,
+    created_at: job.created_at,
+    finished_at: job.finished_at || null,
+    commit_sha: job.result ? job.result.commit_sha : null,
+    pr_url: job.result ? job.result.pr_url : null,
+    error: job.error || null,
+  };
+}
+
+/**
+ * GET /projects
+ *
+ * Every project with a {project}-master branch (in the default repository
+ * and any repository a project is routed to) that the caller may access.
+ *
+ * Response: { projects: [{ project, repo, master_branch, master_sha, dev_branch, dev_sha }] }
+ */
+app.get('/projects', async (req, res) => {
+  try {
+    const projects = (await listProjects()).filter(p => canAccessProject(req.auth, p.project));
+    res.json({ projects });
+  } catch (err) {
+    req.log.error('list projects failed', { error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /projects/:project
+ *
+ * Branch SHAs, bootstrapped workflows (and whether they match the current
+ * templates), drift of the dev branch's bootstrap-managed files, open feat
+ * PRs and the last push.
+ *
+ * Response: { project, repo, branches: { master, dev }, workflows: [{ path, sha, template_sha, current }],
+ *             dev_drift: { in_sync, files: [{ path, status, sha, template_sha }] } | null,
+ *             open_pull_requests: [...], last_push }
+ */
+app.get('/projects/:project', requireProjectAccess, async (req, res) => {
+  const { project } = req.params;
+  if (!PROJECT_RE.test(project)) return res.status(400).json({ error: `Invalid project name "${project}"` });
+  try {
+    res.json({ ...(await getProject(project)), last_push: lastPush(project) });
+  } catch (err) {
+    if (!err.status) req.log.error('get project failed', { project, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /projects/:project/promote
+ *
+ * Open or update the release PR from {project}-dev into {project}-master,
+ * with a changelog of the feat PRs merged since the last release. With a
+ * version, the merge commit is tagged {project}/v{version} once the PR is
+ * merged (see POST /github/webhook). The PR is not merged here.
+ *
+ * Body: { version?: string }  — semver, e.g. "1.4.0"; needs GH_WEBHOOK_SECRET
+ * Response: { ok, project, repo, master_branch, dev_branch, dev_sha, ahead_by, created, pr_number, pr_url,
+ *             changelog: [{ number, title, url, branch, feat_id, source, merged_at }], tag: { name, sha: null } | null }
+ * 409 when dev has nothing master lacks, or the tag already exists
+ */
+app.post('/projects/:project/promote', requireScope('release'), requireProjectAccess, async (req, res) => {
+  const { project } = req.params;
+  if (!PROJECT_RE.test(project)) return res.status(400).json({ error: `Invalid project name "${project}"` });
+
+  try {
+    const result = await promoteProject(project, { version: (req.body || {}).version });
+    req.log.info('project promoted', { project, by: req.auth.client, pr: result.pr_number, tag: result.tag && result.tag.name });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    if (!err.status) req.log.error('promote project failed', { project, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /projects/:project/features?state=open|closed|all
+ *
+ * The project's feat/<project>/* PRs into {project}-dev, newest first
+ * (first 100). state defaults to open; closed includes merged.
+ *
+ * Response: { features: [{ feat_id, branch, pr_number, url, title, state: open|closed|merged, draft, labels,
+ *             created_at, updated_at, merged_at }] }
+ */
+app.get('/projects/:project/features', requireProjectAccess, async (req, res) => {
+  const { project } = req.params;
+  const state = req.query.state || 'open';
+  if (!PROJECT_RE.test(project)) return res.status(400).json({ error: `Invalid project name "${project}"` });
+  if (!FEATURE_STATES.includes(state)) return res.status(400).json({ error: `state must be one of: ${FEATURE_STATES.join(', ')}` });
+  try {
+    res.json({ features: await listFeatures(project, { state }) });
+  } catch (err) {
+    if (!err.status) req.log.error('list features failed', { project, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Route guard for /projects/:project/features/:feat_id — validates both names.
+ */
+function validFeature(req, res, next) {
+  if (!PROJECT_RE.test(req.params.project)) return res.status(400).json({ error: `Invalid project name "${req.params.project}"` });
+  if (!FEAT_ID_RE.test(req.params.feat_id)) return res.status(400).json({ error: `Invalid feat_id "${req.params.feat_id}"` });
+  next();
+}
+
+/**
+ * GET /projects/:project/features/:feat_id
+ *
+ * One feature with its description, branch head, check runs (rolled up as
+ * none | pending | success | failure) and the latest code-review verdict.
+ *
+ * Response: { feat_id, branch, pr_number, url, title, state, draft, labels, created_at, updated_at, merged_at,
+ *             description, branch_sha, checks: { state, runs: [{ name, status, conclusion, url }] },
+ *             review: { outcome: APPROVE|REQUEST_CHANGES|COMMENT, at, url } | null }
+ */
+app.get('/projects/:project/features/:feat_id', requireProjectAccess, validFeature, async (req, res) => {
+  const { project, feat_id } = req.params;
+  try {
+    res.json(await getFeature(project, feat_id));
+  } catch (err) {
+    if (!err.status) req.log.error('get feature failed', { project, feat_id, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /projects/:project/features/:feat_id
+ *
+ * Edit the feature PR. labels replaces the caller's labels; automated, the
+ * project label and human-review-required stay if present.
+ *
+ * Body: { title?: string, description?: string, labels?: string[] }
+ * Response: the updated feature (as GET)
+ */
+app.patch('/projects/:project/features/:feat_id', requireScope('push'), requireProjectAccess, validFeature, async (req, res) => {
+  const { project, feat_id } = req.params;
+  const { title, description, labels } = req.body || {};
+  if (title === undefined && description === undefined && labels === undefined) {
+    return res.status(400).json({ error: 'Provide at least one of title, description, labels' });
+  }
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 256)) {
+    return res.status(400).json({ error: 'title must be a non-empty string of up to 256 characters' });
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({ error: 'description must be a string' });
+  }
+  if (labels !== undefined && (!Array.isArray(labels) || labels.length > 100
+    || !labels.every(l => typeof l === 'string' && l.trim() && l.length <= 50))) {
+    return res.status(400).json({ error: 'labels must be an array of up to 100 non-empty strings (max 50 characters each)' });
+  }
+
+  try {
+    const feature = await updateFeature(project, feat_id, { title, description, labels });
+    req.log.info('feature updated', { project, feat_id, by: req.auth.client });
+    res.json(feature);
+  } catch (err) {
+    if (!err.status) req.log.error('update feature failed', { project, feat_id, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /projects/:project/features/:feat_id?reason=
+ *
+ * Abandon a feature: close its open PR and delete the feat branch.
+ * Refuses with 409 while a push to the feature is queued or running;
+ * otherwise runs as an 'abandon' job under the feat branch's queue lock
+ * and waits for it.
+ *
+ * Response: { ok, job_id, feat_id, branch, closed_pr, deleted_branch }
+ */
+app.delete('/projects/:project/features/:feat_id', requireScope('push'), requireProjectAccess, validFeature, async (req, res) => {
+  const { project, feat_id } = req.params;
+  const pending = [...listJobs({ type: 'push', project, status: 'queued' }), ...listJobs({ type: 'push', project, status: 'running' })]
+    .filter(j => j.feat_name && featIdFor(j.feat_name) === feat_id);
+  if (pending.length) {
+    return res.status(409).json({ error: `A push to ${feat_id} is in progress (job ${pending[0].id}); retry when it finishes` });
+  }
+
+  try {
+    const { job, done } = submit('abandon', { project, feat_id, reason: req.query.reason }, {
+      project,
+      source: req.auth.client,
+      // The same lock a push or sync of this branch takes
+      lock: `${featBranchPrefix(project)}${feat_id}`,
+    });
+    const result = await done;
+    req.log.info('feature abandoned', { project, feat_id, job: job.id, by: req.auth.client, pr: result.closed_pr });
+    res.json({ ok: true, job_id: job.id, ...result });
+  } catch (err) {
+    if (!err.status) req.log.error('delete feature failed', { project, feat_id, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /projects/:project/sync
+ *
+ * Update every open feat PR branch of the project (or just `branch`) with
+ * the current {project}-dev, by merge (GitHub merges API) or rebase. Runs
+ * as a 'sync' job through the push queue and waits for it.
+ *
+ * Body: { branch?: string, strategy?: "merge" | "rebase" }  — strategy defaults to project.json sync.strategy
+ * Response: { job_id, project, repo, dev_branch, dev_sha, strategy,
+ *             branches: [{ branch, pr_number, status: up_to_date|merged|rebased|conflict|error, sha?, conflicts?, error? }],
+ *             summary: { <status>: count } }
+ */
+app.post('/projects/:project/sync', requireScope('push'), requireProjectAccess, async (req, res) => {
+  const { project } = req.params;
+  const { branch, strategy } = req.body || {};
+  if (!PROJECT_RE.test(project)) return res.status(400).json({ error: `Invalid project name "${project}"` });
+  if (branch !== undefined && (typeof branch !== 'string' || !branch.startsWith(featBranchPrefix(project)))) {
+    return res.status(400).json({ error: `branch must be a ${featBranchPrefix(project)}* branch name` });
+  }
+  if (strategy !== undefined && !SYNC_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `strategy must be one of: ${SYNC_STRATEGIES.join(', ')}` });
+  }
+
+  try {
+    const { job, done } = submit('sync', { project, branch, strategy }, {
+      project,
+      source: req.auth.client,
+      // One branch, or every feat branch of the project
+      lock: branch || featBranchPrefix(project),
+    });
+    const result = await done;
+    req.log.info('sync complete', { project, job: job.id, ...result.summary });
+    res.json({ job_id: job.id, ...result });
+  } catch (err) {
+    if (!err.status) req.log.error('sync failed', { project, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /projects/:project?force=true
+ *
+ * Archive a project: tag every branch head under archive/{project}/{timestamp}/
+ * and delete {project}-master, {project}-dev and every feat/{project}/*
+ * branch (with force, open feat PRs are closed and their branches deleted too). Refuses with 409 while pushes for
+ * the project are queued or running, or feat PRs are open without force.
+ * Runs as an 'archive' job under the project-wide feat/{project}/ queue
+ * lock and waits for it.
+ *
+ * Response: { ok, job_id, project, repo, archived_at, tags: [{ tag, sha }], deleted_branches, closed_pull_requests }
+ */
+app.delete('/projects/:project', requireScope('admin'), requireProjectAccess, async (req, res) => {
+  const { project } = req.params;
+  if (!PROJECT_RE.test(project)) return res.status(400).json({ error: `Invalid project name "${project}"` });
+
+  const pending = [...listJobs({ project, status: 'queued' }), ...listJobs({ project, status: 'running' })];
+  if (pending.length) {
+    return res.status(409).json({ error: `Project ${project} has ${pending.length} push(es) in progress; retry when they finish` });
+  }
+
+  try {
+    const { job, done } = submit('archive', { project, force: req.query.force === 'true' }, {
+      project,
+      source: req.auth.client,
+      lock: featBranchPrefix(project),
+    });
+    const result = await done;
+    req.log.info('project archived', { project, job: job.id, by: req.auth.client, branches: result.deleted_branches.length });
+    res.json({ ok: true, job_id: job.id, ...result });
+  } catch (err) {
+    if (!err.status) req.log.error('archive project failed', { project, error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /admin/keys
+ *
+ * Create a named API key.
+ *
+ * Body: { name: string, projects: string[], scopes: string[] }
+ *   projects: project names or '*' patterns (e.g. ["proj-*"])
+ *   scopes:   any of push, bootstrap, release, webhooks, admin
+ * Response: 201 { key, name, key_prefix, projects, scopes, created_at }
+ *   — the only time the plaintext key is returned
+ */
+app.post('/admin/keys', requireScope('admin'), (req, res) => {
+  const spec = req.body || {};
+  const invalid = validateKeySpec(spec);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (spec.name === ADMIN_CLIENT) return res.status(400).json({ error: `"${ADMIN_CLIENT}" is reserved` });
+  try {
+    const { key, record } = createKey(spec);
+    console.log(`[auth] ${req.auth.client} created API key ${record.name}`);
+    res.status(201).json({ key, ...record });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /admin/keys
+ *
+ * Response: { keys: [{ name, key_prefix, projects, scopes, created_at, rotated_at, revoked_at }] }
+ */
+app.get('/admin/keys', requireScope('admin'), (req, res) => {
+  res.json({ keys: listKeys() });
+});
+
+/**
+ * POST /admin/keys/:name/rotate
+ *
+ * Issue a new secret for a key; the old one stops working immediately.
+ *
+ * Response: { key, name, key_prefix, ... }
+ */
+app.post('/admin/keys/:name/rotate', requireScope('admin'), (req, res) => {
+  const rotated = rotateKey(req.params.name);
+  if (!rotated) return res.status(404).json({ error: `API key not found: ${req.params.name}` });
+  console.log(`[auth] ${req.auth.client} rotated API key ${req.params.name}`);
+  res.json({ key: rotated.key, ...rotated.record });
+});
+
+/**
+ * DELETE /admin/keys/:name
+ *
+ * Revoke a key. The record is kept (with revoked_at) for audit.
+ */
+app.delete('/admin/keys/:name', requireScope('admin'), (req, res) => {
+  if (!revokeKey(req.params.name)) return res.status(404).json({ error: `API key not found: ${req.params.name}` });
+  console.log(`[auth] ${req.auth.client} revoked API key ${req.params.name}`);
+  res.json({ ok: true });
+});
+
 // Error handler — no stack traces in responses
 app.use((err, req, res, next) => {
   console.error('[server] Unhandled error:', err);
@@ -203,6 +960,31 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`gitops-service listening on port ${PORT}`);
+  // Replay pushes that were queued or in flight when the last process stopped,
+  // and retry webhook deliveries that had not gone through
+  resume();
+  resumeDeliveries();
+  startSyncSchedule();
 });
+
+/**
+ * Graceful shutdown: stop taking connections and new pushes, give active
+ * pushes up to SHUTDOWN_TIMEOUT_MS to finish, then exit. Anything still
+ * queued or running stays persisted and is resumed on next start.
+ */
+let stopping = false;
+async function gracefulShutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`[server] ${signal} received — draining push queue (up to ${SHUTDOWN_TIMEOUT_MS}ms)`);
+  server.close();
+  stopSyncSchedule();
+  const left = await shutdown(SHUTDOWN_TIMEOUT_MS);
+  console.log(`[server] Shutdown complete — ${left.active} running and ${left.queued} queued job(s) saved for restart`);
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory for all persistent service state (jobs, queue, keys, ...).
+ * Resolved at call time so tests can point DATA_DIR at a temp directory.
+ */
+function dataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../data'));
+}
+
+/**
+ * Append-only JSON-lines record store, keyed by `id`.
+ *
+ * Every put() appends the full record as one line, so a crash can at worst
+ * lose the line being written. On load the last line per id wins and the
+ * file is compacted; it is compacted again whenever superseded lines
+ * outnumber live records. When `maxRecords` is exceeded, the oldest records
+ * that `evictable` allows are dropped.
+ *
+ * All I/O is synchronous: records are small and writes must be durable
+ * before the caller acknowledges anything (e.g. a 202).
+ *
+ * @param {string} name - File name inside DATA_DIR (e.g. 'jobs.jsonl')
+ * @param {object} [opts]
+ * @param {number} [opts.maxRecords=Infinity]
+ * @param {(record: object) => boolean} [opts.evictable] - May this record be dropped?
+ */
+function createStore(name, { maxRecords = Infinity, evictable = () => true } = {}) {
+  const file = path.join(dataDir(), name);
+  const records = new Map();
+  let lines = 0;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        if (record._deleted) records.delete(record.id);
+        else records.set(record.id, record);
+      } catch {
+        // Torn final line from a crash mid-write — skip it
+        console.warn(`[store] ${name}: skipping unreadable line`);
+      }
+    }
+  }
+  compact();
+
+  function compact() {
+    if (records.size > maxRecords) {
+      for (const [id, record] of records) {
+        if (records.size <= maxRecords) break;
+        if (evictable(record)) records.delete(id);
+      }
+    }
+    const body = [...records.values()].map(r => JSON.stringify(r) + '\n').join('');
+    fs.writeFileSync(`${file}.tmp`, body);
+    fs.renameSync(`${file}.tmp`, file);
+    lines = records.size;
+  }
+
+  function append(record) {
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+    if (++lines > Math.max(2 * records.size, 100)) compact();
+  }
+
+  return {
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    /** Insert or replace a record. Returns the stored record. */
+    put(record) {
+      records.delete(record.id); // re-insert so Map order tracks last write
+      records.set(record.id, record);
+      append(record);
+      if (records.size > maxRecords) compact();
+      return record;
+    },
+
+    /** Shallow-merge a patch into an existing record. Returns null if missing. */
+    update(id, patch) {
+      const existing = records.get(id);
+      if (!existing) return null;
+      return this.put({ ...existing, ...patch });
+    },
+
+    remove(id) {
+      if (!records.delete(id)) return false;
+      append({ id, _deleted: true });
+      return true;
+    },
+
+    /** All records, oldest write first. */
+    all() {
+      return [...records.values()];
+    },
+  };
+}
+
+module.exports = { createStore, dataDir };
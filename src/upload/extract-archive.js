@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isInside, normalizeRelativePath } = require('../util/paths');
+
+/**
+ * Safe extraction of uploaded .tar.gz and .zip archives.
+ *
+ * Every entry path is checked the same way validateDir checks `dir`: after
+ * normalising, it must resolve inside the destination directory (zip-slip
+ * protection). Symlinks, hardlinks and device entries are rejected outright,
+ * and the file count and total extracted size are capped while extracting,
+ * so a decompression bomb is stopped as soon as it crosses the limit.
+ *
+ * Errors carry `status`: 400 for malformed or unsafe archives, 413 for
+ * archives over a limit.
+ */
+
+const TAR_BLOCK = 512;
+// pax / GNU long-name metadata entries are tiny; anything bigger is hostile
+const MAX_META_BYTES = 1024 * 1024;
+
+function badArchive(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function tooLarge(message) {
+  return Object.assign(new Error(message), { status: 413 });
+}
+
+/**
+ * Resolve an archive entry name to an absolute path inside destDir.
+ *
+ * @param {string} destDir
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string|null} absolute path, or null for entries naming the root itself (e.g. './')
+ * @throws 400-tagged error if the entry would land outside destDir
+ */
+function resolveEntryPath(destDir, name) {
+  let normalized;
+  try {
+    normalized = normalizeRelativePath(name);
+  } catch {
+    throw badArchive(`Archive entry escapes the extraction directory: ${name}`);
+  }
+  if (normalized === '.') return null;
+
+  const resolved = path.resolve(destDir, normalized);
+  if (!isInside(destDir, resolved)) {
+    throw badArchive(`Archive entry escapes the extraction directory: ${name}`);
+  }
+  return resolved;
+}
+
+/**
+ * Tracks file count and extracted bytes against the configured limits.
+ */
+function createBudget({ maxFiles, maxBytes }) {
+  let files = 0;
+  let bytes = 0;
+  return {
+    addFile(name) {
+      if (++files > maxFiles) throw tooLarge(`Archive has more than ${maxFiles} files (at ${name})`);
+    },
+    addBytes(n) {
+      bytes += n;
+      if (bytes > maxBytes) throw tooLarge(`Archive expands to more than ${maxBytes} bytes`);
+    },
+    remainingBytes() {
+      return maxBytes - bytes;
+    },
+    summary() {
+      return { files, bytes };
+    },
+  };
+}
+
+/** Parse a NUL/space-terminated octal header field. */
+function parseOctal(field) {
+  if (field[0] & 0x80) throw badArchive('Tar entry uses base-256 size encoding (entry too large)');
+  const text = field.toString('ascii').replace(/[\0 ]+$/, '').trim();
+  if (!text) return 0;
+  if (!/^[0-7]+$/.test(text)) throw badArchive('Not a valid tar archive (bad numeric field)');
+  return parseInt(text, 8);
+}
+
+function readString(field) {
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/** Header checksum: byte sum with the checksum field itself counted as spaces. */
+function checksumMatches(header) {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) sum += (i >= 148 && i < 156) ? 0x20 : header[i];
+  return sum === parseOctal(header.subarray(148, 156));
+}
+
+/** Parse pax extended header records ("<len> key=value\n"). */
+function parsePax(buf) {
+  const out = {};
+  let pos = 0;
+  while (pos < buf.length) {
+    const space = buf.indexOf(0x20, pos);
+    if (space === -1) break;
+    const len = parseInt(buf.subarray(pos, space).toString('ascii'), 10);
+    if (!len || pos + len > buf.length) break;
+    const record = buf.subarray(space + 1, pos + len - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    if (eq !== -1) out[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += len;
+  }
+  return out;
+}
+
+/**
+ * Stream-extract a gzip-compressed tar archive into destDir.
+ *
+ * @param {string} archivePath
+ * @param {string} destDir - Must exist
+ * @param {{maxFiles: number, maxBytes: number}} limits
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+async function extractTarGz(archivePath, destDir, limits) {
+  const budget = createBudget(limits);
+
+  let buf = Buffer.alloc(0);
+  let entry = null;      // { remaining, skip, onData(chunk), onEnd() }
+  let override = {};     // path from a preceding pax 'x' or GNU 'L' entry
+  let ended = false;
+
+  function startEntry(header) {
+    if (!checksumMatches(header)) throw badArchive('Not a valid tar archive (header checksum mismatch)');
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    const mode = parseOctal(header.subarray(100, 108));
+    const size = parseOctal(header.subarray(124, 136));
+    const magic = header.subarray(257, 262).toString('ascii');
+    const prefix = magic === 'ustar' ? readString(header.subarray(345, 500)) : '';
+    const rawName = readString(header.subarray(0, 100));
+    const name = override.path || (prefix ? `${prefix}/${rawName}` : rawName);
+    const padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+    // Metadata entries: collect their (small) body, apply to the next entry
+    if (type === 'x' || type === 'g' || type === 'L' || type === 'K') {
+      if (size > MAX_META_BYTES) throw badArchive('Tar metadata entry too large');
+      const chunks = [];
+      return {
+        remaining: size,
+        skip: padding,
+        onData: chunk => chunks.push(chunk),
+        onEnd: () => {
+          const body = Buffer.concat(chunks);
+          if (type === 'x') override = { path: parsePax(body).path };
+          else if (type === 'L') override = { path: readString(body) };
+        },
+      };
+    }
+    override = {};
+
+    if (type === '1' || type === '2') {
+      throw badArchive(`Archive contains a ${type === '2' ? 'symlink' : 'hardlink'} (not allowed): ${name}`);
+    }
+    if (type === '5') {
+      const dir = resolveEntryPath(destDir, name);
+      if (dir) fs.mkdirSync(dir, { recursive: true });
+      return { remaining: size, skip: padding, onData: () => {}, onEnd: () => {} };
+    }
+    if (type !== '0' && type !== '7') {
+      throw badArchive(`Archive contains an unsupported entry type "${type}": ${name}`);
+    }
+
+    const target = resolveEntryPath(destDir, name);
+    if (!target) throw badArchive(`Archive entry has no file name: ${name}`);
+    budget.addFile(name);
+    budget.addBytes(size);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    // Keep the executable bit so scripts stay 100755 in git; nothing else of the mode matters
+    const fd = fs.openSync(target, 'w', mode & 0o111 ? 0o755 : 0o644);
+    return {
+      remaining: size,
+      skip: padding,
+      onData: chunk => fs.writeSync(fd, chunk),
+      onEnd: () => fs.closeSync(fd),
+      fd,
+    };
+  }
+
+  // pipeline() tears down the file stream and gunzip together if parsing throws;
+  // it rejects with an AbortError then, so keep the parser's own error
+  let failure = null;
+  async function consume(source) {
+    try {
+      await parse(source);
+    } catch (err) {
+      failure = err;
+      throw err;
+    }
+  }
+
+  async function parse(source) {
+    for await (const chunk of source) {
+      if (ended) continue;
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+
+      while (!ended) {
+        if (entry) {
+          if (entry.remaining > 0) {
+            if (!buf.length) break;
+            const n = Math.min(entry.remaining, buf.length);
+            entry.onData(buf.subarray(0, n));
+            buf = buf.subarray(n);
+            entry.remaining -= n;
+            continue;
+          }
+          if (entry.skip > 0) {
+            if (!buf.length) break;
+            const n = Math.min(entry.skip, buf.length);
+            buf = buf.subarray(n);
+            entry.skip -= n;
+            continue;
+          }
+          entry.onEnd();
+          entry = null;
+          continue;
+        }
+
+        if (buf.length < TAR_BLOCK) break;
+        const header = buf.subarray(0, TAR_BLOCK);
+        buf = buf.subarray(TAR_BLOCK);
+        if (header.every(b => b === 0)) {
+          ended = true; // end-of-archive marker
+          break;
+        }
+        entry = startEntry(header);
+      }
+    }
+  }
+
+  try {
+    await pipeline(fs.createReadStream(archivePath), zlib.createGunzip(), consume);
+  } catch (caught) {
+    const err = failure || caught;
+    if (entry && entry.fd !== undefined) fs.closeSync(entry.fd);
+    if (err.code === 'Z_DATA_ERROR' || err.code === 'Z_BUF_ERROR') throw badArchive('Not a valid gzip file');
+    throw err;
+  }
+
+  if (entry) {
+    if (entry.fd !== undefined) fs.closeSync(entry.fd);
+    if (entry.remaining > 0) throw badArchive('Tar archive is truncated');
+    entry.onEnd();
+  }
+  return budget.summary();
+}
+
+// Unix file type bits in a zip entry's external attributes (made on a Unix host)
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Extract a .zip archive into destDir. Supports stored and deflated entries;
+ * rejects encrypted, zip64 and symlink entries.
+ *
+ * Only the central directory is read into memory; each entry is streamed
+ * from its offset in the file through inflate into its target file.
+ *
+ * @param {string} archivePath
+ * @param {string} destDir - Must exist
+ * @param {{maxFiles: number, maxBytes: number}} limits
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+async function extractZip(archivePath, destDir, limits) {
+  const budget = createBudget(limits);
+  const file = await fs.promises.open(archivePath, 'r');
+  const read = async (position, length) => {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(length), 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  };
+
+  try {
+    const { size: archiveSize } = await file.stat();
+
+    // End of central directory record: last 22 bytes + up to 64KB comment
+    const tailStart = Math.max(0, archiveSize - 22 - 0xffff);
+    const tail = await read(tailStart, archiveSize - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw badArchive('Not a valid zip archive (no end of central directory)');
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const cdSize = tail.readUInt32LE(eocd + 12);
+    const cdOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || cdOffset === 0xffffffff) throw badArchive('Zip64 archives are not supported');
+    if (cdOffset + cdSize > archiveSize) throw badArchive('Not a valid zip archive (corrupt central directory)');
+    const cd = await read(cdOffset, cdSize);
+
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > cd.length || cd.readUInt32LE(offset) !== 0x02014b50) {
+        throw badArchive('Not a valid zip archive (corrupt central directory)');
+      }
+      const madeBy = cd.readUInt16LE(offset + 4) >> 8;
+      const flags = cd.readUInt16LE(offset + 8);
+      const method = cd.readUInt16LE(offset + 10);
+      const compressedSize = cd.readUInt32LE(offset + 20);
+      const size = cd.readUInt32LE(offset + 24);
+      const nameLen = cd.readUInt16LE(offset + 28);
+      const extraLen = cd.readUInt16LE(offset + 30);
+      const commentLen = cd.readUInt16LE(offset + 32);
+      const unixMode = cd.readUInt32LE(offset + 38) >>> 16;
+      const localOffset = cd.readUInt32LE(offset + 42);
+      const name = cd.subarray(offset + 46, offset + 46 + nameLen).toString('utf8');
+      offset += 46 + nameLen + extraLen + commentLen;
+
+      if (flags & 0x1) throw badArchive(`Encrypted zip entries are not supported: ${name}`);
+      if (madeBy === 3 && (unixMode & S_IFMT) === S_IFLNK) {
+        throw badArchive(`Archive contains a symlink (not allowed): ${name}`);
+      }
+
+      if (name.endsWith('/')) {
+        const dir = resolveEntryPath(destDir, name);
+        if (dir) fs.mkdirSync(dir, { recursive: true });
+        continue;
+      }
+
+      const target = resolveEntryPath(destDir, name);
+      if (!target) throw badArchive(`Archive entry has no file name: ${name}`);
+      budget.addFile(name);
+      budget.addBytes(size);
+      if (method !== 0 && method !== 8) throw badArchive(`Unsupported zip compression method ${method}: ${name}`);
+
+      const local = await read(localOffset, 30);
+      if (local.length < 30 || local.readUInt32LE(0) !== 0x04034b50) {
+        throw badArchive(`Not a valid zip archive (bad local header for ${name})`);
+      }
+      const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+      if (dataStart + compressedSize > archiveSize) throw badArchive(`Corrupt zip entry: ${name}`);
+
+      // Stop at the declared size so a lying header cannot write past the budget
+      let written = 0;
+      const guard = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          if (written > size) return callback(badArchive(`Zip entry larger than declared: ${name}`));
+          callback(null, chunk);
+        },
+      });
+      const source = compressedSize
+        ? file.createReadStream({ start: dataStart, end: dataStart + compressedSize - 1, autoClose: false })
+        : Readable.from([]);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      try {
+        await pipeline(
+          source,
+          ...(method === 8 ? [zlib.createInflateRaw()] : []),
+          guard,
+          fs.createWriteStream(target, { mode: madeBy === 3 && unixMode & 0o111 ? 0o755 : 0o644 })
+        );
+      } catch (err) {
+        if (err.status) throw err;
+        throw badArchive(`Corrupt zip entry: ${name}`);
+      }
+      if (written !== size) throw badArchive(`Corrupt zip entry (size mismatch): ${name}`);
+    }
+  } finally {
+    await file.close();
+  }
+
+  return budget.summary();
+}
+
+/**
+ * Extract an archive of the given format into destDir.
+ *
+ * @param {string} archivePath
+ * @param {string} destDir
+ * @param {'tar.gz'|'zip'} format
+ * @param {{maxFiles: number, maxBytes: number}} limits
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+function extractArchive(archivePath, destDir, format, limits) {
+  return format === 'zip'
+    ? extractZip(archivePath, destDir, limits)
+    : extractTarGz(archivePath, destDir, limits);
+}
+
+module.exports = { extractArchive, resolveEntryPath };
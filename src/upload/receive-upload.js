@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { dataDir } = require('../store/jsonl-store');
+const { extractArchive } = require('./extract-archive');
+const { FILE_MODES } = require('../github/read-dir-files');
+const { normalizeRelativePath } = require('../util/paths');
+
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(50 * 1024 * 1024), 10);
+const UPLOAD_MAX_EXTRACTED_BYTES = parseInt(process.env.UPLOAD_MAX_EXTRACTED_BYTES || String(200 * 1024 * 1024), 10);
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES || '5000', 10);
+
+// Request content types accepted as archive uploads
+const ARCHIVE_TYPES = {
+  'application/gzip': 'tar.gz',
+  'application/x-gzip': 'tar.gz',
+  'application/x-tar+gzip': 'tar.gz',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip',
+};
+
+const INLINE_ENCODINGS = ['utf8', 'base64'];
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Uploads live under DATA_DIR so a queued push replayed after a restart
+ * still finds its extracted files.
+ */
+function uploadsDir() {
+  return path.resolve(process.env.UPLOAD_DIR || path.join(dataDir(), 'uploads'));
+}
+
+/**
+ * Archive format for a request, or null if it is not an archive upload.
+ *
+ * @param {import('express').Request} req
+ * @returns {'tar.gz'|'zip'|null}
+ */
+function archiveFormat(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return ARCHIVE_TYPES[type] || null;
+}
+
+/**
+ * Stream an archive request body to disk and extract it into a fresh
+ * directory under uploadsDir(). The archive itself is deleted afterwards;
+ * on any error the extraction directory is removed too.
+ *
+ * @param {import('express').Request} req
+ * @param {'tar.gz'|'zip'} format
+ * @returns {Promise<{dir: string, files: number, bytes: number, sha256: string}>} sha256 of the archive as received
+ * @throws 413-tagged error past UPLOAD_MAX_BYTES / extraction limits, 400 for bad archives
+ */
+async function receiveArchive(req, format) {
+  const declared = parseInt(req.headers['content-length'] || '0', 10);
+  if (declared > UPLOAD_MAX_BYTES) {
+    throw Object.assign(new Error(`Upload exceeds ${UPLOAD_MAX_BYTES} bytes`), { status: 413 });
+  }
+
+  const id = randomUUID();
+  const root = uploadsDir();
+  const archivePath = path.join(root, `${id}.${format}`);
+  const dir = path.join(root, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  let received = 0;
+  const hash = createHash('sha256');
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      hash.update(chunk);
+      if (received > UPLOAD_MAX_BYTES) {
+        return callback(Object.assign(new Error(`Upload exceeds ${UPLOAD_MAX_BYTES} bytes`), { status: 413 }));
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(archivePath));
+    if (!received) throw Object.assign(new Error('Upload body is empty'), { status: 400 });
+
+    const summary = await extractArchive(archivePath, dir, format, {
+      maxFiles: UPLOAD_MAX_FILES,
+      maxBytes: UPLOAD_MAX_EXTRACTED_BYTES,
+    });
+    return { dir, ...summary, sha256: hash.digest('hex') };
+  } catch (err) {
+    removeUpload(dir);
+    throw err;
+  } finally {
+    fs.rmSync(archivePath, { force: true });
+  }
+}
+
+/**
+ * Validate and decode the `files` array of a JSON push body:
+ *   [{ path, content, encoding?: 'utf8'|'base64', mode?: '100644'|'100755' }]
+ *
+ * Paths follow the same rules as archive entries (relative, no escaping
+ * via `..`), may not be repeated, may not sit inside `.git`, and may not
+ * use another entry as a directory. At most UPLOAD_MAX_FILES entries.
+ *
+ * @param {*} files
+ * @returns {Array<{path: string, content: Buffer, mode: string}>}
+ * @throws 400-tagged error on invalid entries, 413 past UPLOAD_MAX_FILES
+ */
+function parseInlineFiles(files) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!Array.isArray(files) || !files.length) {
+    throw invalid('files must be a non-empty array of { path, content, encoding?, mode? }');
+  }
+  if (files.length > UPLOAD_MAX_FILES) {
+    throw Object.assign(new Error(`files has more than ${UPLOAD_MAX_FILES} entries`), { status: 413 });
+  }
+
+  const parsed = files.map((file, i) => {
+    const { path: filePath, content, encoding = 'utf8', mode = '100644' } = file || {};
+    if (!filePath || typeof filePath !== 'string') throw invalid(`files[${i}].path is required and must be a string`);
+    if (typeof content !== 'string') throw invalid(`files[${i}].content is required and must be a string`);
+    if (!INLINE_ENCODINGS.includes(encoding)) {
+      throw invalid(`files[${i}].encoding must be one of: ${INLINE_ENCODINGS.join(', ')}`);
+    }
+    if (!FILE_MODES.includes(mode)) throw invalid(`files[${i}].mode must be one of: ${FILE_MODES.join(', ')}`);
+
+    let normalized;
+    try {
+      normalized = normalizeRelativePath(filePath);
+    } catch {
+      throw invalid(`files[${i}].path escapes the project directory: ${filePath}`);
+    }
+    if (normalized === '.') throw invalid(`files[${i}].path has no file name: ${filePath}`);
+    if (normalized.split('/').includes('.git')) throw invalid(`files[${i}].path may not be inside .git: ${filePath}`);
+
+    if (encoding === 'base64' && !BASE64_RE.test(content.replace(/\s+/g, ''))) {
+      throw invalid(`files[${i}].content is not valid base64`);
+    }
+    return { path: normalized, content: Buffer.from(content, encoding), mode };
+  });
+
+  const paths = new Set();
+  for (const file of parsed) {
+    if (paths.has(file.path)) throw invalid(`files contains ${file.path} more than once`);
+    paths.add(file.path);
+  }
+  for (const file of parsed) {
+    const parts = file.path.split('/');
+    for (let n = 1; n < parts.length; n++) {
+      const parent = parts.slice(0, n).join('/');
+      if (paths.has(parent)) throw invalid(`files uses ${parent} as both a file and a directory`);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Write parsed inline files (see parseInlineFiles) into a fresh directory
+ * under uploadsDir(), so they go through the same readDirFiles pipeline
+ * (and restart replay) as extracted archives. '100755' files are written
+ * executable.
+ *
+ * @param {Array<{path: string, content: Buffer, mode: string}>} files
+ * @returns {{dir: string, files: number, bytes: number}}
+ */
+function stageInlineFiles(files) {
+  const dir = path.join(uploadsDir(), randomUUID());
+  let bytes = 0;
+  try {
+    for (const file of files) {
+      const target = path.join(dir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.content, { mode: file.mode === '100755' ? 0o755 : 0o644 });
+      bytes += file.content.length;
+    }
+  } catch (err) {
+    removeUpload(dir);
+    throw err;
+  }
+  return { dir, files: files.length, bytes };
+}
+
+/**
+ * Delete an extracted upload directory. Only ever removes paths under uploadsDir().
+ *
+ * @param {string} dir
+ */
+function removeUpload(dir) {
+  if (path.dirname(path.resolve(dir)) !== uploadsDir()) return;
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { archiveFormat, receiveArchive, parseInlineFiles, stageInlineFiles, removeUpload };
@@ -0,0 +1,144 @@
+/**
+ * gitignore-syntax path patterns, used for .gitopsignore files and the
+ * include/exclude globs of a push.
+ *
+ * Supported: blank lines and `#` comments, `!` negation, a trailing `/`
+ * for directories only, a leading or middle `/` to anchor the pattern to
+ * its base directory (otherwise it matches at any depth), `*`, `?`, `[...]`
+ * classes, `**` as a whole path segment, and `\` escapes. As in git, the
+ * last matching rule wins.
+ */
+
+const IGNORE_FILE = '.gitopsignore';
+
+const escapeRegex = (s) => s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+
+/**
+ * Regex source for one path segment (no `/`).
+ *
+ * @param {string} seg
+ * @returns {string}
+ */
+function segmentToRegex(seg) {
+  let out = '';
+  for (let i = 0; i < seg.length; i++) {
+    const c = seg[i];
+    if (c === '\\' && i + 1 < seg.length) {
+      out += escapeRegex(seg[++i]);
+    } else if (c === '*') {
+      out += '[^/]*';
+    } else if (c === '?') {
+      out += '[^/]';
+    } else if (c === '[' && seg.indexOf(']', i + 2) !== -1) {
+      const end = seg.indexOf(']', i + 2);
+      let body = seg.slice(i + 1, end);
+      if (body[0] === '!') body = `^${body.slice(1)}`;
+      out += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      out += escapeRegex(c);
+    }
+  }
+  return out;
+}
+
+/**
+ * Compile one pattern line into a rule.
+ *
+ * @param {string} line
+ * @param {string} source - Where the rule came from, for reporting
+ * @param {string} [base=''] - Directory (relative, no trailing slash) the pattern is relative to
+ * @returns {{pattern: string, source: string, negate: boolean, dirOnly: boolean, regex: RegExp} | null}
+ *   null for blank lines and comments
+ */
+function compilePattern(line, source, base = '') {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const dirOnly = pattern.endsWith('/');
+  let body = pattern.replace(/\/+$/, '');
+  const anchored = body.includes('/');
+  body = body.replace(/^\/+/, '');
+  if (!body) return null;
+
+  const segments = body.split('/');
+  let regex = '';
+  segments.forEach((seg, i) => {
+    const last = i === segments.length - 1;
+    if (seg === '**') regex += last ? '.*' : '(?:.*/)?';
+    else regex += segmentToRegex(seg) + (last ? '' : '/');
+  });
+
+  const prefix = base ? `${escapeRegex(base)}/` : '';
+  return {
+    pattern: line.trim(),
+    source,
+    negate,
+    dirOnly,
+    regex: new RegExp(`^${prefix}${anchored ? '' : '(?:.*/)?'}${regex}$`),
+  };
+}
+
+/**
+ * Parse the contents of an ignore file.
+ *
+ * @param {string} text
+ * @param {string} source - File name reported with each rule (line numbers are appended)
+ * @param {string} [base=''] - Directory the file lives in, relative to the pushed root
+ * @returns {Array<object>} rules (see compilePattern)
+ */
+function parseIgnoreFile(text, source, base = '') {
+  return text.split(/\r?\n/)
+    .map((line, i) => compilePattern(line, `${source}:${i + 1}`, base))
+    .filter(Boolean);
+}
+
+/**
+ * @param {object} rule
+ * @param {string} relPath - Forward-slash path relative to the pushed root
+ * @param {boolean} isDir
+ * @returns {boolean}
+ */
+function matchesRule(rule, relPath, isDir) {
+  return (!rule.dirOnly || isDir) && rule.regex.test(relPath);
+}
+
+/**
+ * True if a file, or any directory above it, matches one of the rules
+ * (negation is not considered).
+ *
+ * @param {Array<object>} rules
+ * @param {string} relPath - File path
+ * @returns {boolean}
+ */
+function matchesPathOrParent(rules, relPath) {
+  const parts = relPath.split('/');
+  return parts.some((_, i) =>
+    rules.some(r => matchesRule(r, parts.slice(0, i + 1).join('/'), i < parts.length - 1)));
+}
+
+/**
+ * The rule that ignores a path, or null. The last matching rule decides;
+ * a matching negated rule re-includes the path.
+ *
+ * @param {Array<object>} rules
+ * @param {string} relPath
+ * @param {boolean} isDir
+ * @returns {object|null}
+ */
+function ignoringRule(rules, relPath, isDir) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchesRule(rules[i], relPath, isDir)) return rules[i].negate ? null : rules[i];
+  }
+  return null;
+}
+
+module.exports = { IGNORE_FILE, compilePattern, parseIgnoreFile, matchesRule, matchesPathOrParent, ignoringRule };
@@ -0,0 +1,42 @@
+const path = require('path');
+
+/**
+ * True if `target` is `base` itself or somewhere below it, after resolving
+ * both. The trailing-separator check stops sibling-prefix escapes such as
+ * /mnt/incoming-evil matching /mnt/incoming.
+ *
+ * @param {string} base
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isInside(base, target) {
+  const resolvedBase = path.resolve(base);
+  const resolved = path.resolve(target);
+  return resolved === resolvedBase || resolved.startsWith(resolvedBase + path.sep);
+}
+
+/**
+ * Normalise a caller-supplied relative file path (archive entry, inline file)
+ * to forward-slash form, rejecting anything that could escape the directory
+ * it is written into: absolute paths, drive letters, NUL bytes and `..`
+ * segments that climb above the root.
+ *
+ * @param {string} name
+ * @returns {string} normalised path; '.' when it names the root itself
+ * @throws 400-tagged error for unsafe paths
+ */
+function normalizeRelativePath(name) {
+  const normalized = path.posix.normalize(name.replace(/\\/g, '/'));
+  if (
+    name.includes('\0') ||
+    normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized === '..' ||
+    normalized.startsWith('../')
+  ) {
+    throw Object.assign(new Error(`Path escapes the target directory: ${name}`), { status: 400 });
+  }
+  return normalized.replace(/\/$/, '') || '.';
+}
+
+module.exports = { isInside, normalizeRelativePath };
@@ -0,0 +1,203 @@
+/**
+ * Outbound webhook delivery.
+ *
+ * emitEvent() fans an event out to the push's callback_url (if any) and to
+ * every matching project subscription. Each target gets its own delivery
+ * record in DATA_DIR/deliveries.jsonl with the full attempt history; failed
+ * attempts are retried with exponential backoff, and deliveries still pending
+ * when the process stops are resumed by resumeDeliveries(). Every attempt
+ * first checks the target against the URL policy (see url-policy.js).
+ *
+ * Every request carries:
+ *   x-gitops-event:     event name (e.g. push.succeeded)
+ *   x-gitops-delivery:  delivery ID (stable across retries)
+ *   x-gitops-signature: sha256=<HMAC-SHA256 of the raw body>
+ */
+
+const { createHmac, randomUUID } = require('crypto');
+const { createStore } = require('../store/jsonl-store');
+const { subscribersFor } = require('./subscriptions');
+const { assertPublicDestination } = require('./url-policy');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '2000', 10);
+const DELIVERIES_MAX_RECORDS = parseInt(process.env.WEBHOOK_DELIVERIES_MAX_RECORDS || '1000', 10);
+
+let store;
+
+function deliveries() {
+  if (!store) {
+    store = createStore('deliveries.jsonl', {
+      maxRecords: DELIVERIES_MAX_RECORDS,
+      evictable: d => d.status !== 'pending',
+    });
+  }
+  return store;
+}
+
+/**
+ * HMAC-SHA256 signature header value for a body.
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @returns {string} 'sha256=<hex>'
+ */
+function sign(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Queue an event for delivery to the callback URL and project subscribers.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} opts
+ * @param {string} opts.project
+ * @param {object} opts.data            - Event-specific payload
+ * @param {string} [opts.job_id]
+ * @param {string} [opts.callback_url]  - Signed with WEBHOOK_SECRET
+ * @returns {object[]} created delivery records
+ */
+function emitEvent(event, { project, data, job_id, callback_url }) {
+  const targets = subscribersFor(project, event).map(s => ({ url: s.url, secret: s.secret, subscription_id: s.id }));
+  if (callback_url) {
+    if (process.env.WEBHOOK_SECRET) {
+      targets.push({ url: callback_url, secret: process.env.WEBHOOK_SECRET, subscription_id: null });
+    } else {
+      console.warn(`[webhooks] WEBHOOK_SECRET not set — skipping callback_url for ${event}`);
+    }
+  }
+
+  return targets.map(({ url, secret, subscription_id }) => {
+    const id = randomUUID();
+    const now = new Date().toISOString();
+    const delivery = deliveries().put({
+      id,
+      event,
+      project,
+      job_id: job_id || null,
+      subscription_id,
+      url,
+      status: 'pending',
+      attempts: [],
+      body: JSON.stringify({ event, delivery_id: id, timestamp: now, project, job_id: job_id || null, data }),
+      created_at: now,
+      updated_at: now,
+    });
+    attempt(delivery.id, secret);
+    return delivery;
+  });
+}
+
+/**
+ * Make one delivery attempt; on failure schedule the next with exponential
+ * backoff (base × 2^n, ±20% jitter) until WEBHOOK_MAX_ATTEMPTS.
+ */
+async function attempt(id, secret) {
+  const delivery = deliveries().get(id);
+  if (!delivery || delivery.status !== 'pending') return;
+
+  const started = Date.now();
+  const record = { at: new Date(started).toISOString() };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    await assertPublicDestination(delivery.url);
+    // Redirects are not followed: a 30x could send the signed body past the URL policy
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'gitops-service',
+        'x-gitops-event': delivery.event,
+        'x-gitops-delivery': delivery.id,
+        'x-gitops-signature': sign(secret, delivery.body),
+      },
+      body: delivery.body,
+    });
+    record.status_code = res.status;
+    if (res.status >= 300 && res.status < 400) record.error = `HTTP ${res.status} redirect (not followed)`;
+    else if (!res.ok) record.error = `HTTP ${res.status}`;
+  } catch (err) {
+    record.error = err.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  } finally {
+    clearTimeout(timer);
+  }
+  record.ms = Date.now() - started;
+
+  const attempts = [...delivery.attempts, record];
+  const now = new Date().toISOString();
+  if (!record.error) {
+    deliveries().update(id, { status: 'delivered', attempts, next_attempt_at: null, updated_at: now });
+    return;
+  }
+  if (attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+    deliveries().update(id, { status: 'failed', attempts, next_attempt_at: null, updated_at: now });
+    console.warn(`[webhooks] ${delivery.event} → ${delivery.url} failed after ${attempts.length} attempt(s): ${record.error}`);
+    return;
+  }
+
+  const delay = Math.round(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts.length - 1) * (0.8 + Math.random() * 0.4));
+  deliveries().update(id, {
+    attempts,
+    next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    updated_at: now,
+  });
+  setTimeout(() => attempt(id, secret), delay).unref();
+}
+
+/**
+ * Resume deliveries left pending by a previous process. Secrets are looked
+ * up again, so a subscription deleted in the meantime stops its retries.
+ *
+ * @returns {number} deliveries resumed
+ */
+function resumeDeliveries() {
+  let resumed = 0;
+  for (const d of deliveries().all()) {
+    if (d.status !== 'pending') continue;
+    const secret = d.subscription_id
+      ? (subscribersFor(d.project, d.event).find(s => s.id === d.subscription_id) || {}).secret
+      : process.env.WEBHOOK_SECRET;
+    if (!secret) {
+      deliveries().update(d.id, { status: 'failed', next_attempt_at: null, updated_at: new Date().toISOString() });
+      continue;
+    }
+    const wait = Math.max(0, new Date(d.next_attempt_at || 0).getTime() - Date.now());
+    setTimeout(() => attempt(d.id, secret), wait).unref();
+    resumed++;
+  }
+  if (resumed) console.log(`[webhooks] Resumed ${resumed} pending deliver${resumed === 1 ? 'y' : 'ies'}`);
+  return resumed;
+}
+
+/** Delivery records have no secrets; the body is returned parsed for readability. */
+function present({ body, ...delivery }) {
+  return { ...delivery, payload: JSON.parse(body) };
+}
+
+function getDelivery(id) {
+  const d = deliveries().get(id);
+  return d ? present(d) : null;
+}
+
+/**
+ * List deliveries, newest first.
+ *
+ * @param {object} [filter] - project, event, status, job_id, limit (default 50)
+ * @returns {object[]}
+ */
+function listDeliveries({ project, event, status, job_id, limit = 50 } = {}) {
+  return deliveries().all()
+    .filter(d => (!project || d.project === project)
+      && (!event || d.event === event)
+      && (!status || d.status === status)
+      && (!job_id || d.job_id === job_id))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit)
+    .map(present);
+}
+
+module.exports = { emitEvent, resumeDeliveries, getDelivery, listDeliveries, sign };
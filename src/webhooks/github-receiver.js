@@ -0,0 +1,99 @@
+/**
+ * Inbound GitHub webhooks → outbound lifecycle events.
+ *
+ * GitHub is configured to send `pull_request` events to POST /github/webhook.
+ * When a feat/* PR into a {project}-dev branch is closed, this emits
+ * `pr.merged` or `pr.closed` to the project's subscribers and to the
+ * callback_url of the push that opened it. When a {project}-dev →
+ * {project}-master release PR is merged, the release tag it names is
+ * created on the merge commit.
+ */
+
+const { createHmac, timingSafeEqual } = require('crypto');
+const { listJobs } = require('../queue/job-store');
+const { emitEvent } = require('./dispatcher');
+const { resolveRepo } = require('../projects/registry');
+const { tagRelease } = require('../github/projects');
+
+/**
+ * Check GitHub's x-hub-signature-256 header against the raw request body.
+ *
+ * @param {string} secret
+ * @param {Buffer} rawBody
+ * @param {string} header - 'sha256=<hex>'
+ * @returns {boolean}
+ */
+function verifyGitHubSignature(secret, rawBody, header) {
+  if (!header || !rawBody) return false;
+  const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * True if a pull_request payload has the fields handleGitHubEvent reads.
+ *
+ * @param {object} pr
+ * @returns {boolean}
+ */
+function isPullRequestShape(pr) {
+  return Boolean(pr) && typeof pr === 'object'
+    && Number.isInteger(pr.number)
+    && Boolean(pr.head) && typeof pr.head.ref === 'string'
+    && Boolean(pr.base) && typeof pr.base.ref === 'string';
+}
+
+/**
+ * Translate a GitHub webhook into service events.
+ *
+ * @param {string} name    - x-github-event header
+ * @param {object} payload - Parsed webhook body
+ * @returns {string|null} the event emitted, if any (a release tag is created in the background)
+ * @throws 400-tagged error for a pull_request payload missing its number or head/base refs
+ */
+function handleGitHubEvent(name, payload) {
+  if (name !== 'pull_request' || !payload || payload.action !== 'closed') return null;
+
+  const pr = payload.pull_request;
+  if (!isPullRequestShape(pr)) {
+    throw Object.assign(new Error('pull_request payload must include number, head.ref and base.ref'), { status: 400 });
+  }
+  // PR numbers are per repository: ignore events from a repo the project is not routed to
+  const repoName = payload.repository && payload.repository.full_name;
+  const sameRepo = (name) => !repoName || !name || name.toLowerCase() === repoName.toLowerCase();
+
+  const released = pr.base.ref.endsWith('-master') && pr.base.ref.slice(0, -'-master'.length);
+  if (released && pr.merged && pr.head.ref === `${released}-dev`) {
+    if (sameRepo(resolveRepo(released).full_name)) {
+      tagRelease(released, pr).catch(err => console.warn(`[webhooks] Release tag for PR #${pr.number} not created: ${err.message}`));
+    }
+    return null;
+  }
+
+  if (!pr.head.ref.startsWith('feat/') || !pr.base.ref.endsWith('-dev')) return null;
+  const project = pr.base.ref.slice(0, -'-dev'.length);
+  if (!sameRepo(resolveRepo(project).full_name)) return null;
+
+  // The push that opened this PR carries the callback_url, if any
+  const job = listJobs({ project, status: 'succeeded', limit: Infinity })
+    .find(j => j.result && j.result.pr_number === pr.number && sameRepo(j.result.repo));
+
+  const event = pr.merged ? 'pr.merged' : 'pr.closed';
+  emitEvent(event, {
+    project,
+    job_id: job ? job.id : undefined,
+    callback_url: job && job.payload ? job.payload.callback_url : undefined,
+    data: {
+      pr_number: pr.number,
+      pr_url: pr.html_url,
+      branch: pr.head.ref,
+      dev_branch: pr.base.ref,
+      merged: Boolean(pr.merged),
+      merge_commit_sha: pr.merge_commit_sha || null,
+      closed_at: pr.closed_at,
+    },
+  });
+  return event;
+}
+
+module.exports = { verifyGitHubSignature, handleGitHubEvent };
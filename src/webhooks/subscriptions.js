@@ -0,0 +1,75 @@
+/**
+ * Per-project webhook subscriptions, stored in DATA_DIR/webhooks.jsonl.
+ *
+ * A subscription receives every event for its project whose name is in
+ * `events` (or all events when `events` is omitted), signed with its own secret.
+ */
+
+const { randomUUID, randomBytes } = require('crypto');
+const { createStore } = require('../store/jsonl-store');
+
+const WEBHOOK_EVENTS = ['push.succeeded', 'push.failed', 'pr.merged', 'pr.closed'];
+
+let store;
+
+function subscriptions() {
+  if (!store) store = createStore('webhooks.jsonl');
+  return store;
+}
+
+/**
+ * Strip the signing secret — it is only ever returned once, at creation.
+ */
+function redact({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Subscribe a URL to a project's events.
+ *
+ * @param {string} project
+ * @param {object} opts
+ * @param {string}   opts.url
+ * @param {string[]} [opts.events]  - Subset of WEBHOOK_EVENTS; all when omitted
+ * @param {string}   [opts.secret]  - HMAC secret; generated when omitted
+ * @returns {object} the subscription, including its secret
+ */
+function addSubscription(project, { url, events, secret }) {
+  return subscriptions().put({
+    id: randomUUID(),
+    project,
+    url,
+    events: events || WEBHOOK_EVENTS,
+    secret: secret || randomBytes(32).toString('hex'),
+    created_at: new Date().toISOString(),
+  });
+}
+
+function listSubscriptions(project) {
+  return subscriptions().all().filter(s => s.project === project).map(redact);
+}
+
+function removeSubscription(project, id) {
+  const existing = subscriptions().get(id);
+  if (!existing || existing.project !== project) return false;
+  return subscriptions().remove(id);
+}
+
+/**
+ * Subscriptions (with secrets) that want a given event for a project.
+ *
+ * @param {string} project
+ * @param {string} event
+ * @returns {object[]}
+ */
+function subscribersFor(project, event) {
+  return subscriptions().all().filter(s => s.project === project && s.events.includes(event));
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  addSubscription,
+  listSubscriptions,
+  removeSubscription,
+  subscribersFor,
+};
@@ -0,0 +1,89 @@
+/**
+ * Which URLs the service may POST webhooks to.
+ *
+ * callback_url and subscription URLs come from API callers, so without a
+ * check they could point the service at its own network (metadata
+ * endpoints, admin ports, other containers). Targets must be https and must
+ * not be loopback, private, link-local or otherwise non-public addresses.
+ * The host is checked when the URL is accepted and its DNS answers again
+ * before every delivery attempt, so a public name that later resolves to an
+ * internal address is still refused.
+ *
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lifts both rules (local development).
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED.addSubnet(prefix, bits, 'ipv6');
+}
+
+function allowPrivate() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT, multicast and unspecified
+ * addresses, including IPv4 addresses written as IPv4-mapped IPv6.
+ *
+ * @param {string} address - IP literal
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a caller-supplied webhook URL without touching the network: https,
+ * and not a localhost name or a non-public IP literal.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAllowedWebhookUrl(value) {
+  if (typeof value !== 'string') return false;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (allowPrivate()) return ['http:', 'https:'].includes(url.protocol);
+  if (url.protocol !== 'https:') return false;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return false;
+  return !isPrivateAddress(host);
+}
+
+/**
+ * Resolve a webhook URL's host and refuse it if any address is non-public.
+ *
+ * @param {string} value
+ * @returns {Promise<void>}
+ * @throws if the URL is not allowed or its host resolves to a non-public address
+ */
+async function assertPublicDestination(value) {
+  if (allowPrivate()) return;
+  if (!isAllowedWebhookUrl(value)) throw new Error('Webhook URL is not an allowed https URL');
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return;
+  const addresses = await dns.lookup(host, { all: true });
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) throw new Error(`Webhook host ${host} resolves to non-public address ${blocked.address}`);
+}
+
+module.exports = { isAllowedWebhookUrl, isPrivateAddress, assertPublicDestination };
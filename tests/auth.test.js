@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-data-'));
+process.env.API_KEY = 'root-key';
+
+const { createKey, rotateKey, revokeKey, listKeys, matchesProject, validateKeySpec } = require('../src/auth/api-keys');
+const { auth, requireScope, requireProjectAccess } = require('../src/middleware/auth');
+
+/** Run a middleware against a fake request; returns { status, body, next } */
+function run(mw, req) {
+  const out = { status: 200, body: null, next: false };
+  const res = {
+    status(code) { out.status = code; return this; },
+    json(body) { out.body = body; return this; },
+  };
+  mw(req, res, () => { out.next = true; });
+  return out;
+}
+
+describe('api keys', () => {
+  it('matches project patterns', () => {
+    assert.equal(matchesProject('proj-*', 'proj-a'), true);
+    assert.equal(matchesProject('proj-*', 'other'), false);
+    assert.equal(matchesProject('*', 'anything'), true);
+    assert.equal(matchesProject('proj-a', 'proj-ab'), false);
+  });
+
+  it('validates key specs', () => {
+    assert.equal(validateKeySpec({ name: 'ci', projects: ['proj-*'], scopes: ['push'] }), null);
+    assert.match(validateKeySpec({ name: 'ci', projects: [], scopes: ['push'] }), /projects/);
+    assert.match(validateKeySpec({ name: 'ci', projects: ['a'], scopes: ['root'] }), /scopes/);
+    assert.match(validateKeySpec({ name: 'bad name', projects: ['a'], scopes: ['push'] }), /name/);
+  });
+
+  it('stores only a hash and returns the plaintext once', () => {
+    const { key, record } = createKey({ name: 'svc-a', projects: ['proj-*'], scopes: ['push'] });
+    assert.match(key, /^gok_[0-9a-f]{48}$/);
+    assert.equal(record.key_hash, undefined);
+    const onDisk = fs.readFileSync(path.join(process.env.DATA_DIR, 'api-keys.jsonl'), 'utf8');
+    assert.equal(onDisk.includes(key), false);
+    assert.throws(() => createKey({ name: 'svc-a', projects: ['*'], scopes: ['push'] }), err => err.status === 409);
+  });
+});
+
+describe('auth middleware', () => {
+  it('identifies the env API_KEY as admin', () => {
+    const req = { headers: { 'x-api-key': 'root-key' } };
+    assert.equal(run(auth, req).next, true);
+    assert.deepEqual(req.auth, { client: 'admin', projects: ['*'], scopes: ['admin'] });
+  });
+
+  it('identifies a named key and enforces its scopes and projects', () => {
+    const { key } = createKey({ name: 'svc-b', projects: ['proj-b*'], scopes: ['push'] });
+    const req = { headers: { 'x-api-key': key }, params: { project: 'proj-b1' } };
+    assert.equal(run(auth, req).next, true);
+    assert.equal(req.auth.client, 'svc-b');
+
+    assert.equal(run(requireScope('push'), req).next, true);
+    assert.equal(run(requireScope('bootstrap'), req).status, 403);
+    assert.equal(run(requireProjectAccess, req).next, true);
+    assert.equal(run(requireProjectAccess, { ...req, params: { project: 'proj-a' } }).status, 403);
+  });
+
+  it('rejects unknown, rotated-out and revoked keys', () => {
+    assert.equal(run(auth, { headers: {} }).status, 401);
+    assert.equal(run(auth, { headers: { 'x-api-key': 'nope' } }).status, 401);
+
+    const { key: oldKey } = createKey({ name: 'svc-c', projects: ['*'], scopes: ['push'] });
+    const { key: newKey } = rotateKey('svc-c');
+    assert.equal(run(auth, { headers: { 'x-api-key': oldKey } }).status, 401);
+    assert.equal(run(auth, { headers: { 'x-api-key': newKey } }).next, true);
+
+    assert.equal(revokeKey('svc-c'), true);
+    assert.equal(run(auth, { headers: { 'x-api-key': newKey } }).status, 401);
+    assert.ok(listKeys().find(k => k.name === 'svc-c').revoked_at);
+
+    assert.throws(() => createKey({ name: 'svc-c', projects: ['*'], scopes: ['push'] }), err => err.status === 409 && /revoked/.test(err.message));
+    assert.ok(listKeys().find(k => k.name === 'svc-c').revoked_at);
+  });
+});
@@ -0,0 +1,276 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.GH_TOKEN = 'test-token';
+process.env.GH_OWNER = 'acme';
+process.env.GH_REPO = 'mono';
+
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { makeDir } = require('./helpers/make-dir');
+const { createFeatBranch, planFeatBranch } = require('../src/github/create-feat-branch');
+const { getBootstrapFiles } = require('../src/github/ensure-project');
+
+describe('createFeatBranch (Git Data API)', () => {
+  const gh = createFakeGitHub();
+
+  before(() => {
+    gh.install();
+    gh.seedBranch('proj-a-master', Object.fromEntries(getBootstrapFiles('proj-a').map(f => [f.path, f.content])));
+    gh.seedBranch('proj-a-dev', { 'README.md': 'dev', '.github/workflows/ci.yml': 'ci' });
+  });
+  after(() => gh.uninstall());
+  beforeEach(() => gh.reset());
+
+  it('pushes all files as a single commit and opens a PR', async () => {
+    const dir = makeDir({ 'a.txt': 'A', 'src/b.js': 'module.exports = 1;\n', 'src/c.js': '' });
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'one-commit' });
+
+    assert.equal(result.branch, 'feat/proj-a/one-commit');
+    assert.equal(result.pr_number, 1);
+    assert.equal(gh.refs.get('feat/proj-a/one-commit'), result.commit_sha);
+
+    const commit = gh.commits.get(result.commit_sha);
+    assert.deepEqual(commit.parents, [gh.refs.get('proj-a-dev')]);
+
+    const files = gh.branchFiles('feat/proj-a/one-commit');
+    assert.equal(files['a.txt'].toString(), 'A');
+    assert.equal(files['src/b.js'].toString(), 'module.exports = 1;\n');
+    assert.equal(files['README.md'].toString(), 'dev');
+
+    const commitCalls = gh.calls.filter(c => c.method === 'POST' && c.route === '/git/commits');
+    assert.equal(commitCalls.length, 1);
+    assert.equal(gh.calls.filter(c => c.route.startsWith('/contents/') && c.route.includes('one-commit')).length, 0);
+  });
+
+  it('commits a re-push on top of the existing branch head', async () => {
+    const dir = makeDir({ 'a.txt': 'A2' });
+    const first = gh.refs.get('feat/proj-a/one-commit');
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'one-commit' });
+
+    assert.deepEqual(gh.commits.get(result.commit_sha).parents, [first]);
+    assert.equal(gh.branchFiles('feat/proj-a/one-commit')['a.txt'].toString(), 'A2');
+    assert.equal(result.pr_number, 1, 'reuses the open PR');
+  });
+
+  it('uploads only changed files and skips a push that changes nothing', async () => {
+    await createFeatBranch({ project: 'proj-a', dir: makeDir({ 'x.txt': 'x', 'y.txt': 'y' }), feat_name: 'no-op' });
+    const head = gh.refs.get('feat/proj-a/no-op');
+
+    gh.reset();
+    const same = await createFeatBranch({ project: 'proj-a', dir: makeDir({ 'x.txt': 'x', 'y.txt': 'y' }), feat_name: 'no-op' });
+    assert.equal(same.changed, false);
+    assert.equal(same.commit_sha, head);
+    assert.equal(same.pr_number, gh.pulls.find(p => p.head.ref === 'feat/proj-a/no-op').number);
+    assert.equal(gh.calls.filter(c => c.method !== 'GET').length, 0);
+
+    const next = await createFeatBranch({ project: 'proj-a', dir: makeDir({ 'x.txt': 'x', 'y.txt': 'y2' }), feat_name: 'no-op' });
+    assert.equal(next.changed, true);
+    const blobs = gh.calls.filter(c => c.route === '/git/blobs');
+    assert.deepEqual(blobs.map(c => c.body.content), ['y2']);
+  });
+
+  it('leaves out paths ignored by the project defaults and reports them', async () => {
+    const dir = makeDir({ 'main.py': 'print(1)\n', '.env': 'TOKEN=x', '__pycache__/main.cpython-312.pyc': 'x' });
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'ignored' });
+
+    assert.deepEqual(Object.keys(gh.branchFiles('feat/proj-a/ignored')).filter(p => !p.startsWith('README') && !p.startsWith('.github/')), ['main.py']);
+    assert.deepEqual(result.excluded.map(e => e.path).sort(), ['.env', '__pycache__/']);
+    assert.match(result.excluded.find(e => e.path === '.env').reason, /^projects\/_default\/\.gitopsignore:\d+: \.env$/);
+  });
+
+  it('refuses a push carrying a secret before calling GitHub', async () => {
+    const dir = makeDir({ 'config.js': `module.exports = { key: '${'AKIA' + 'Z7QWERTYUIOPASDF'}' };\n` });
+    await assert.rejects(
+      () => createFeatBranch({ project: 'proj-a', dir, feat_name: 'leak' }),
+      err => err.status === 422 && /config\.js:1 \(aws-access-key-id\)/.test(err.message)
+    );
+    assert.equal(gh.calls.length, 0);
+  });
+
+  it('uploads binary files byte-for-byte and reports them', async () => {
+    const bytes = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00, 0xff, 0xfe, 0x80]);
+    const dir = makeDir({ 'bundle.zip': bytes, 'README.md': 'docs' });
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'binary' });
+
+    assert.deepEqual(result.binary_files, ['bundle.zip']);
+    assert.ok(gh.branchFiles('feat/proj-a/binary')['bundle.zip'].equals(bytes));
+    const blobCall = gh.calls.find(c => c.route === '/git/blobs' && c.body.encoding === 'base64');
+    assert.equal(blobCall.body.content, bytes.toString('base64'));
+  });
+
+  it('commits executable files with mode 100755 when exec_mode is set', async () => {
+    const dir = makeDir({ 'run.sh': '#!/bin/sh\n', 'lib.sh': 'x=1\n' });
+    fs.chmodSync(path.join(dir, 'run.sh'), 0o755);
+    await createFeatBranch({ project: 'proj-a', dir, feat_name: 'exec-bit', exec_mode: true });
+
+    const treeCall = gh.calls.find(c => c.route === '/git/trees' && c.method === 'POST');
+    const modes = Object.fromEntries(treeCall.body.tree.map(e => [e.path, e.mode]));
+    assert.equal(modes['run.sh'], '100755');
+    assert.equal(modes['lib.sh'], '100644');
+  });
+
+  it('keeps branch modes without exec_mode, even when every local file is executable', async () => {
+    const dir = makeDir({ 'run.sh': '#!/bin/sh\n', 'lib.sh': 'x=1\n' });
+    fs.chmodSync(path.join(dir, 'run.sh'), 0o755);
+    await createFeatBranch({ project: 'proj-a', dir, feat_name: 'exec-keep', exec_mode: true });
+
+    fs.writeFileSync(path.join(dir, 'run.sh'), '#!/bin/sh\necho 2\n');
+    fs.chmodSync(path.join(dir, 'lib.sh'), 0o755);
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'exec-keep' });
+    assert.deepEqual(result.changes.modified, ['run.sh']);
+
+    const treeCall = gh.calls.filter(c => c.route === '/git/trees' && c.method === 'POST').pop();
+    assert.deepEqual(treeCall.body.tree.map(e => [e.path, e.mode]), [['run.sh', '100755']]);
+  });
+
+  it('mirror mode deletes missing files, detects renames and keeps workflows', async () => {
+    await createFeatBranch({
+      project: 'proj-a',
+      dir: makeDir({ 'lib/util.js': 'util', 'stale.txt': 'old' }),
+      feat_name: 'mirror',
+    });
+    const result = await createFeatBranch({
+      project: 'proj-a',
+      dir: makeDir({ 'src/util.js': 'util', 'added.txt': 'new' }),
+      feat_name: 'mirror',
+      mode: 'mirror',
+    });
+
+    assert.deepEqual(result.changes.renamed, [{ from: 'lib/util.js', to: 'src/util.js' }]);
+    assert.deepEqual(result.changes.deleted.sort(), ['README.md', 'stale.txt']);
+    assert.deepEqual(result.changes.added, ['added.txt']);
+    assert.deepEqual(
+      Object.keys(gh.branchFiles('feat/proj-a/mirror')).sort(),
+      ['.github/workflows/ci.yml', 'added.txt', 'src/util.js']
+    );
+  });
+
+  it('mirror mode never deletes paths left out by include, exclude or .gitopsignore', async () => {
+    await createFeatBranch({
+      project: 'proj-a',
+      dir: makeDir({ 'src/a.js': 'a', 'src/old.js': 'old', 'src/gen.js': 'gen', 'docs/a.md': 'doc', 'src/build/out.txt': 'out' }),
+      feat_name: 'scoped',
+    });
+    const result = await createFeatBranch({
+      project: 'proj-a',
+      dir: makeDir({ 'src/a.js': 'a2', 'src/gen.js': 'gen2', 'src/.gitopsignore': 'gen.js\n', 'README.md': 'local' }),
+      feat_name: 'scoped',
+      mode: 'mirror',
+      include: ['src/**'],
+      exclude: ['build/'],
+    });
+
+    assert.deepEqual(result.changes.deleted, ['src/old.js']);
+    assert.deepEqual(
+      Object.keys(gh.branchFiles('feat/proj-a/scoped')).sort(),
+      ['.github/workflows/ci.yml', 'README.md', 'docs/a.md', 'src/.gitopsignore', 'src/a.js', 'src/build/out.txt', 'src/gen.js']
+    );
+    assert.equal(gh.branchFiles('feat/proj-a/scoped')['README.md'].toString(), 'dev');
+    assert.equal(gh.branchFiles('feat/proj-a/scoped')['src/gen.js'].toString(), 'gen');
+  });
+
+  it('refuses a push that changes bootstrap-managed workflows', async () => {
+    const dir = makeDir({ 'app.js': '1', '.github/workflows/ci.yml': 'on: push\njobs: {}\n' });
+    await assert.rejects(
+      () => createFeatBranch({ project: 'proj-a', dir, feat_name: 'ci-swap' }),
+      err => err.status === 403 && err.paths.join() === '.github/workflows/ci.yml'
+    );
+    assert.equal(gh.refs.has('feat/proj-a/ci-swap'), false);
+
+    // An unchanged copy of the dev branch's workflow is not a change
+    const same = await createFeatBranch({ project: 'proj-a', dir: makeDir({ 'app.js': '1', '.github/workflows/ci.yml': 'ci' }), feat_name: 'ci-same' });
+    assert.deepEqual(same.protected_paths, []);
+  });
+
+  it('refuses to commit onto a branch based on another project', async () => {
+    gh.seedBranch('proj-b-dev', { 'README.md': 'b' });
+    const foreign = gh.refs.get('proj-b-dev');
+    gh.refs.set('feat/proj-a/foreign', foreign);
+
+    await assert.rejects(
+      () => createFeatBranch({ project: 'proj-a', dir: makeDir({ 'x.txt': 'x' }), feat_name: 'foreign' }),
+      err => err.status === 409 && /not based on proj-a-dev/.test(err.message)
+    );
+    assert.equal(gh.refs.get('feat/proj-a/foreign'), foreign);
+    assert.equal(gh.calls.filter(c => c.route === '/git/commits').length, 0);
+  });
+
+  it('leaves no branch behind when a blob upload fails', async () => {
+    const dir = makeDir({ 'x.txt': 'x', 'y.txt': 'y', 'z.txt': 'z' });
+    gh.failWhen((method, route) => method === 'POST' && route === '/git/blobs');
+
+    await assert.rejects(
+      () => createFeatBranch({ project: 'proj-a', dir, feat_name: 'broken' }),
+      /GitHub API 500/
+    );
+    assert.equal(gh.refs.has('feat/proj-a/broken'), false);
+  });
+
+  it('opens the PR on a retry after the PR call failed once the branch had moved', async () => {
+    const dir = makeDir({ 'app.js': '1' });
+    gh.failWhen((method, route) => method === 'POST' && route === '/pulls');
+    await assert.rejects(
+      () => createFeatBranch({ project: 'proj-a', dir, feat_name: 'no-pr', labels: ['extra'] }),
+      /GitHub API 500/
+    );
+    assert.ok(gh.refs.has('feat/proj-a/no-pr'), 'branch moved before the PR call');
+    gh.failWhen(null);
+
+    const retry = await createFeatBranch({ project: 'proj-a', dir, feat_name: 'no-pr', labels: ['extra'] });
+    assert.equal(retry.changed, false);
+    assert.ok(retry.pr_number);
+    const pr = gh.pulls.find(p => p.number === retry.pr_number);
+    assert.equal(pr.head.ref, 'feat/proj-a/no-pr');
+    assert.deepEqual(pr.labels.map(l => l.name).sort(), ['automated', 'extra', 'proj-a']);
+  });
+});
+
+describe('planFeatBranch (dry run)', () => {
+  const gh = createFakeGitHub();
+
+  before(() => gh.install());
+  after(() => gh.uninstall());
+  beforeEach(() => gh.reset());
+
+  const writes = () => gh.calls.filter(c => c.method !== 'GET');
+
+  it('plans a first push without bootstrapping anything', async () => {
+    const plan = await planFeatBranch({ project: 'proj-p', dir: makeDir({ 'a.txt': 'A' }), feat_name: 'first' });
+
+    assert.equal(plan.branch, 'feat/proj-p/first');
+    assert.equal(plan.branch_exists, false);
+    assert.equal(plan.base_sha, null);
+    assert.equal(plan.bootstrap.needed, true);
+    assert.equal(plan.bootstrap.master_exists, false);
+    assert.ok(plan.bootstrap.outdated_files.includes('.github/workflows/ci.yml'));
+    assert.deepEqual(plan.files, [{ path: 'a.txt', status: 'added' }]);
+    assert.equal(plan.pr_exists, false);
+    assert.deepEqual(writes(), []);
+  });
+
+  it('diffs a re-push against the feat branch and finds its PR', async () => {
+    await createFeatBranch({ project: 'proj-p', dir: makeDir({ 'a.txt': 'A', 'b.txt': 'B' }), feat_name: 'first' });
+    gh.reset();
+
+    const plan = await planFeatBranch({
+      project: 'proj-p',
+      dir: makeDir({ 'a.txt': 'A', 'c.txt': 'C' }),
+      feat_name: 'first',
+      mode: 'mirror',
+    });
+
+    assert.equal(plan.branch_exists, true);
+    assert.equal(plan.base_sha, gh.refs.get('feat/proj-p/first'));
+    assert.equal(plan.bootstrap.needed, false);
+    assert.deepEqual(plan.files, [
+      { path: 'a.txt', status: 'unchanged' },
+      { path: 'b.txt', status: 'deleted' },
+      { path: 'c.txt', status: 'added' },
+    ]);
+    assert.equal(plan.pr_exists, true);
+    assert.equal(plan.pr_number, 1);
+    assert.deepEqual(writes(), []);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { extractArchive } = require('../src/upload/extract-archive');
+const { tarGz, zip } = require('./helpers/archives');
+
+const LIMITS = { maxFiles: 100, maxBytes: 1024 * 1024 };
+
+async function extract(format, archive, limits = LIMITS) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-extract-'));
+  const file = path.join(root, `upload.${format}`);
+  const dest = path.join(root, 'out');
+  fs.mkdirSync(dest);
+  fs.writeFileSync(file, archive);
+  const summary = await extractArchive(file, dest, format, limits);
+  return { root, dest, summary };
+}
+
+describe('extractArchive', () => {
+  for (const [format, build] of [['tar.gz', tarGz], ['zip', zip]]) {
+    it(`extracts a ${format} archive`, async () => {
+      const { dest, summary } = await extract(format, build([
+        { name: 'README.md', content: '# hi\n' },
+        { name: 'src/deep/index.js', content: 'module.exports = 1;\n' },
+      ]));
+      assert.deepEqual(summary, { files: 2, bytes: 25 });
+      assert.equal(fs.readFileSync(path.join(dest, 'src/deep/index.js'), 'utf8'), 'module.exports = 1;\n');
+    });
+
+    it(`blocks zip-slip paths in ${format}`, async () => {
+      for (const name of ['../evil.txt', 'a/../../evil.txt', '/etc/evil.txt']) {
+        await assert.rejects(
+          () => extract(format, build([{ name, content: 'x' }])),
+          err => err.status === 400 && /escapes the extraction directory/.test(err.message),
+          name
+        );
+      }
+    });
+
+    it(`enforces file-count and size limits in ${format}`, async () => {
+      const many = Array.from({ length: 4 }, (_, i) => ({ name: `f${i}.txt`, content: 'x' }));
+      await assert.rejects(() => extract(format, build(many), { maxFiles: 3, maxBytes: 1000 }), err => err.status === 413);
+      const big = [{ name: 'big.bin', content: Buffer.alloc(5000) }];
+      await assert.rejects(() => extract(format, build(big), { maxFiles: 10, maxBytes: 4096 }), err => err.status === 413);
+    });
+  }
+
+  it('keeps the executable bit from tar entries', async () => {
+    const { dest } = await extract('tar.gz', tarGz([
+      { name: 'run.sh', content: '#!/bin/sh\n', mode: 0o755 },
+      { name: 'data.txt', content: 'x' },
+    ]));
+    assert.ok(fs.statSync(path.join(dest, 'run.sh')).mode & 0o100);
+    assert.equal(fs.statSync(path.join(dest, 'data.txt')).mode & 0o111, 0);
+  });
+
+  it('rejects symlinks', async () => {
+    await assert.rejects(
+      () => extract('tar.gz', tarGz([{ name: 'link', type: '2' }])),
+      /symlink \(not allowed\)/
+    );
+    await assert.rejects(
+      () => extract('zip', zip([{ name: 'link', content: '/etc/passwd', symlink: true }])),
+      /symlink \(not allowed\)/
+    );
+  });
+
+  it('stops a zip entry at its declared size and keeps empty entries', async () => {
+    const archive = zip([{ name: 'empty.txt' }, { name: 'bomb.bin', content: Buffer.alloc(64 * 1024) }]);
+    const cd = archive.readUInt32LE(archive.length - 22 + 16);
+    const second = cd + 46 + 'empty.txt'.length;
+    archive.writeUInt32LE(10, second + 24);
+    await assert.rejects(() => extract('zip', archive), err => err.status === 400 && /larger than declared: bomb\.bin/.test(err.message));
+
+    const { dest } = await extract('zip', zip([{ name: 'empty.txt' }]));
+    assert.equal(fs.readFileSync(path.join(dest, 'empty.txt'), 'utf8'), '');
+  });
+
+  it('rejects data that is not an archive', async () => {
+    await assert.rejects(() => extract('tar.gz', Buffer.from('not gzip')), err => err.status === 400);
+    await assert.rejects(() => extract('zip', Buffer.from('not a zip at all, really not')), err => err.status === 400);
+  });
+});
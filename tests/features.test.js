@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GH_TOKEN = 'test-token';
+process.env.GH_OWNER = 'acme';
+process.env.GH_REPO = 'mono';
+
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { makeDir } = require('./helpers/make-dir');
+const { createFeatBranch } = require('../src/github/create-feat-branch');
+const { listFeatures, getFeature, updateFeature, deleteFeature } = require('../src/github/features');
+
+async function push(feat_name, opts = {}) {
+  const dir = makeDir({ [`${feat_name}.js`]: feat_name });
+  return createFeatBranch({ project: 'proj-f', dir, feat_name, source: 'agent-a', ...opts });
+}
+
+describe('feature lifecycle', () => {
+  let gh;
+
+  beforeEach(async () => {
+    gh = createFakeGitHub();
+    gh.install();
+    await push('login', { description: 'Add login', labels: ['backend'] });
+    await push('search');
+  });
+  afterEach(() => gh.uninstall());
+
+  it('lists open features newest first', async () => {
+    const features = await listFeatures('proj-f');
+    assert.deepEqual(features.map(f => [f.feat_id, f.state]), [['search', 'open'], ['login', 'open']]);
+    assert.deepEqual(features[1].labels, ['automated', 'proj-f', 'backend']);
+  });
+
+  it('reports checks and the latest code-review verdict', async () => {
+    const sha = gh.refs.get('feat/proj-f/login');
+    gh.checkRuns.set(sha, [
+      { name: 'CI', status: 'completed', conclusion: 'success' },
+      { name: 'Run code review agent', status: 'in_progress', conclusion: null },
+    ]);
+    gh.comments.push(
+      { number: 1, body: '## ⚠️ Code Review — REQUEST_CHANGES\n\n…' },
+      { number: 1, body: 'unrelated' },
+      { number: 1, body: '## ✅ Code Review — APPROVE\n\nLooks good' }
+    );
+
+    const feature = await getFeature('proj-f', 'login');
+    assert.equal(feature.pr_number, 1);
+    assert.equal(feature.description, 'Add login');
+    assert.equal(feature.branch_sha, sha);
+    assert.equal(feature.checks.state, 'pending');
+    assert.equal(feature.review.outcome, 'APPROVE');
+    await assert.rejects(() => getFeature('proj-f', 'nope'), err => err.status === 404);
+  });
+
+  it('edits title, description and labels but keeps metadata and managed labels', async () => {
+    gh.pulls[0].labels.push({ name: 'human-review-required' });
+    const feature = await updateFeature('proj-f', 'login', { title: 'Login v2', description: 'Reworked', labels: ['frontend'] });
+
+    assert.equal(feature.title, 'Login v2');
+    assert.equal(feature.description, 'Reworked');
+    assert.deepEqual(feature.labels.sort(), ['automated', 'frontend', 'human-review-required', 'proj-f']);
+    assert.match(gh.pulls[0].body, /^Reworked\n\*\*Source:\*\* agent-a/);
+  });
+
+  it('abandons a feature by closing its PR and deleting the branch', async () => {
+    const result = await deleteFeature('proj-f', 'search', { reason: 'superseded' });
+
+    assert.deepEqual(result, { feat_id: 'search', branch: 'feat/proj-f/search', closed_pr: 2, deleted_branch: true });
+    assert.equal(gh.pulls[1].state, 'closed');
+    assert.equal(gh.refs.has('feat/proj-f/search'), false);
+    assert.match(gh.comments.find(c => c.number === 2).body, /abandoned — superseded/);
+
+    assert.deepEqual((await listFeatures('proj-f')).map(f => f.feat_id), ['login']);
+    assert.deepEqual((await listFeatures('proj-f', { state: 'closed' })).map(f => f.feat_id), ['search']);
+    assert.equal((await getFeature('proj-f', 'search')).branch_sha, null);
+  });
+});
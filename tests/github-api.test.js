@@ -0,0 +1,109 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GH_TOKEN = 'test-token';
+process.env.GH_API_RETRY_BASE_MS = '5';
+process.env.GH_API_MAX_RETRIES = '2';
+process.env.GH_RATE_LIMIT_MIN_REMAINING = '10';
+
+const { githubApi, apiBaseUrl, registerCredentials } = require('../src/github/api');
+const { onPause, rateLimitStatus } = require('../src/github/rate-limit');
+
+const realFetch = global.fetch;
+const pauses = [];
+onPause(until => pauses.push(until));
+
+/** Stub fetch with a list of [status, headers] responses, served in order. */
+function respond(...responses) {
+  const calls = [];
+  global.fetch = async (url, opts = {}) => {
+    calls.push({ url, method: opts.method || 'GET' });
+    const [status, headers = {}] = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return new Response(status === 204 ? null : JSON.stringify({ status }), { status, headers });
+  };
+  return calls;
+}
+
+describe('githubApi retries', () => {
+  afterEach(() => {
+    global.fetch = realFetch;
+    pauses.length = 0;
+  });
+
+  it('retries idempotent calls on 502/503 and returns the eventual result', async () => {
+    const calls = respond([502], [503], [200]);
+    assert.deepEqual(await githubApi('/repos/acme/mono'), { status: 200 });
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry a plain POST on 502, unless marked idempotent', async () => {
+    let calls = respond([502], [200]);
+    await assert.rejects(() => githubApi('/repos/acme/mono/pulls', { method: 'POST' }), err => err.status === 502);
+    assert.equal(calls.length, 1);
+
+    calls = respond([502], [201]);
+    await githubApi('/repos/acme/mono/git/blobs', { method: 'POST', idempotent: true });
+    assert.equal(calls.length, 2);
+  });
+
+  it('retries any method on a secondary rate limit, honouring retry-after and pausing', async () => {
+    const calls = respond([403, { 'retry-after': '0' }], [201]);
+    await githubApi('/repos/acme/mono/pulls', { method: 'POST' });
+    assert.equal(calls.length, 2);
+
+    respond([429], [429], [429]);
+    await assert.rejects(() => githubApi('/repos/acme/mono'), err => err.status === 429);
+    assert.ok(pauses.length > 0);
+  });
+
+  it('gives up at once when the wait exceeds the per-retry cap', async () => {
+    const calls = respond([403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) }]);
+    await assert.rejects(() => githubApi('/repos/acme/mono'), err => err.status === 403);
+    assert.equal(calls.length, 1);
+  });
+
+  it('leaves plain 403/404 errors alone', async () => {
+    const calls = respond([404]);
+    await assert.rejects(() => githubApi('/repos/acme/mono'), err => err.status === 404);
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe('rate-limit budget', () => {
+  afterEach(() => {
+    global.fetch = realFetch;
+    pauses.length = 0;
+  });
+
+  it('reports the budget and pauses when it is nearly spent', async () => {
+    // Later than the pause left behind by the per-retry cap test
+    const reset = Math.floor(Date.now() / 1000) + 7200;
+    respond([200, { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4000', 'x-ratelimit-used': '1000', 'x-ratelimit-reset': String(reset) }]);
+    await githubApi('/repos/acme/mono');
+    assert.equal(rateLimitStatus().remaining, 4000);
+    assert.equal(rateLimitStatus().reset_at, new Date(reset * 1000).toISOString());
+    assert.equal(pauses.length, 0);
+
+    respond([200, { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': String(reset) }]);
+    await githubApi('/repos/acme/mono');
+    assert.deepEqual(pauses, [reset * 1000]);
+    assert.equal(rateLimitStatus().paused_until, new Date(reset * 1000).toISOString());
+  });
+
+  it('ignores the budget and rate limits of a routed repository\'s credentials', async () => {
+    const prefix = `${apiBaseUrl()}/repos/team/other`;
+    registerCredentials(prefix, { kind: 'token', getToken: async () => 'team-token', invalidate() {} });
+    const before = rateLimitStatus();
+    try {
+      const reset = Math.floor(Date.now() / 1000) + 9000;
+      respond([200, { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '1', 'x-ratelimit-reset': String(reset) }]);
+      await githubApi('/repos/team/other/pulls');
+      respond([429, { 'retry-after': '0' }], [200]);
+      await githubApi('/repos/team/other/pulls');
+    } finally {
+      registerCredentials(prefix, null);
+    }
+    assert.deepEqual(rateLimitStatus(), before);
+    assert.equal(pauses.length, 0);
+  });
+});
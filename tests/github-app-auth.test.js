@@ -0,0 +1,113 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PEM = privateKey.export({ type: 'pkcs1', format: 'pem' });
+
+/**
+ * Local stand-in for GitHub's installation token endpoint plus one API route
+ * that reports the token it was called with.
+ */
+function createFakeTokenServer() {
+  const state = { exchanges: 0, ttlMs: 60 * 60 * 1000, revoked: new Set(), lastJwt: null };
+
+  const server = http.createServer((req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const send = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'POST' && req.url === '/app/installations/42/access_tokens') {
+      const [header, payload, signature] = token.split('.');
+      const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'));
+      if (!valid) return send(401, { message: 'A JSON web token could not be decoded' });
+      state.lastJwt = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      state.exchanges++;
+      return send(201, {
+        token: `ghs_token${state.exchanges}`,
+        expires_at: new Date(Date.now() + state.ttlMs).toISOString(),
+      });
+    }
+    if (req.url === '/repos/acme/mono') {
+      if (state.revoked.has(token)) return send(401, { message: 'Bad credentials' });
+      return send(200, { token });
+    }
+    send(404, { message: 'Not Found' });
+  });
+
+  return { server, state };
+}
+
+describe('GitHub App authentication', () => {
+  const { server, state } = createFakeTokenServer();
+  let githubApi;
+  let createAppJwt;
+  let createTokenProvider;
+  let apiUrl;
+
+  before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+    process.env.GH_API_URL = apiUrl;
+    process.env.GH_APP_ID = '1234';
+    process.env.GH_APP_INSTALLATION_ID = '42';
+    process.env.GH_APP_PRIVATE_KEY = PEM.replace(/\n/g, '\\n');
+    delete process.env.GH_TOKEN;
+    ({ githubApi } = require('../src/github/api'));
+    ({ createAppJwt, createTokenProvider } = require('../src/github/credentials'));
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    state.ttlMs = 60 * 60 * 1000;
+  });
+
+  it('signs an RS256 JWT for the app, valid for under 10 minutes', () => {
+    const now = Date.now();
+    const [header, payload, signature] = createAppJwt({ appId: '1234', privateKey: PEM, now }).split('.');
+    assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'RS256', typ: 'JWT' });
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    assert.equal(claims.iss, '1234');
+    assert.ok(claims.iat <= Math.floor(now / 1000));
+    assert.ok(claims.exp - claims.iat <= 600);
+    assert.ok(crypto.verify('sha256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')));
+  });
+
+  it('exchanges once, caches, and shares a single in-flight exchange', async () => {
+    const provider = createTokenProvider({ appId: '1234', privateKey: PEM, installationId: '42' }, { apiUrl });
+    const before = state.exchanges;
+    const tokens = await Promise.all([provider.getToken(), provider.getToken(), provider.getToken()]);
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(await provider.getToken(), tokens[0]);
+    assert.equal(state.exchanges, before + 1);
+  });
+
+  it('refreshes a token that is about to expire', async () => {
+    state.ttlMs = 60 * 1000; // inside the default 5-minute refresh margin
+    const provider = createTokenProvider({ appId: '1234', privateKey: PEM, installationId: '42' }, { apiUrl });
+    const first = await provider.getToken();
+    const second = await provider.getToken();
+    assert.notEqual(first, second);
+  });
+
+  it('githubApi authenticates with the installation token and re-mints it after a 401', async () => {
+    const { token } = await githubApi('/repos/acme/mono');
+    assert.match(token, /^ghs_token\d+$/);
+    assert.equal(state.lastJwt.iss, '1234');
+
+    state.revoked.add(token);
+    const { token: fresh } = await githubApi('/repos/acme/mono');
+    assert.notEqual(fresh, token);
+  });
+
+  it('reports a refused exchange as a 502', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const provider = createTokenProvider(
+      { appId: '1234', privateKey: otherKey.export({ type: 'pkcs1', format: 'pem' }), installationId: '42' },
+      { apiUrl }
+    );
+    await assert.rejects(() => provider.getToken(), err => err.status === 502 && /token exchange failed \(401\)/.test(err.message));
+  });
+});
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the slice of the GitHub REST API this service uses.
+ * Installed by replacing global.fetch; every call is recorded in `calls`.
+ * Calls outside this repo go to whatever fetch was installed before, so
+ * several fakes (one per repo) can be stacked.
+ *
+ * Trees are stored flat: Map<path, { sha, mode }>.
+ */
+function createFakeGitHub({ owner = 'acme', repo = 'mono', apiUrl = 'https://api.github.com' } = {}) {
+  const prefix = `${apiUrl}/repos/${owner}/${repo}`;
+  const blobs = new Map();   // sha → Buffer
+  const trees = new Map();   // sha → Map<path, {sha, mode}>
+  const commits = new Map(); // sha → { tree, parents, message }
+  const refs = new Map();    // branch → commit sha
+  const tags = new Map();    // tag → commit sha
+  const pulls = [];
+  const comments = [];       // { number, body }
+  const checkRuns = new Map(); // commit sha → [{ name, status, conclusion }]
+  const calls = [];
+  let failOn = null;
+
+  const hash = (data) => crypto.createHash('sha1').update(data).digest('hex');
+
+  function putBlob(buf) {
+    const sha = hash(Buffer.concat([Buffer.from(`blob ${buf.length}\0`), buf]));
+    blobs.set(sha, buf);
+    return sha;
+  }
+
+  function putTree(entries) {
+    const sha = hash(JSON.stringify([...entries].sort()));
+    trees.set(sha, entries);
+    return sha;
+  }
+
+  function putCommit(tree, parents, message) {
+    const sha = hash(`${tree}:${parents.join(',')}:${message}:${commits.size}`);
+    commits.set(sha, { tree, parents, message });
+    return sha;
+  }
+
+  /** Seed a branch with a single commit holding the given { path: content } files. */
+  function seedBranch(branch, files = {}) {
+    const entries = new Map();
+    for (const [p, content] of Object.entries(files)) {
+      entries.set(p, { sha: putBlob(Buffer.from(content)), mode: '100644' });
+    }
+    refs.set(branch, putCommit(putTree(entries), [], `seed ${branch}`));
+  }
+
+  /** Return { path: Buffer } for the tree at a branch head. */
+  function branchFiles(branch) {
+    const commit = commits.get(refs.get(branch));
+    const out = {};
+    for (const [p, e] of trees.get(commit.tree)) out[p] = blobs.get(e.sha);
+    return out;
+  }
+
+  /** Every commit reachable from sha (itself included). */
+  function ancestors(sha) {
+    const seen = new Set();
+    const stack = [sha];
+    while (stack.length) {
+      const next = stack.pop();
+      if (!next || seen.has(next)) continue;
+      seen.add(next);
+      stack.push(...(commits.get(next) ? commits.get(next).parents : []));
+    }
+    return seen;
+  }
+
+  function json(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+  }
+
+  async function handle(method, route, body) {
+    let m;
+    if (method === 'GET' && (m = route.match(/^\/git\/ref\/heads\/(.+)$/))) {
+      const sha = refs.get(m[1]);
+      return sha ? json(200, { object: { sha } }) : json(404, { message: 'Not Found' });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/ref\/tags\/(.+)$/))) {
+      const sha = tags.get(m[1]);
+      return sha ? json(200, { object: { sha } }) : json(404, { message: 'Not Found' });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/matching-refs\/heads\/(.*)$/))) {
+      const matching = [...refs].filter(([branch]) => branch.startsWith(m[1]));
+      return json(200, matching.map(([branch, sha]) => ({ ref: `refs/heads/${branch}`, object: { sha } })));
+    }
+    if (method === 'POST' && route === '/git/refs' && body.ref.startsWith('refs/tags/')) {
+      const tag = body.ref.slice('refs/tags/'.length);
+      if (tags.has(tag)) return json(422, { message: 'Reference already exists' });
+      tags.set(tag, body.sha);
+      return json(201, { ref: body.ref, object: { sha: body.sha } });
+    }
+    if (method === 'DELETE' && (m = route.match(/^\/git\/refs\/heads\/(.+)$/))) {
+      if (!refs.delete(m[1])) return json(422, { message: 'Reference does not exist' });
+      return new Response(null, { status: 204 });
+    }
+    if (method === 'POST' && route === '/git/refs') {
+      const branch = body.ref.replace('refs/heads/', '');
+      if (refs.has(branch)) return json(422, { message: 'Reference already exists' });
+      refs.set(branch, body.sha);
+      return json(201, { ref: body.ref, object: { sha: body.sha } });
+    }
+    if (method === 'PATCH' && (m = route.match(/^\/git\/refs\/heads\/(.+)$/))) {
+      if (!refs.has(m[1])) return json(422, { message: 'Reference does not exist' });
+      refs.set(m[1], body.sha);
+      return json(200, { object: { sha: body.sha } });
+    }
+    if (method === 'POST' && route === '/git/blobs') {
+      const buf = Buffer.from(body.content, body.encoding === 'base64' ? 'base64' : 'utf8');
+      return json(201, { sha: putBlob(buf) });
+    }
+    if (method === 'POST' && route === '/git/trees') {
+      const entries = new Map(body.base_tree ? trees.get(body.base_tree) : []);
+      for (const e of body.tree) {
+        if (e.sha === null) entries.delete(e.path);
+        else entries.set(e.path, { sha: e.sha, mode: e.mode });
+      }
+      return json(201, { sha: putTree(entries) });
+    }
+    if (method === 'POST' && route === '/git/commits') {
+      return json(201, { sha: putCommit(body.tree, body.parents, body.message) });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/commits\/(\w+)$/))) {
+      const c = commits.get(m[1]);
+      return c ? json(200, { sha: m[1], tree: { sha: c.tree }, parents: c.parents.map(sha => ({ sha })), message: c.message })
+        : json(404, { message: 'Not Found' });
+    }
+    if (method === 'GET' && (m = route.match(/^\/git\/trees\/(\w+)/))) {
+      const t = trees.get(m[1]);
+      if (!t) return json(404, { message: 'Not Found' });
+      const tree = [...t].map(([p, e]) => ({ path: p, mode: e.mode, type: 'blob', sha: e.sha }));
+      return json(200, { sha: m[1], tree, truncated: false });
+    }
+    if (method === 'GET' && (m = route.match(/^\/compare\/(.+)\.\.\.(.+)$/))) {
+      const [base, head] = [refs.get(m[1]), refs.get(m[2])];
+      const reachable = ancestors(base);
+      const shared = head && [...ancestors(head)].find(sha => reachable.has(sha));
+      if (!shared) return json(404, { message: `No common ancestor between ${m[1]} and ${m[2]}.` });
+      const ahead = [...ancestors(head)].filter(sha => !reachable.has(sha));
+      return json(200, {
+        merge_base_commit: { sha: shared },
+        ahead_by: ahead.length,
+        commits: ahead.map(sha => ({ sha, commit: { message: commits.get(sha).message } })),
+      });
+    }
+    if (method === 'POST' && route === '/merges') {
+      const baseSha = refs.get(body.base);
+      const headSha = refs.get(body.head) || body.head;
+      if (!baseSha || !commits.has(headSha)) return json(404, { message: 'Not Found' });
+      const reachable = ancestors(baseSha);
+      if (reachable.has(headSha)) return new Response(null, { status: 204 });
+
+      // Path-level three-way merge: a path changed differently on both sides conflicts
+      const mergeBase = [...ancestors(headSha)].find(sha => reachable.has(sha));
+      const [original, ours, theirs] = [mergeBase, baseSha, headSha].map(sha => trees.get(commits.get(sha).tree));
+      const merged = new Map(ours);
+      for (const p of new Set([...original.keys(), ...theirs.keys()])) {
+        const [o, a, b] = [original, ours, theirs].map(t => t.get(p) && t.get(p).sha);
+        if (b === o) continue;
+        if (a !== o && a !== b) return json(409, { message: 'Merge conflict' });
+        if (b) merged.set(p, theirs.get(p));
+        else merged.delete(p);
+      }
+      const sha = putCommit(putTree(merged), [baseSha, headSha], body.commit_message);
+      refs.set(body.base, sha);
+      return json(201, { sha });
+    }
+    if (method === 'GET' && route.startsWith('/pulls?')) {
+      const q = new URLSearchParams(route.split('?')[1]);
+      const head = q.get('head') && q.get('head').split(':')[1];
+      return json(200, pulls.filter(p =>
+        (!head || p.head.ref === head) &&
+        (!q.get('base') || p.base.ref === q.get('base')) &&
+        (q.get('state') === 'all' || p.state === (q.get('state') || 'open'))
+      ));
+    }
+    if (method === 'POST' && route === '/pulls') {
+      const number = pulls.length + 1;
+      const pr = {
+        number, state: 'open', title: body.title, body: body.body,
+        head: { ref: body.head }, base: { ref: body.base },
+        html_url: `https://github.com/${owner}/${repo}/pull/${number}`, labels: [],
+      };
+      pulls.push(pr);
+      return json(201, pr);
+    }
+    if (method === 'PATCH' && (m = route.match(/^\/pulls\/(\d+)$/))) {
+      const pr = pulls.find(p => p.number === Number(m[1]));
+      if (!pr) return json(404, { message: 'Not Found' });
+      Object.assign(pr, body);
+      return json(200, pr);
+    }
+    if (method === 'POST' && (m = route.match(/^\/issues\/(\d+)\/comments$/))) {
+      comments.push({ number: Number(m[1]), body: body.body });
+      return json(201, {});
+    }
+    if (method === 'GET' && (m = route.match(/^\/issues\/(\d+)\/comments/))) {
+      return json(200, comments.filter(c => c.number === Number(m[1])));
+    }
+    if ((method === 'POST' || method === 'PUT') && (m = route.match(/^\/issues\/(\d+)\/labels$/))) {
+      const pr = pulls.find(p => p.number === Number(m[1]));
+      if (pr && method === 'PUT') pr.labels = [];
+      if (pr) pr.labels.push(...body.labels.map(name => ({ name })));
+      return json(200, pr ? pr.labels : []);
+    }
+    if (method === 'GET' && (m = route.match(/^\/commits\/(\w+)\/check-runs/))) {
+      const runs = checkRuns.get(m[1]) || [];
+      return json(200, { total_count: runs.length, check_runs: runs });
+    }
+    return json(404, { message: `fake-github: no route for ${method} ${route}` });
+  }
+
+  let previousFetch = null;
+
+  function install() {
+    previousFetch = global.fetch;
+    global.fetch = async (url, opts = {}) => {
+      if (!url.startsWith(`${prefix}/`)) return previousFetch(url, opts);
+      const method = opts.method || 'GET';
+      const route = url.slice(prefix.length);
+      const body = opts.body ? JSON.parse(opts.body) : undefined;
+      calls.push({ method, route, body, auth: opts.headers && opts.headers.Authorization });
+      if (failOn && failOn(method, route, body)) return json(500, { message: 'injected failure' });
+      return handle(method, route, body);
+    };
+  }
+
+  function uninstall() {
+    global.fetch = previousFetch;
+  }
+
+  return {
+    install, uninstall, seedBranch, branchFiles, refs, tags, commits, pulls, comments, checkRuns, calls,
+    failWhen(fn) { failOn = fn; },
+    reset() { calls.length = 0; failOn = null; },
+  };
+}
+
+module.exports = { createFakeGitHub };
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Write `files` ({ 'relative/path': string | Buffer }) into a fresh temp
+ * directory, creating parent directories as needed.
+ *
+ * @param {Object<string, string|Buffer>} files
+ * @returns {string} the directory
+ */
+function makeDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-test-'));
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), content);
+  }
+  return dir;
+}
+
+module.exports = { makeDir };
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseIgnoreFile, ignoringRule } = require('../src/util/ignore-rules');
+const { scanDir } = require('../src/github/read-dir-files');
+const { makeDir } = require('./helpers/make-dir');
+
+describe('ignore rules', () => {
+  const rules = parseIgnoreFile([
+    '# comment',
+    '',
+    '*.log',
+    '!keep.log',
+    'build/',
+    '/root-only.txt',
+    'docs/*.md',
+    '**/tmp/**',
+    'a/**/z',
+    'file[0-9].txt',
+    '\\#hash',
+  ].join('\n'), '.gitopsignore');
+  const ignored = (p, isDir = false) => Boolean(ignoringRule(rules, p, isDir));
+
+  it('matches unanchored patterns at any depth, last rule winning', () => {
+    assert.equal(ignored('x.log'), true);
+    assert.equal(ignored('deep/dir/x.log'), true);
+    assert.equal(ignored('deep/keep.log'), false);
+    assert.equal(ignoringRule(rules, 'x.log', false).source, '.gitopsignore:3');
+  });
+
+  it('applies directory-only and anchored patterns', () => {
+    assert.equal(ignored('build', true), true);
+    assert.equal(ignored('src/build', true), true);
+    assert.equal(ignored('build', false), false);
+    assert.equal(ignored('root-only.txt'), true);
+    assert.equal(ignored('sub/root-only.txt'), false);
+    assert.equal(ignored('docs/a.md'), true);
+    assert.equal(ignored('docs/sub/a.md'), false);
+  });
+
+  it('supports **, character classes and escapes', () => {
+    assert.equal(ignored('x/tmp/y/z.txt'), true);
+    assert.equal(ignored('a/z'), true);
+    assert.equal(ignored('a/b/c/z'), true);
+    assert.equal(ignored('file7.txt'), true);
+    assert.equal(ignored('filex.txt'), false);
+    assert.equal(ignored('#hash'), true);
+  });
+});
+
+describe('scanDir exclusions', () => {
+  it('honours nested .gitopsignore files and reports why each path was left out', () => {
+    const dir = makeDir({
+      '.gitopsignore': '__pycache__/\n*.log\n',
+      'app.py': 'print(1)\n',
+      '__pycache__/app.cpython-312.pyc': 'x',
+      'run.log': 'log',
+      'sub/.gitopsignore': '!debug.log\n*.tmp\n',
+      'sub/debug.log': 'keep',
+      'sub/x.tmp': 'tmp',
+    });
+    const { files, excluded } = scanDir(dir);
+
+    assert.deepEqual(files.map(f => f.path).sort(), ['.gitopsignore', 'app.py', 'sub/.gitopsignore', 'sub/debug.log']);
+    assert.deepEqual(excluded.sort((a, b) => a.path.localeCompare(b.path)), [
+      { path: '__pycache__/', reason: '.gitopsignore:1: __pycache__/' },
+      { path: 'run.log', reason: '.gitopsignore:2: *.log' },
+      { path: 'sub/x.tmp', reason: 'sub/.gitopsignore:2: *.tmp' },
+    ]);
+  });
+
+  it('layers project rules under the directory rules and applies include/exclude', () => {
+    const dir = makeDir({
+      '.gitopsignore': '!.env.example\n',
+      '.env': 'SECRET=1',
+      '.env.example': 'SECRET=',
+      'src/a.js': 'a',
+      'src/a.test.js': 't',
+      'README.md': 'r',
+    });
+    const rules = parseIgnoreFile('.env*\n', 'projects/_default/.gitopsignore');
+    const { files, excluded } = scanDir(dir, { rules, include: ['src/', '.env*'], exclude: ['*.test.js'] });
+
+    assert.deepEqual(files.map(f => f.path).sort(), ['.env.example', 'src/a.js']);
+    const reasons = Object.fromEntries(excluded.map(e => [e.path, e.reason]));
+    assert.equal(reasons['.env'], 'projects/_default/.gitopsignore:1: .env*');
+    assert.equal(reasons['src/a.test.js'], 'exclude: *.test.js');
+    assert.equal(reasons['README.md'], 'not matched by include');
+    assert.equal(reasons['.gitopsignore'], 'not matched by include');
+  });
+});
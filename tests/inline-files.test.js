@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-data-'));
+
+const { parseInlineFiles, stageInlineFiles, removeUpload } = require('../src/upload/receive-upload');
+const { readDirFiles } = require('../src/github/read-dir-files');
+
+describe('parseInlineFiles', () => {
+  it('decodes utf8 and base64 content and defaults the mode', () => {
+    const files = parseInlineFiles([
+      { path: 'src/a.js', content: 'A' },
+      { path: './bin/run.sh', content: '#!/bin/sh\n', mode: '100755' },
+      { path: 'logo.png', content: Buffer.from([0, 1, 2]).toString('base64'), encoding: 'base64' },
+    ]);
+    assert.deepEqual(files.map(f => [f.path, f.mode]), [
+      ['src/a.js', '100644'], ['bin/run.sh', '100755'], ['logo.png', '100644'],
+    ]);
+    assert.ok(files[2].content.equals(Buffer.from([0, 1, 2])));
+  });
+
+  it('rejects paths that escape the directory, .git and duplicates', () => {
+    const bad = [
+      [{ path: '../evil', content: 'x' }],
+      [{ path: '/etc/passwd', content: 'x' }],
+      [{ path: 'a/../../evil', content: 'x' }],
+      [{ path: '.git/config', content: 'x' }],
+      [{ path: 'a.js', content: 'x' }, { path: './a.js', content: 'y' }],
+      [{ path: 'a', content: 'x' }, { path: 'a/b', content: 'y' }],
+    ];
+    for (const files of bad) {
+      assert.throws(() => parseInlineFiles(files), err => err.status === 400, JSON.stringify(files));
+    }
+  });
+
+  it('rejects malformed entries', () => {
+    assert.throws(() => parseInlineFiles([]), /non-empty array/);
+    assert.throws(() => parseInlineFiles([{ path: 'a', content: 1 }]), /content/);
+    assert.throws(() => parseInlineFiles([{ path: 'a', content: 'x', encoding: 'hex' }]), /encoding/);
+    assert.throws(() => parseInlineFiles([{ path: 'a', content: '***', encoding: 'base64' }]), /base64/);
+    assert.throws(() => parseInlineFiles([{ path: 'a', content: 'x', mode: '120000' }]), /mode/);
+  });
+});
+
+describe('stageInlineFiles', () => {
+  it('writes files that read back in the readDirFiles shape', () => {
+    const staged = stageInlineFiles(parseInlineFiles([
+      { path: 'src/a.js', content: 'A' },
+      { path: 'run.sh', content: 'echo\n', mode: '100755' },
+      { path: 'blob.bin', content: Buffer.from([0, 255]).toString('base64'), encoding: 'base64' },
+    ]));
+    assert.equal(staged.files, 3);
+
+    const files = readDirFiles(staged.dir, { execMode: true }).sort((a, b) => a.path.localeCompare(b.path));
+    assert.deepEqual(files, [
+      { path: 'blob.bin', content: Buffer.from([0, 255]), binary: true, mode: '100644' },
+      { path: 'run.sh', content: 'echo\n', mode: '100755' },
+      { path: 'src/a.js', content: 'A', mode: '100644' },
+    ]);
+
+    removeUpload(staged.dir);
+    assert.equal(fs.existsSync(staged.dir), false);
+  });
+});
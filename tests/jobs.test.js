@@ -0,0 +1,283 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-data-'));
+
+const { registerHandler, submit, jobDone } = require('../src/queue/push-queue');
+const { getJob, listJobs } = require('../src/queue/job-store');
+const { parseIdempotencyKey, requestFingerprint, findIdempotentJob } = require('../src/queue/idempotency');
+
+registerHandler('fail', async ({ message, status }) => { throw Object.assign(new Error(message), status ? { status } : {}); });
+registerHandler('echo', async payload => payload);
+
+/** Re-require the queue and job store with a fresh module cache, as a restarted process would. */
+function reload() {
+  for (const mod of ['../src/queue/push-queue', '../src/queue/job-store', '../src/store/jsonl-store']) {
+    delete require.cache[require.resolve(mod)];
+  }
+  return { ...require('../src/queue/push-queue'), ...require('../src/queue/job-store') };
+}
+
+describe('job store', () => {
+  it('tracks a successful push from queued to succeeded', async () => {
+    const { job, done } = submit('echo', { pr_url: 'https://github.com/acme/mono/pull/1' }, { project: 'proj-a' });
+    assert.equal(job.status, 'queued');
+    await done;
+
+    const stored = getJob(job.id);
+    assert.equal(stored.status, 'succeeded');
+    assert.equal(stored.result.pr_url, 'https://github.com/acme/mono/pull/1');
+    assert.ok(stored.started_at && stored.finished_at);
+  });
+
+  it('records the error of a failed push', async () => {
+    const { job, done } = submit('fail', { message: 'GitHub API 422: nope' }, { project: 'proj-b' });
+    await assert.rejects(done, /422/);
+    assert.equal(getJob(job.id).status, 'failed');
+    assert.equal(getJob(job.id).error, 'GitHub API 422: nope');
+  });
+
+  it('filters the job list', () => {
+    assert.deepEqual(listJobs({ project: 'proj-b' }).map(j => j.status), ['failed']);
+    assert.equal(listJobs({ status: 'succeeded' }).length, 1);
+    assert.equal(listJobs({ limit: 1 }).length, 1);
+  });
+
+  it('survives a restart', () => {
+    const ids = listJobs().map(j => j.id);
+    const reloaded = reload();
+    assert.deepEqual(reloaded.listJobs().map(j => j.id), ids);
+    assert.equal(reloaded.listJobs({ project: 'proj-b' })[0].error, 'GitHub API 422: nope');
+  });
+});
+
+describe('idempotency keys', () => {
+  const body = { project: 'proj-i', dir: '/mnt/incoming/x', labels: ['a'] };
+  const fingerprint = requestFingerprint(body);
+
+  it('fingerprints requests independently of key order', () => {
+    assert.equal(requestFingerprint({ labels: ['a'], dir: '/mnt/incoming/x', project: 'proj-i' }), fingerprint);
+    assert.notEqual(requestFingerprint({ ...body, labels: ['b'] }), fingerprint);
+    assert.notEqual(requestFingerprint({}, 'sha-1'), requestFingerprint({}, 'sha-2'));
+  });
+
+  it('validates the header', () => {
+    assert.equal(parseIdempotencyKey(undefined), null);
+    assert.equal(parseIdempotencyKey('0f8e-retry'), '0f8e-retry');
+    assert.throws(() => parseIdempotencyKey(''), err => err.status === 400);
+    assert.throws(() => parseIdempotencyKey('has space'), err => err.status === 400);
+  });
+
+  it('finds the job a key created for the same client and request', async () => {
+    const meta = { project: 'proj-i', source: 'agent-a', idempotency_key: 'k1', request_fingerprint: fingerprint };
+    const { job, done } = submit('echo', { pr_number: 7 }, meta);
+    assert.equal(jobDone(job.id), done);
+    await done;
+    await new Promise(r => setImmediate(r));
+    assert.equal(jobDone(job.id), null);
+
+    assert.equal(findIdempotentJob({ client: 'agent-a', key: 'k1', fingerprint }).id, job.id);
+    assert.equal(findIdempotentJob({ client: 'agent-b', key: 'k1', fingerprint }), null, 'keys are per client');
+    assert.throws(
+      () => findIdempotentJob({ client: 'agent-a', key: 'k1', fingerprint: requestFingerprint({}) }),
+      err => err.status === 409 && err.message.includes(job.id)
+    );
+    assert.equal(findIdempotentJob({ client: 'agent-a', key: 'k1', fingerprint, now: Date.now() + 25 * 3600 * 1000 }), null, 'outside the window');
+  });
+
+  it('records the status of a failed job', async () => {
+    const { job, done } = submit('fail', { message: 'locked', status: 423 }, {});
+    await assert.rejects(done);
+    assert.equal(getJob(job.id).error_status, 423);
+  });
+});
+
+describe('crash-safe queue', () => {
+  it('replays queued and in-flight jobs after a restart', async () => {
+    let q = reload();
+    q.registerHandler('hang', () => new Promise(() => {}));
+    // Fill every slot with a task that never settles, then queue one more behind them
+    const inFlight = Array.from({ length: 5 }, () => q.submit('hang', {}, {}).job);
+    const queued = q.submit('hang', {}, {}).job;
+    await new Promise(r => setImmediate(r));
+    assert.equal(q.getJob(inFlight[0].id).status, 'running');
+    assert.equal(q.getJob(queued.id).status, 'queued');
+
+    // "Restart": the new process handles 'hang' jobs properly
+    q = reload();
+    const seen = [];
+    q.registerHandler('hang', async () => { seen.push('ran'); return { ok: true }; });
+    assert.equal(q.resume(), 6);
+    await new Promise(r => setTimeout(r, 20));
+
+    assert.equal(seen.length, 6);
+    assert.equal(q.getJob(queued.id).status, 'succeeded');
+    assert.equal(q.getJob(inFlight[0].id).attempts, 2);
+  });
+
+  it('shutdown waits for active jobs and refuses new work', async () => {
+    const q = reload();
+    let release;
+    q.registerHandler('slow', () => new Promise(r => { release = r; }));
+    const { job } = q.submit('slow', {}, {});
+    await new Promise(r => setImmediate(r));
+
+    const stopped = q.shutdown(1000);
+    assert.throws(() => q.submit('slow', {}, {}), err => err.status === 503);
+    release('done');
+    assert.deepEqual(await stopped, { active: 0, queued: 0 });
+    assert.equal(q.getJob(job.id).status, 'succeeded');
+  });
+
+  it('shutdown leaves work it could not finish on disk', async () => {
+    let q = reload();
+    q.registerHandler('hang', () => new Promise(() => {}));
+    const { job } = q.submit('hang', {}, {});
+    await new Promise(r => setImmediate(r));
+    assert.deepEqual(await q.shutdown(10), { active: 1, queued: 0 });
+
+    q = reload();
+    assert.ok(q.pendingJobs().some(j => j.id === job.id));
+  });
+
+  it('lets the handler clean up a job it gives up on', async () => {
+    process.env.JOB_MAX_ATTEMPTS = '1';
+    try {
+      let q = reload();
+      q.registerHandler('hang', () => new Promise(() => {}));
+      const { job } = q.submit('hang', { upload: true, dir: '/uploads/abc' }, {});
+      await new Promise(r => setImmediate(r));
+
+      q = reload();
+      const cleaned = new Map();
+      q.registerHandler('hang', async () => ({ ok: true }), { onAbandon: (payload, j) => cleaned.set(j.id, payload.dir) });
+      q.resume();
+      assert.equal(q.getJob(job.id).status, 'failed');
+      assert.match(q.getJob(job.id).error, /Abandoned after 1/);
+      assert.equal(cleaned.get(job.id), '/uploads/abc');
+    } finally {
+      delete process.env.JOB_MAX_ATTEMPTS;
+    }
+  });
+});
+
+describe('fair scheduling', () => {
+  const env = { PUSH_QUEUE_CONCURRENCY: '1', PUSH_QUEUE_PROJECT_MAX_QUEUED: '3', PUSH_QUEUE_CLIENT_MAX_QUEUED: '4' };
+  let q;
+
+  beforeEach(() => {
+    Object.assign(process.env, env);
+    process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-projects-'));
+    fs.mkdirSync(path.join(process.env.PROJECTS_DIR, 'proj-w'));
+    fs.writeFileSync(path.join(process.env.PROJECTS_DIR, 'proj-w', 'project.json'), JSON.stringify({ queue: { weight: 2 } }));
+    q = reload();
+  });
+  afterEach(() => {
+    for (const key of [...Object.keys(env), 'PROJECTS_DIR']) delete process.env[key];
+  });
+
+  /** Hold the only slot, queue `tasks` ([label, opts]), release, and return the labels in start order. */
+  async function startOrder(tasks) {
+    let release;
+    const gate = q.enqueue(() => new Promise(r => { release = r; }));
+    const order = [];
+    const done = tasks.map(([label, opts]) => q.enqueue(async () => { order.push(label); }, opts));
+    release();
+    await Promise.all([gate, ...done]);
+    return order;
+  }
+
+  it('takes projects in turn, then the clients within a project', async () => {
+    const order = await startOrder([
+      ['a1', { project: 'proj-a', client: 'x' }],
+      ['a2', { project: 'proj-a', client: 'x' }],
+      ['a3', { project: 'proj-a', client: 'y' }],
+      ['b1', { project: 'proj-b', client: 'x' }],
+    ]);
+    assert.deepEqual(order, ['a1', 'b1', 'a3', 'a2']);
+  });
+
+  it('gives weighted projects a larger share', async () => {
+    const tasks = ['w1', 'w2', 'w3'].map(l => [l, { project: 'proj-w' }]);
+    tasks.push(...['b1', 'b2', 'b3'].map(l => [l, { project: 'proj-b' }]));
+    assert.deepEqual(await startOrder(tasks), ['w1', 'b1', 'w2', 'w3', 'b2', 'b3']);
+    assert.equal(q.queueConfig('proj-w').weight, 2);
+  });
+
+  it('runs tasks with the same lock one at a time', async () => {
+    delete require.cache[require.resolve('../src/queue/push-queue')];
+    process.env.PUSH_QUEUE_CONCURRENCY = '3';
+    q = require('../src/queue/push-queue');
+
+    const running = [];
+    const releases = {};
+    const task = label => () => new Promise(r => { running.push(label); releases[label] = r; });
+    const first = q.enqueue(task('one'), { project: 'proj-a', lock: 'feat/proj-a/x' });
+    const second = q.enqueue(task('two'), { project: 'proj-a', lock: 'feat/proj-a/x' });
+    const other = q.enqueue(task('other'), { project: 'proj-a', lock: 'feat/proj-a/y' });
+    await new Promise(r => setImmediate(r));
+    assert.deepEqual(running, ['one', 'other']);
+
+    releases.one();
+    await first;
+    await new Promise(r => setImmediate(r));
+    assert.deepEqual(running, ['one', 'other', 'two']);
+    releases.two();
+    releases.other();
+    await Promise.all([second, other]);
+  });
+
+  it('runs a project-wide lock alone, in queue order with branch locks', async () => {
+    delete require.cache[require.resolve('../src/queue/push-queue')];
+    process.env.PUSH_QUEUE_CONCURRENCY = '3';
+    q = require('../src/queue/push-queue');
+
+    const running = [];
+    const releases = {};
+    const task = label => () => new Promise(r => { running.push(label); releases[label] = r; });
+    const tick = () => new Promise(r => setImmediate(r));
+    const push1 = q.enqueue(task('push-x'), { project: 'proj-a', lock: 'feat/proj-a/x' });
+    const sync = q.enqueue(task('sync'), { project: 'proj-a', lock: 'feat/proj-a/' });
+    const push2 = q.enqueue(task('push-y'), { project: 'proj-a', lock: 'feat/proj-a/y' });
+    const prefixed = q.enqueue(task('push-xy'), { project: 'proj-b', lock: 'feat/proj-b/xy' });
+    const sibling = q.enqueue(task('push-x-b'), { project: 'proj-b', lock: 'feat/proj-b/x' });
+    await tick();
+    assert.deepEqual(running, ['push-x', 'push-xy', 'push-x-b'], 'sync waits for push-x, push-y waits for the sync');
+
+    releases['push-x']();
+    await push1;
+    await tick();
+    assert.equal(running.at(-1), 'sync');
+    releases.sync();
+    await sync;
+    await tick();
+    assert.equal(running.at(-1), 'push-y');
+    releases['push-y']();
+    releases['push-xy']();
+    releases['push-x-b']();
+    await Promise.all([push2, prefixed, sibling]);
+  });
+
+  it('enforces per-project and per-client quotas and reports per-project stats', async () => {
+    let release;
+    const gate = q.enqueue(() => new Promise(r => { release = r; }));
+    const done = [];
+    for (let i = 0; i < 3; i++) done.push(q.enqueue(async () => {}, { project: 'proj-a', client: 'x' }));
+    await assert.rejects(q.enqueue(async () => {}, { project: 'proj-a', client: 'y' }), err => err.status === 429 && /proj-a/.test(err.message));
+    done.push(q.enqueue(async () => {}, { project: 'proj-b', client: 'x' }));
+    await assert.rejects(q.enqueue(async () => {}, { project: 'proj-c', client: 'x' }), err => err.status === 429 && /Client "x"/.test(err.message));
+
+    assert.deepEqual(q.stats().projects, {
+      '-': { active: 1, queued: 0, weight: 1 },
+      'proj-a': { active: 0, queued: 3, weight: 1 },
+      'proj-b': { active: 0, queued: 1, weight: 1 },
+    });
+    release();
+    await Promise.all([gate, ...done]);
+    await new Promise(r => setImmediate(r)); // let the last slot free up
+    assert.deepEqual(q.stats().projects, {});
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GH_TOKEN = 'default-token';
+process.env.GH_OWNER = 'acme';
+process.env.GH_REPO = 'mono';
+process.env.TEAM_TOKEN = 'team-token';
+process.env.PROJECTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-projects-'));
+
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { makeDir } = require('./helpers/make-dir');
+const { loadProjectConfig, resolveRepo } = require('../src/projects/registry');
+const { createFeatBranch } = require('../src/github/create-feat-branch');
+
+function writeProjectFile(project, rel, content) {
+  const file = path.join(process.env.PROJECTS_DIR, project, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+writeProjectFile('_default', 'workflows/ci.yml', 'name: CI\n');
+writeProjectFile('_default', 'project.json', { repo: { credentials: { token_env: 'TEAM_TOKEN' } }, labels: ['x'] });
+writeProjectFile('team-a', 'project.json', { repo: { owner: 'team', name: 'other' } });
+writeProjectFile('ghe', 'project.json', {
+  repo: { owner: 'corp', name: 'svc', api_url: 'https://ghe.example.com/api/v3/', credentials: { token_env: 'TEAM_TOKEN' } },
+});
+writeProjectFile('broken', 'project.json', { repo: { owner: 'team' } });
+writeProjectFile('reviewed', 'project.json', { workflow_protection: 'review' });
+
+describe('project registry', () => {
+  it('merges project.json over _default/project.json', () => {
+    assert.deepEqual(loadProjectConfig('team-a'), {
+      repo: { owner: 'team', name: 'other', credentials: { token_env: 'TEAM_TOKEN' } },
+      labels: ['x'],
+    });
+  });
+
+  it('routes projects without a repository of their own to GH_OWNER/GH_REPO', () => {
+    assert.deepEqual(resolveRepo(), {
+      owner: 'acme', name: 'mono', full_name: 'acme/mono', api_url: 'https://api.github.com', path: '/repos/acme/mono',
+    });
+    // _default only sets credentials, which then apply to the default repo
+    assert.equal(resolveRepo('no-config').path, 'https://api.github.com/repos/acme/mono');
+  });
+
+  it('resolves routed and GitHub Enterprise repos to absolute API URLs', () => {
+    assert.equal(resolveRepo('team-a').path, 'https://api.github.com/repos/team/other');
+    assert.equal(resolveRepo('ghe').path, 'https://ghe.example.com/api/v3/repos/corp/svc');
+    assert.equal(resolveRepo('ghe').full_name, 'corp/svc');
+  });
+
+  it('rejects incomplete repo config', () => {
+    assert.throws(() => resolveRepo('broken'), /valid "owner" and "name"/);
+  });
+});
+
+describe('createFeatBranch with a routed project', () => {
+  const home = createFakeGitHub();
+  const team = createFakeGitHub({ owner: 'team', repo: 'other' });
+
+  before(() => {
+    home.install();
+    team.install();
+  });
+  after(() => {
+    team.uninstall();
+    home.uninstall();
+  });
+
+  it('bootstraps, pushes and opens the PR in the project repo with its credentials', async () => {
+    const dir = makeDir({ 'app.js': 'console.log(1);\n' });
+
+    const result = await createFeatBranch({ project: 'team-a', dir, feat_name: 'routed' });
+
+    assert.equal(result.repo, 'team/other');
+    assert.ok(team.refs.has('team-a-master'));
+    assert.ok(team.refs.has('team-a-dev'));
+    assert.equal(team.branchFiles('feat/team-a/routed')['app.js'].toString(), 'console.log(1);\n');
+    assert.equal(home.calls.length, 0, 'default repo untouched');
+    assert.ok(team.calls.every(c => c.auth === 'Bearer team-token'));
+
+    const prLookup = team.calls.find(c => c.method === 'GET' && c.route.startsWith('/pulls?'));
+    assert.match(decodeURIComponent(prLookup.route), /head=team:feat\/team-a\/routed/);
+  });
+});
+
+describe('workflow_protection: review', () => {
+  const home = createFakeGitHub();
+
+  before(() => home.install());
+  after(() => home.uninstall());
+
+  it('pushes workflow changes but labels the PR human-review-required, again on re-push', async () => {
+    const dir = makeDir({ '.github/workflows/ci.yml': 'name: CI\non: push\n' });
+
+    const result = await createFeatBranch({ project: 'reviewed', dir, feat_name: 'ci' });
+    assert.deepEqual(result.protected_paths, ['.github/workflows/ci.yml']);
+    const pr = home.pulls.find(p => p.number === result.pr_number);
+    assert.ok(pr.labels.some(l => l.name === 'human-review-required'));
+    assert.match(pr.body, /human review required/);
+
+    pr.labels = [];
+    fs.writeFileSync(path.join(dir, '.github/workflows/ci.yml'), 'name: CI\non: [push]\n');
+    await createFeatBranch({ project: 'reviewed', dir, feat_name: 'ci' });
+    assert.deepEqual(pr.labels.map(l => l.name), ['human-review-required']);
+  });
+
+  it('labels the PR before moving the branch, and again on a no-op retry', async () => {
+    const dir = makeDir({ 'app.js': '1' });
+    const first = await createFeatBranch({ project: 'reviewed', dir, feat_name: 'retry' });
+    assert.deepEqual(first.protected_paths, []);
+
+    fs.mkdirSync(path.join(dir, '.github/workflows'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.github/workflows/ci.yml'), 'name: CI\non: pull_request\n');
+    home.failWhen((method, route) => method === 'POST' && route.endsWith('/labels'));
+    await assert.rejects(() => createFeatBranch({ project: 'reviewed', dir, feat_name: 'retry' }), /injected failure/);
+    assert.equal(home.refs.get('feat/reviewed/retry'), first.commit_sha, 'branch not moved without the label');
+
+    // Say the ref moved anyway (e.g. the label call failed after the push): the retry changes nothing but still labels
+    home.reset();
+    const pushed = await createFeatBranch({ project: 'reviewed', dir, feat_name: 'retry' });
+    const pr = home.pulls.find(p => p.number === pushed.pr_number);
+    pr.labels = [];
+    const retry = await createFeatBranch({ project: 'reviewed', dir, feat_name: 'retry' });
+    assert.equal(retry.changed, false);
+    assert.deepEqual(retry.protected_paths, ['.github/workflows/ci.yml']);
+    assert.deepEqual(pr.labels.map(l => l.name), ['human-review-required']);
+  });
+
+  it('opens the missing PR with the review label when a retry finds the branch already pushed', async () => {
+    const dir = makeDir({ '.github/workflows/ci.yml': 'name: CI\non: workflow_dispatch\n' });
+    home.failWhen((method, route) => method === 'POST' && route === '/pulls');
+    await assert.rejects(() => createFeatBranch({ project: 'reviewed', dir, feat_name: 'lost-pr' }), /injected failure/);
+    home.reset();
+
+    const retry = await createFeatBranch({ project: 'reviewed', dir, feat_name: 'lost-pr' });
+    assert.equal(retry.changed, false);
+    const pr = home.pulls.find(p => p.number === retry.pr_number);
+    assert.ok(pr.labels.some(l => l.name === 'human-review-required'));
+    assert.match(pr.body, /human review required/);
+  });
+});
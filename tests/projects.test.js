@@ -0,0 +1,238 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GH_TOKEN = 'test-token';
+process.env.GH_OWNER = 'acme';
+process.env.GH_REPO = 'mono';
+process.env.GH_WEBHOOK_SECRET = 'gh-webhook-secret';
+
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { makeDir } = require('./helpers/make-dir');
+const { ensureProject, getBootstrapFiles } = require('../src/github/ensure-project');
+const { listProjects, getProject, promoteProject, tagRelease, archiveProject } = require('../src/github/projects');
+const { createFeatBranch } = require('../src/github/create-feat-branch');
+const { handleGitHubEvent } = require('../src/webhooks/github-receiver');
+
+describe('project management', () => {
+  let gh;
+
+  beforeEach(async () => {
+    gh = createFakeGitHub();
+    gh.install();
+    await ensureProject('proj-a');
+    await ensureProject('proj-b');
+    gh.seedBranch('main', { 'README.md': 'root' });
+    gh.seedBranch('feat/proj-a/login', { 'login.js': 'x' });
+    gh.pulls.push({
+      number: 1, state: 'open', title: 'Login', head: { ref: 'feat/proj-a/login' }, base: { ref: 'proj-a-dev' },
+      html_url: 'https://github.com/acme/mono/pull/1',
+    });
+  });
+  afterEach(() => gh.uninstall());
+
+  it('lists projects by their -master branches', async () => {
+    const projects = await listProjects();
+    assert.deepEqual(projects.map(p => p.project), ['proj-a', 'proj-b']);
+    assert.equal(projects[0].master_sha, gh.refs.get('proj-a-master'));
+    assert.equal(projects[0].dev_sha, gh.refs.get('proj-a-dev'));
+    assert.equal(projects[0].repo, 'acme/mono');
+  });
+
+  it('reports branches, workflow versions and open feat PRs', async () => {
+    const detail = await getProject('proj-a');
+    assert.equal(detail.branches.master.sha, gh.refs.get('proj-a-master'));
+    assert.deepEqual(detail.open_pull_requests.map(p => p.number), [1]);
+
+    const workflows = getBootstrapFiles('proj-a').filter(f => f.path.startsWith('.github/workflows/'));
+    assert.equal(detail.workflows.length, workflows.length);
+    assert.ok(detail.workflows.every(w => w.current));
+
+    await assert.rejects(() => getProject('nope'), err => err.status === 404);
+  });
+
+  it('reports bootstrap-managed files on the dev branch that drifted from the templates', async () => {
+    assert.deepEqual(await getProject('proj-a').then(d => d.dev_drift), { in_sync: true, files: [] });
+
+    const files = Object.fromEntries(getBootstrapFiles('proj-a').map(f => [f.path, f.content]));
+    delete files['.github/scripts/review.js'];
+    gh.seedBranch('proj-a-dev', { ...files, '.github/workflows/ci.yml': 'edited', '.github/workflows/extra.yml': 'x' });
+
+    const { dev_drift: drift } = await getProject('proj-a');
+    assert.equal(drift.in_sync, false);
+    assert.deepEqual(drift.files.map(f => [f.path, f.status]), [
+      ['.github/scripts/review.js', 'missing'],
+      ['.github/workflows/ci.yml', 'modified'],
+      ['.github/workflows/extra.yml', 'unexpected'],
+    ]);
+  });
+
+  it('bootstraps workflows that only match the project\'s own feat branches', () => {
+    const ci = getBootstrapFiles('proj-a').find(f => f.path === '.github/workflows/ci.yml');
+    assert.match(ci.content, /'feat\/proj-a\/'/);
+    assert.doesNotMatch(ci.content, /__PROJECT__/);
+  });
+
+  it('re-bootstraps outdated templates in one commit and skips current ones', async () => {
+    gh.reset();
+    await ensureProject('proj-a');
+    assert.equal(gh.calls.filter(c => c.method !== 'GET').length, 0);
+
+    const parent = gh.refs.get('proj-a-master');
+    const templates = getBootstrapFiles('proj-a');
+    gh.seedBranch('proj-a-master', { ...Object.fromEntries(templates.map(f => [f.path, f.content])), '.github/workflows/ci.yml': 'old' });
+    gh.reset();
+    await ensureProject('proj-a');
+
+    const blobs = gh.calls.filter(c => c.route === '/git/blobs');
+    assert.deepEqual(blobs.map(c => c.body.content), [templates.find(f => f.path === '.github/workflows/ci.yml').content]);
+    assert.equal(gh.calls.filter(c => c.route === '/git/commits' && c.method === 'POST').length, 1);
+    assert.equal(gh.calls.filter(c => c.route.startsWith('/contents/')).length, 0);
+    assert.notEqual(gh.refs.get('proj-a-master'), parent);
+    assert.equal(gh.branchFiles('proj-a-master')['.github/workflows/ci.yml'].toString(), blobs[0].body.content);
+  });
+
+  it('refuses to archive with open PRs unless forced', async () => {
+    await assert.rejects(() => archiveProject('proj-a'), err => err.status === 409);
+    assert.ok(gh.refs.has('proj-a-master'));
+    assert.equal(gh.tags.size, 0);
+  });
+
+  it('tags then deletes every branch of an archived project', async () => {
+    const heads = {
+      master: gh.refs.get('proj-a-master'),
+      dev: gh.refs.get('proj-a-dev'),
+      feat: gh.refs.get('feat/proj-a/login'),
+    };
+    const result = await archiveProject('proj-a', { force: true });
+
+    assert.deepEqual(result.deleted_branches, ['feat/proj-a/login', 'proj-a-dev', 'proj-a-master']);
+    assert.deepEqual(result.closed_pull_requests, [1]);
+    assert.equal(gh.pulls[0].state, 'closed');
+    for (const branch of result.deleted_branches) assert.equal(gh.refs.has(branch), false);
+
+    const tagged = Object.fromEntries([...gh.tags].map(([tag, sha]) => [tag.split('/').slice(3).join('/'), sha]));
+    assert.deepEqual(tagged, { 'feat/proj-a/login': heads.feat, 'proj-a-dev': heads.dev, 'proj-a-master': heads.master });
+    assert.ok([...gh.tags.keys()].every(t => t.startsWith('archive/proj-a/')));
+
+    assert.deepEqual((await listProjects()).map(p => p.project), ['proj-b']);
+  });
+
+  it('archives feat branches that have no open PR', async () => {
+    gh.pulls[0].state = 'closed';
+    gh.seedBranch('feat/proj-a/orphan', { 'orphan.js': 'x' });
+    gh.seedBranch('feat/proj-b/other', { 'other.js': 'x' });
+    const orphan = gh.refs.get('feat/proj-a/orphan');
+
+    const result = await archiveProject('proj-a');
+
+    assert.deepEqual(result.deleted_branches, ['feat/proj-a/login', 'feat/proj-a/orphan', 'proj-a-dev', 'proj-a-master']);
+    assert.deepEqual(result.closed_pull_requests, []);
+    assert.ok(result.tags.some(t => t.tag.endsWith('/feat/proj-a/orphan') && t.sha === orphan));
+    assert.ok(gh.refs.has('feat/proj-b/other'));
+  });
+});
+
+describe('promoteProject', () => {
+  let gh;
+
+  /** Push a feat branch through the service, then merge its PR into dev (fast-forward). */
+  async function mergeFeat(feat_name, file) {
+    const dir = makeDir({ [file]: feat_name });
+    const result = await createFeatBranch({ project: 'proj-a', dir, feat_name, source: 'agent-a', description: `Add ${file}` });
+    gh.refs.set('proj-a-dev', result.commit_sha);
+    Object.assign(gh.pulls.find(p => p.number === result.pr_number), {
+      state: 'closed', merged_at: new Date().toISOString(), merge_commit_sha: result.commit_sha,
+    });
+    return result;
+  }
+
+  beforeEach(async () => {
+    gh = createFakeGitHub();
+    gh.install();
+    await ensureProject('proj-a');
+  });
+  afterEach(() => gh.uninstall());
+
+  /** Merge the release PR into master with a merge commit, as GitHub would. */
+  function mergeRelease(number) {
+    const pr = gh.pulls.find(p => p.number === number);
+    const mergeSha = gh.refs.get('proj-a-dev');
+    gh.refs.set('proj-a-master', mergeSha);
+    return Object.assign(pr, { state: 'closed', merged: true, merged_at: new Date().toISOString(), merge_commit_sha: mergeSha });
+  }
+
+  it('refuses when dev has nothing master lacks', async () => {
+    await assert.rejects(() => promoteProject('proj-a'), err => err.status === 409 && /Nothing to promote/.test(err.message));
+    await assert.rejects(() => promoteProject('proj-a', { version: 'v1' }), err => err.status === 400);
+  });
+
+  it('refuses a version while nothing would create its tag', async () => {
+    await mergeFeat('login', 'login.js');
+    delete process.env.GH_WEBHOOK_SECRET;
+    try {
+      await assert.rejects(() => promoteProject('proj-a', { version: '1.0.0' }), err => err.status === 400 && /GH_WEBHOOK_SECRET/.test(err.message));
+    } finally {
+      process.env.GH_WEBHOOK_SECRET = 'gh-webhook-secret';
+    }
+  });
+
+  it('opens a release PR with a changelog and names the tag without creating it', async () => {
+    const login = await mergeFeat('login', 'login.js');
+    const search = await mergeFeat('search', 'search.js');
+
+    const result = await promoteProject('proj-a', { version: '1.2.0' });
+    assert.equal(result.created, true);
+    assert.equal(result.ahead_by, 2);
+    assert.deepEqual(result.changelog.map(c => [c.number, c.feat_id, c.source]), [
+      [login.pr_number, 'login', 'agent-a'],
+      [search.pr_number, 'search', 'agent-a'],
+    ]);
+    assert.deepEqual(result.tag, { name: 'proj-a/v1.2.0', sha: null });
+    assert.equal(gh.tags.size, 0);
+
+    const pr = gh.pulls.find(p => p.number === result.pr_number);
+    assert.deepEqual([pr.head.ref, pr.base.ref, pr.title], ['proj-a-dev', 'proj-a-master', 'release(proj-a): v1.2.0']);
+    assert.match(pr.body, /- Add login\.js \(#\d+\) — feat `login`, source agent-a/);
+    assert.match(pr.body, /^\*\*Tag on merge:\*\* `proj-a\/v1\.2\.0`$/m);
+  });
+
+  it('tags only the version the release PR carries when it is merged', async () => {
+    await mergeFeat('login', 'login.js');
+    const first = await promoteProject('proj-a', { version: '1.0.0' });
+    await mergeFeat('search', 'search.js');
+
+    const again = await promoteProject('proj-a', { version: '1.1.0' });
+    assert.equal(again.created, false);
+    assert.equal(again.pr_number, first.pr_number);
+    assert.equal(again.changelog.length, 2);
+    assert.equal(gh.pulls.find(p => p.number === first.pr_number).title, 'release(proj-a): v1.1.0');
+
+    const merged = mergeRelease(first.pr_number);
+    assert.deepEqual(await tagRelease('proj-a', merged), { name: 'proj-a/v1.1.0', sha: merged.merge_commit_sha });
+    assert.deepEqual([...gh.tags], [['proj-a/v1.1.0', merged.merge_commit_sha]]);
+    assert.deepEqual(await tagRelease('proj-a', merged), { name: 'proj-a/v1.1.0', sha: merged.merge_commit_sha });
+
+    await mergeFeat('export', 'export.js');
+    await assert.rejects(() => promoteProject('proj-a', { version: '1.1.0' }), err => err.status === 409);
+  });
+
+  it('creates the tag when GitHub reports the release PR merged', async () => {
+    await mergeFeat('login', 'login.js');
+    const { pr_number } = await promoteProject('proj-a', { version: '2.0.0' });
+    const merged = mergeRelease(pr_number);
+
+    assert.equal(handleGitHubEvent('pull_request', { action: 'closed', pull_request: merged }), null);
+    const deadline = Date.now() + 2000;
+    while (!gh.tags.size && Date.now() < deadline) await new Promise(r => setTimeout(r, 5));
+    assert.equal(gh.tags.get('proj-a/v2.0.0'), merged.merge_commit_sha);
+  });
+
+  it('refuses to create a tag outside the project', async () => {
+    await mergeFeat('login', 'login.js');
+    const { pr_number } = await promoteProject('proj-a', { version: '1.0.0' });
+    const merged = mergeRelease(pr_number);
+    merged.body = merged.body.replace('proj-a/v1.0.0', 'proj-b/v9.0.0');
+    await assert.rejects(() => tagRelease('proj-a', merged), /not a proj-a\/v<semver> tag/);
+    assert.equal(gh.tags.size, 0);
+  });
+});
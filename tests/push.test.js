@@ -2,7 +2,8 @@ const { describe, it, before, after } = require('node:test');
 const assert = require('node:assert/strict');
 const path = require('path');
 
-const { enqueue, stats } = require('../src/queue/push-queue');
+const { enqueue, pauseUntil, stats } = require('../src/queue/push-queue');
+const { makeDir } = require('./helpers/make-dir');
 
 // ---------------------------------------------------------------------------
 // validateDir — inline the pure function so we can test it without booting
@@ -43,6 +44,20 @@ describe('push-queue', () => {
     assert.equal(stats().active, 0);
     assert.equal(stats().queued, 0);
   });
+
+  it('starts no tasks while paused and resumes afterwards', async () => {
+    pauseUntil(Date.now() + 50);
+    let ran = false;
+    const done = enqueue(async () => { ran = true; });
+    await tick();
+    assert.equal(ran, false);
+    assert.equal(stats().queued, 1);
+    assert.ok(stats().paused_until);
+
+    await done;
+    assert.equal(ran, true);
+    assert.equal(stats().paused_until, null);
+  });
 });
 
 describe('create-feat-branch input validation', () => {
@@ -62,6 +77,14 @@ describe('create-feat-branch input validation', () => {
     );
   });
 
+  it('refuses secrets and limit breaches up front, without GitHub', () => {
+    const { readPushFiles } = require('../src/github/create-feat-branch');
+    const dir = makeDir({ 'config.js': `token = '${'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8'}'\n` });
+
+    assert.throws(() => readPushFiles({ project: 'proj-a', dir, mode: 'merge' }), err => err.status === 422 && err.findings.length === 1);
+    assert.throws(() => readPushFiles({ project: 'proj-a', dir, mode: 'merge', include: ['src/**'] }), /No files found/);
+  });
+
   it('rejects invalid project name', async () => {
     const { ensureProject } = require('../src/github/ensure-project');
     await assert.rejects(
@@ -87,6 +110,52 @@ describe('readDirFiles', () => {
       /Path is not a directory/
     );
   });
+
+  it('returns text as strings and binaries as raw buffers', () => {
+    const { readDirFiles } = require('../src/github/read-dir-files');
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+    const dir = makeDir({ 'notes.md': 'héllo ✓\n', 'logo.png': png, 'latin1.txt': Buffer.from([0x63, 0x61, 0x66, 0xe9]) });
+
+    const byPath = Object.fromEntries(readDirFiles(dir).map(f => [f.path, f]));
+    assert.equal(byPath['notes.md'].content, 'héllo ✓\n');
+    assert.equal(byPath['notes.md'].binary, undefined);
+    assert.equal(byPath['logo.png'].binary, true);
+    assert.ok(byPath['logo.png'].content.equals(png));
+    assert.equal(byPath['latin1.txt'].binary, true, 'invalid UTF-8 is binary');
+  });
+});
+
+describe('readDirFiles limits', () => {
+  const { readDirFiles } = require('../src/github/read-dir-files');
+
+  it('enforces file count, file size and total size with 413', () => {
+    const dir = makeDir({ 'a.txt': 'aaaa', 'b.txt': 'bbbb', 'c.txt': 'cc' });
+    assert.throws(() => readDirFiles(dir, { limits: { max_files: 2 } }), err => err.status === 413 && /max_files/.test(err.message));
+    assert.throws(() => readDirFiles(dir, { limits: { max_file_bytes: 3 } }), err => err.status === 413 && /max_file_bytes is 3/.test(err.message));
+    assert.throws(() => readDirFiles(dir, { limits: { max_total_bytes: 9 } }), err => err.status === 413 && /max_total_bytes/.test(err.message));
+    assert.equal(readDirFiles(dir, { limits: { max_files: 3, max_total_bytes: 10 } }).length, 3);
+  });
+
+  it('rejects paths outside allowed_paths or matching forbidden_paths with 403', () => {
+    const dir = makeDir({
+      'src/app.js': 'x',
+      'README.md': 'r',
+      'scripts/run.sh': 's',
+      '.github/workflows/ci.yml': 'ci',
+    });
+    const limits = { allowed_paths: ['src/', 'README.md', '.github/'], forbidden_paths: ['.github/workflows/**'] };
+    assert.throws(() => readDirFiles(dir, { limits, project: 'proj-a' }), err => err.status === 403
+      && /scripts\/run\.sh \(outside allowed_paths\)/.test(err.message)
+      && /\.github\/workflows\/ci\.yml \(forbidden_paths\)/.test(err.message)
+      && err.paths.length === 2);
+
+    const ok = makeDir({ 'src/app.js': 'x', 'README.md': 'r' });
+    assert.equal(readDirFiles(ok, { limits }).length, 2);
+  });
+
+  it('rejects invalid limits config', () => {
+    assert.throws(() => readDirFiles(makeDir({ 'a': 'a' }), { limits: { max_files: 0 }, project: 'p' }), /Project "p" limits: max_files/);
+  });
 });
 
 describe('push-queue max depth (backpressure)', () => {
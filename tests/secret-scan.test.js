@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applySecretPolicy, scanContent, scanConfig } = require('../src/security/secret-scan');
+
+// Assembled at runtime so this file does not itself trip secret scanners
+const AWS_KEY_ID = 'AKIA' + 'Z7QWERTYUIOPASDF';
+const AWS_SECRET = 'wJalrXUtnFEMI/K7MDENG/' + 'bPxRfiCYEXAMPLEKEY';
+const GH_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+const PRIVATE_KEY = 'PRIVATE ' + 'KEY';
+const PEM = [`-----BEGIN RSA ${PRIVATE_KEY}-----`, 'MIIEowIBAAKCAQEAx', `-----END RSA ${PRIVATE_KEY}-----`].join('\n');
+const RANDOM = 'q8Zt3VnX7LpR2mKw9YbHc4JdF6sGa1Ue';
+
+const rules = (path, content, section) => scanContent(path, content, scanConfig(section)).map(f => `${f.line}:${f.rule}`);
+
+describe('secret scanning', () => {
+  it('detects common token formats with their line numbers', () => {
+    const content = [
+      `const id = '${AWS_KEY_ID}';`,
+      `aws_secret_access_key = ${AWS_SECRET}`,
+      `token: ${GH_TOKEN}`,
+      PEM,
+      `apiKey = "${RANDOM}"`,
+      `sha = "${'0123456789abcdef'.repeat(3)}"`,
+    ].join('\n');
+
+    assert.deepEqual(rules('app.js', content), [
+      '1:aws-access-key-id',
+      '2:aws-secret-access-key',
+      '3:github-token',
+      '4:private-key',
+      '7:high-entropy-string',
+    ]);
+  });
+
+  it('honours allow_patterns, the inline marker, lockfiles and min_entropy', () => {
+    assert.deepEqual(rules('a.js', AWS_KEY_ID, { allow_patterns: ['^AKIAZ7'] }), []);
+    assert.deepEqual(rules('a.js', `${GH_TOKEN} // gitops:allow-secret`), []);
+    assert.deepEqual(rules('package-lock.json', `"integrity": "${RANDOM}"`), []);
+    assert.deepEqual(rules('a.js', `x = "${RANDOM}"`, { min_entropy: 0 }), []);
+  });
+
+  it('refuses the push with a 422 listing file and line under the reject policy', () => {
+    const files = [
+      { path: 'ok.js', content: 'module.exports = 1;\n' },
+      { path: 'config/aws.js', content: `\n\nconst key = '${AWS_KEY_ID}';\n` },
+      { path: 'fixtures/fake.pem', content: PEM },
+    ];
+    assert.throws(
+      () => applySecretPolicy(files, { allow_paths: ['fixtures/**'] }, 'proj-a'),
+      err => err.status === 422
+        && /config\/aws\.js:3 \(aws-access-key-id\)/.test(err.message)
+        && err.findings.length === 1
+        && !err.message.includes(AWS_KEY_ID)
+    );
+  });
+
+  it('redacts findings under the redact policy', () => {
+    const bytes = Buffer.from(GH_TOKEN);
+    const { files, redacted } = applySecretPolicy([
+      { path: 'a.js', content: `const t = '${GH_TOKEN}';\n${PEM}\n` },
+      { path: 'blob.bin', content: bytes, binary: true },
+    ], { policy: 'redact' });
+
+    assert.equal(files[0].content, "const t = '[REDACTED:github-token]';\n[REDACTED:private-key]\n");
+    assert.equal(files[1].content, bytes);
+    assert.deepEqual(redacted, [{ path: 'a.js', line: 1, rule: 'github-token' }, { path: 'a.js', line: 2, rule: 'private-key' }]);
+  });
+
+  it('redacts a private key without an END line to the end of the file', () => {
+    const truncated = `const a = 1;\n-----BEGIN OPENSSH ${PRIVATE_KEY}-----\nb3BlbnNzaC1rZXktdjEAAAAABG5vbmU\nAAAAEbm9uZQAAAAAAAAAB\n`;
+    const { files } = applySecretPolicy([{ path: 'id', content: truncated }], { policy: 'redact' });
+    assert.equal(files[0].content, 'const a = 1;\n[REDACTED:private-key]');
+  });
+
+  it('rejects an invalid policy', () => {
+    assert.throws(() => applySecretPolicy([], { policy: 'warn' }, 'proj-a'), /secret_scan: policy must be one of/);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.GH_TOKEN = 'test-token';
+process.env.GH_OWNER = 'acme';
+process.env.GH_REPO = 'mono';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-data-'));
+
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { makeDir } = require('./helpers/make-dir');
+const { createFeatBranch } = require('../src/github/create-feat-branch');
+const { syncFeatBranches } = require('../src/github/sync-branches');
+const { registerHandler } = require('../src/queue/push-queue');
+const { listJobs } = require('../src/queue/job-store');
+const { queueScheduledSyncs } = require('../src/queue/sync-schedule');
+
+registerHandler('sync', opts => syncFeatBranches(opts));
+
+async function push(feat_name, files) {
+  return createFeatBranch({ project: 'proj-s', dir: makeDir(files), feat_name });
+}
+
+describe('syncFeatBranches', () => {
+  let gh;
+
+  // feat/one touches its own file, feat/two the same file dev changes afterwards
+  beforeEach(async () => {
+    gh = createFakeGitHub();
+    gh.install();
+    await push('one', { 'one.txt': '1' });
+    await push('two', { 'shared.txt': 'two' });
+    const landed = await push('landed', { 'shared.txt': 'dev', 'dev.txt': 'd' });
+    gh.refs.set('proj-s-dev', landed.commit_sha);
+    gh.pulls.find(p => p.number === landed.pr_number).state = 'closed';
+  });
+  afterEach(() => gh.uninstall());
+
+  it('merges dev into every open feat branch and reports conflicting paths', async () => {
+    const oneHead = gh.refs.get('feat/proj-s/one');
+    const twoHead = gh.refs.get('feat/proj-s/two');
+    const result = await syncFeatBranches({ project: 'proj-s' });
+
+    assert.equal(result.strategy, 'merge');
+    const byBranch = Object.fromEntries(result.branches.map(b => [b.branch, b]));
+    assert.equal(byBranch['feat/proj-s/one'].status, 'merged');
+    assert.deepEqual(gh.commits.get(gh.refs.get('feat/proj-s/one')).parents, [oneHead, gh.refs.get('proj-s-dev')]);
+    assert.equal(gh.branchFiles('feat/proj-s/one')['dev.txt'].toString(), 'd');
+
+    assert.deepEqual(byBranch['feat/proj-s/two'], {
+      branch: 'feat/proj-s/two', pr_number: 2, status: 'conflict', sha: twoHead, conflicts: ['shared.txt'],
+    });
+    assert.equal(gh.refs.get('feat/proj-s/two'), twoHead, 'conflicting branch untouched');
+    assert.deepEqual(result.summary, { merged: 1, conflict: 1 });
+
+    const again = await syncFeatBranches({ project: 'proj-s', branch: 'feat/proj-s/one' });
+    assert.deepEqual(again.branches.map(b => b.status), ['up_to_date']);
+  });
+
+  it('rebases a branch as one commit on top of dev', async () => {
+    const result = await syncFeatBranches({ project: 'proj-s', branch: 'feat/proj-s/one', strategy: 'rebase' });
+
+    assert.equal(result.branches[0].status, 'rebased');
+    const head = gh.refs.get('feat/proj-s/one');
+    assert.deepEqual(gh.commits.get(head).parents, [gh.refs.get('proj-s-dev')]);
+    const files = gh.branchFiles('feat/proj-s/one');
+    assert.equal(files['one.txt'].toString(), '1');
+    assert.equal(files['shared.txt'].toString(), 'dev');
+
+    const conflict = await syncFeatBranches({ project: 'proj-s', branch: 'feat/proj-s/two', strategy: 'rebase' });
+    assert.deepEqual(conflict.branches[0].conflicts, ['shared.txt']);
+  });
+
+  it('rejects unknown branches and strategies', async () => {
+    await assert.rejects(() => syncFeatBranches({ project: 'proj-s', branch: 'feat/proj-s/nope' }), err => err.status === 404);
+    await assert.rejects(() => syncFeatBranches({ project: 'proj-s', strategy: 'squash' }), err => err.status === 400);
+    await assert.rejects(() => syncFeatBranches({ project: 'proj-s', branch: 'feat/proj-other/x' }), err => err.status === 400);
+  });
+
+  it('queues a scheduled sync job per project', async () => {
+    assert.deepEqual(await queueScheduledSyncs(), ['proj-s']);
+    const [job] = listJobs({ type: 'sync', project: 'proj-s' });
+    assert.equal(job.source, 'scheduler');
+
+    for (let i = 0; i < 100 && !['succeeded', 'failed'].includes(listJobs({ type: 'sync' })[0].status); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(listJobs({ type: 'sync' })[0].result.summary, { merged: 1, conflict: 1 });
+  });
+});
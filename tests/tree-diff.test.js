@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { gitBlobSha, diffTree } = require('../src/github/tree-diff');
+
+const remote = (files) => Object.entries(files).map(([p, c]) => ({ path: p, sha: gitBlobSha(c) }));
+const local = (files) => Object.entries(files).map(([p, c]) => ({ path: p, content: c }));
+
+describe('gitBlobSha', () => {
+  it('matches git hash-object', () => {
+    // printf 'hello\n' | git hash-object --stdin
+    assert.equal(gitBlobSha('hello\n'), 'ce013625030ba8dba906f756967f9e9ca394464a');
+    assert.equal(gitBlobSha(Buffer.alloc(0)), 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+  });
+});
+
+describe('diffTree', () => {
+  it('classifies added, modified and unchanged; merge mode never deletes', () => {
+    const diff = diffTree(
+      local({ 'a.js': 'A', 'b.js': 'B2', 'new.js': 'N' }),
+      remote({ 'a.js': 'A', 'b.js': 'B', 'gone.js': 'G' })
+    );
+    assert.deepEqual(diff, {
+      added: ['new.js'], modified: ['b.js'], unchanged: ['a.js'], deleted: [], renamed: [],
+    });
+  });
+
+  it('treats a mode change as a modification', () => {
+    const [file] = local({ 'run.sh': 'echo' });
+    const [entry] = remote({ 'run.sh': 'echo' });
+    assert.deepEqual(diffTree([{ ...file, mode: '100755' }], [{ ...entry, mode: '100644' }]).modified, ['run.sh']);
+    assert.deepEqual(diffTree([file], [{ ...entry, mode: '100644' }]).unchanged, ['run.sh']);
+  });
+
+  it('mirror mode deletes missing files and detects renames', () => {
+    const diff = diffTree(
+      local({ 'src/util.js': 'U', 'keep.js': 'K' }),
+      remote({ 'lib/util.js': 'U', 'keep.js': 'K', 'old.js': 'O', '.github/workflows/ci.yml': 'W' }),
+      { mode: 'mirror', keep: p => p.startsWith('.github/') }
+    );
+    assert.deepEqual(diff.added, []);
+    assert.deepEqual(diff.deleted, ['old.js']);
+    assert.deepEqual(diff.renamed, [{ from: 'lib/util.js', to: 'src/util.js' }]);
+  });
+});
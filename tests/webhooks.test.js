@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createHmac } = require('crypto');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gitops-data-'));
+process.env.WEBHOOK_SECRET = 'callback-secret';
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+// The receiving test server listens on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const { emitEvent, getDelivery, listDeliveries } = require('../src/webhooks/dispatcher');
+const { addSubscription } = require('../src/webhooks/subscriptions');
+const { verifyGitHubSignature, handleGitHubEvent } = require('../src/webhooks/github-receiver');
+const { registerHandler, submit } = require('../src/queue/push-queue');
+const { isAllowedWebhookUrl, isPrivateAddress, assertPublicDestination } = require('../src/webhooks/url-policy');
+
+const waitFor = async (fn, ms = 2000) => {
+  const deadline = Date.now() + ms;
+  while (!fn()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 5));
+  }
+};
+
+describe('webhook dispatcher', () => {
+  let server;
+  let baseUrl;
+  const received = [];
+  let failuresLeft = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        if (req.url === '/redirect') {
+          res.writeHead(307, { location: `${baseUrl}/internal` });
+          return res.end();
+        }
+        res.statusCode = failuresLeft-- > 0 ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => server.close());
+
+  it('signs the callback with HMAC-SHA256 of the body', async () => {
+    const [delivery] = emitEvent('push.succeeded', {
+      project: 'proj-a', job_id: 'job-1', callback_url: `${baseUrl}/cb`, data: { pr_number: 7 },
+    });
+    await waitFor(() => getDelivery(delivery.id).status === 'delivered');
+
+    const req = received.find(r => r.path === '/cb');
+    const expected = `sha256=${createHmac('sha256', 'callback-secret').update(req.body).digest('hex')}`;
+    assert.equal(req.headers['x-gitops-signature'], expected);
+    assert.equal(req.headers['x-gitops-event'], 'push.succeeded');
+    assert.equal(JSON.parse(req.body).data.pr_number, 7);
+  });
+
+  it('retries failed deliveries with backoff and records every attempt', async () => {
+    failuresLeft = 2;
+    const [delivery] = emitEvent('push.failed', {
+      project: 'proj-a', callback_url: `${baseUrl}/retry`, data: { error: 'boom' },
+    });
+    await waitFor(() => getDelivery(delivery.id).status !== 'pending');
+
+    const d = getDelivery(delivery.id);
+    assert.equal(d.status, 'delivered');
+    assert.deepEqual(d.attempts.map(a => a.status_code), [500, 500, 204]);
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS', async () => {
+    failuresLeft = 10;
+    const [delivery] = emitEvent('push.failed', {
+      project: 'proj-a', callback_url: `${baseUrl}/down`, data: {},
+    });
+    await waitFor(() => getDelivery(delivery.id).status !== 'pending');
+    assert.equal(getDelivery(delivery.id).status, 'failed');
+    assert.equal(getDelivery(delivery.id).attempts.length, 3);
+    failuresLeft = 0;
+  });
+
+  it('never follows a redirect and counts it as a failed attempt', async () => {
+    const [delivery] = emitEvent('push.failed', { project: 'proj-a', callback_url: `${baseUrl}/redirect`, data: {} });
+    await waitFor(() => getDelivery(delivery.id).status !== 'pending');
+
+    const d = getDelivery(delivery.id);
+    assert.equal(d.status, 'failed');
+    assert.deepEqual(d.attempts.map(a => a.status_code), [307, 307, 307]);
+    assert.match(d.attempts[0].error, /redirect/);
+    assert.equal(received.filter(r => r.path === '/internal').length, 0);
+  });
+
+  it('fans out to project subscriptions with their own secret', async () => {
+    addSubscription('proj-sub', { url: `${baseUrl}/sub`, events: ['pr.merged'], secret: 'sub-secret-0123456789' });
+    addSubscription('proj-sub', { url: `${baseUrl}/ignored`, events: ['push.failed'] });
+    emitEvent('pr.merged', { project: 'proj-sub', data: {} });
+    await waitFor(() => listDeliveries({ project: 'proj-sub', status: 'delivered' }).length === 1);
+
+    const req = received.find(r => r.path === '/sub');
+    assert.equal(req.headers['x-gitops-signature'],
+      `sha256=${createHmac('sha256', 'sub-secret-0123456789').update(req.body).digest('hex')}`);
+    assert.equal(received.some(r => r.path === '/ignored'), false);
+  });
+
+  it('emits pr.merged to the callback_url of the push that opened the PR', async () => {
+    registerHandler('push', async () => ({ pr_number: 42, pr_url: 'https://github.com/acme/mono/pull/42' }));
+    await submit('push', { project: 'proj-m', callback_url: `${baseUrl}/merged` }, { project: 'proj-m' }).done;
+
+    const emitted = handleGitHubEvent('pull_request', {
+      action: 'closed',
+      pull_request: {
+        number: 42, merged: true, html_url: 'https://github.com/acme/mono/pull/42',
+        head: { ref: 'feat/proj-m/thing' }, base: { ref: 'proj-m-dev' },
+      },
+    });
+    assert.equal(emitted, 'pr.merged');
+    await waitFor(() => received.some(r => r.path === '/merged'));
+    assert.equal(JSON.parse(received.find(r => r.path === '/merged').body).data.merged, true);
+  });
+
+  it('rejects a pull_request payload without head or base refs with a 400', () => {
+    assert.throws(
+      () => handleGitHubEvent('pull_request', { action: 'closed', pull_request: { number: 1, base: { ref: 'proj-m-dev' } } }),
+      err => err.status === 400
+    );
+    assert.equal(handleGitHubEvent('pull_request', { action: 'opened' }), null);
+  });
+});
+
+describe('verifyGitHubSignature', () => {
+  it('accepts a correct signature and rejects anything else', () => {
+    const body = Buffer.from('{"action":"closed"}');
+    const good = `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+    assert.equal(verifyGitHubSignature('s3cret', body, good), true);
+    assert.equal(verifyGitHubSignature('other', body, good), false);
+    assert.equal(verifyGitHubSignature('s3cret', body, undefined), false);
+  });
+});
+
+describe('webhook URL policy', () => {
+  before(() => { process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false'; });
+  after(() => { process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true'; });
+
+  it('accepts public https URLs only', () => {
+    assert.equal(isAllowedWebhookUrl('https://hooks.example.com/cb'), true);
+    assert.equal(isAllowedWebhookUrl('https://93.184.216.34/cb'), true);
+    for (const url of [
+      'http://hooks.example.com/cb', 'https://localhost/cb', 'https://api.localhost/cb', 'https://127.0.0.1/cb',
+      'https://2130706433/cb', 'https://10.1.2.3/cb', 'https://172.20.0.5/cb', 'https://192.168.1.1/cb',
+      'https://169.254.169.254/latest/meta-data', 'https://[::1]/cb', 'https://[fd00::1]/cb', 'https://[::ffff:127.0.0.1]/cb',
+      'ftp://hooks.example.com', 'not a url', undefined,
+    ]) {
+      assert.equal(isAllowedWebhookUrl(url), false, url);
+    }
+  });
+
+  it('classifies non-public addresses', () => {
+    assert.equal(isPrivateAddress('100.64.0.1'), true);
+    assert.equal(isPrivateAddress('fe80::1'), true);
+    assert.equal(isPrivateAddress('8.8.8.8'), false);
+    assert.equal(isPrivateAddress('2606:4700::1111'), false);
+  });
+
+  it('checks the target again before every delivery attempt', async () => {
+    await assert.rejects(assertPublicDestination('https://localhost/cb'), /not an allowed/);
+    await assert.doesNotReject(assertPublicDestination('https://93.184.216.34/cb'));
+
+    const [delivery] = emitEvent('push.failed', { project: 'proj-ssrf', callback_url: 'http://127.0.0.1:9/cb', data: {} });
+    await waitFor(() => getDelivery(delivery.id).attempts.length > 0);
+    assert.match(getDelivery(delivery.id).attempts[0].error, /not an allowed/);
+  });
+});